@@ -0,0 +1,249 @@
+/**
+ * @file server.js
+ * @description Offline stand-in for an OpenAI-compatible chat completions API.
+ * It replays scripted or recorded chunk sequences, so the streaming parser can be
+ * tested without network access, including split UTF-8 characters, mid-stream
+ * errors, dropped connections and slow streams.
+ *
+ * Use it from tests through createMockServer(), or run it directly and add it as
+ * a custom provider (base URL http://localhost:8787) in the Providers settings tab:
+ *
+ *   node mock-server/server.js [--port 8787] [--fixture qwen-reasoning]
+ */
+
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+
+// --- Chunk helpers ---
+
+/**
+ * Formats a payload as one server-sent event.
+ * @param {object|string} payload - The JSON payload, or a raw string such as "[DONE]".
+ * @returns {string} The SSE line.
+ */
+export function sse(payload) {
+  return `data: ${typeof payload === "string" ? payload : JSON.stringify(payload)}\n\n`;
+}
+
+export const DONE = sse("[DONE]");
+
+/**
+ * Builds a streamed completion chunk.
+ * @param {object} delta - The delta ({ content } and/or { reasoning }).
+ * @param {string|null} [finishReason=null] - The finish reason, for the last chunk.
+ * @returns {object} The chunk payload.
+ */
+export function completionChunk(delta, finishReason = null) {
+  return {
+    id: "chatcmpl-mock",
+    object: "chat.completion.chunk",
+    created: 0,
+    model: "mock-model",
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  };
+}
+
+export const contentChunk = (content) => sse(completionChunk({ content }));
+export const reasoningChunk = (reasoning) => sse(completionChunk({ reasoning }));
+export const finishChunk = (reason = "stop") => sse(completionChunk({}, reason));
+export const errorChunk = (message, type = "server_error") => sse({ error: { message, type } });
+
+/**
+ * Builds the chunks of one streamed tool call. Like real providers, the first
+ * chunk carries the id and name and the arguments follow in fragments.
+ * @param {number} index - The call's index in the reply.
+ * @param {string} name - The function name.
+ * @param {string[]} argumentPieces - The JSON arguments, split into fragments.
+ * @param {string} [id] - The call id.
+ * @returns {string[]} The SSE lines.
+ */
+export function toolCallChunks(index, name, argumentPieces, id = `call_mock_${index}`) {
+  return [
+    sse(completionChunk({ tool_calls: [{ index, id, type: "function", function: { name, arguments: "" } }] })),
+    ...argumentPieces.map((piece) =>
+      sse(completionChunk({ tool_calls: [{ index, function: { arguments: piece } }] })),
+    ),
+  ];
+}
+
+/**
+ * Splits text into two byte chunks at a byte offset, which may fall inside a
+ * multi-byte UTF-8 character.
+ * @param {string} text - The text.
+ * @param {number} byteOffset - Where to split.
+ * @returns {Buffer[]} The two halves.
+ */
+export function splitBytes(text, byteOffset) {
+  const bytes = Buffer.from(text, "utf8");
+  return [bytes.subarray(0, byteOffset), bytes.subarray(byteOffset)];
+}
+
+// --- Scenarios ---
+
+/**
+ * A scenario describes one response:
+ * {
+ *   status: 200,                   // HTTP status
+ *   headers: {},                   // extra response headers
+ *   chunks: [string | Buffer | { data, delay }], // streamed body, written in order
+ *   delay: 0,                      // default delay in ms before each chunk
+ *   holdOpen: false,               // keep the connection open after the last chunk
+ *   dropConnection: false,         // cut the connection after the last chunk, like a network drop
+ *   body: object,                  // JSON body, used instead of chunks (e.g. stream: false)
+ * }
+ */
+
+/**
+ * Builds a scenario that streams text as content chunks, followed by [DONE].
+ * @param {string[]} pieces - The content pieces.
+ * @param {object} [options] - Extra scenario fields.
+ * @returns {object} The scenario.
+ */
+export function streamText(pieces, options = {}) {
+  return { chunks: [...pieces.map(contentChunk), finishChunk(), DONE], ...options };
+}
+
+/**
+ * Builds a scenario for a non-streaming completion, as used for titles and memory.
+ * @param {string} content - The assistant message content.
+ * @returns {object} The scenario.
+ */
+export function completion(content) {
+  return {
+    body: {
+      id: "chatcmpl-mock",
+      object: "chat.completion",
+      choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+    },
+  };
+}
+
+/**
+ * Loads a recorded fixture from mock-server/fixtures.
+ * Fixtures are JSON: { chunks: [...] } where each chunk is an SSE string or
+ * { data, delay }, or { body } for a non-streaming response.
+ * @param {string} name - The fixture name, without extension.
+ * @returns {Promise<object>} The scenario.
+ */
+export async function loadFixture(name) {
+  return JSON.parse(await readFile(new URL(`${name}.json`, FIXTURES_DIR), "utf8"));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function readJsonBody(req) {
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function writeScenario(res, scenario) {
+  const status = scenario.status ?? 200;
+
+  if (scenario.body !== undefined) {
+    res.writeHead(status, { "Content-Type": "application/json", ...scenario.headers });
+    res.end(JSON.stringify(scenario.body));
+    return;
+  }
+
+  res.writeHead(status, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    ...scenario.headers,
+  });
+  res.flushHeaders();
+
+  for (const chunk of scenario.chunks || []) {
+    const { data, delay } =
+      typeof chunk === "object" && !Buffer.isBuffer(chunk) && "data" in chunk
+        ? chunk
+        : { data: chunk, delay: scenario.delay };
+    if (delay) await sleep(delay);
+    if (res.destroyed) return;
+    res.write(data);
+  }
+
+  if (scenario.dropConnection) {
+    // Let the chunks reach the client before cutting the connection
+    await sleep(50);
+    res.destroy();
+  } else if (!scenario.holdOpen) {
+    res.end();
+  }
+}
+
+/**
+ * Starts a mock chat completions server on a random local port.
+ * Scenarios are served in the order they are queued; when the queue is empty
+ * the fallback scenario is used.
+ * @param {object} [options]
+ * @param {object} [options.fallback] - Scenario used when nothing is queued.
+ * @param {number} [options.port=0] - Port to listen on, 0 for a random one.
+ * @returns {Promise<{url: string, enqueue: function(...object): void, requests: object[], close: function(): Promise<void>}>}
+ */
+export async function createMockServer({ fallback = streamText(["Hello from the mock server."]), port = 0 } = {}) {
+  const queue = [];
+  const requests = [];
+  const openResponses = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    // Browsers call the server from the dev app's origin
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: "Not found", type: "not_found" } }));
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    requests.push({ headers: req.headers, body });
+
+    openResponses.add(res);
+    res.on("close", () => openResponses.delete(res));
+    await writeScenario(res, queue.shift() || fallback);
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    enqueue: (...scenarios) => queue.push(...scenarios),
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        openResponses.forEach((res) => res.destroy());
+        server.close(() => resolve());
+      }),
+  };
+}
+
+// --- CLI ---
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = (name, fallbackValue) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallbackValue : args[index + 1];
+  };
+
+  const fixture = option("fixture");
+  const mock = await createMockServer({
+    port: Number(option("port", 8787)),
+    fallback: fixture ? await loadFixture(fixture) : undefined,
+  });
+  console.log(`Mock chat completions server listening on ${mock.url}`);
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import localforage from "localforage";
+import {
+  getAttachmentKind,
+  readAttachment,
+  storeAttachment,
+  getAttachment,
+  buildMessageContent,
+  contentToText,
+} from "../attachments";
+
+const file = (content, name, type = "") => new File([content], name, { type });
+
+describe("attachments", () => {
+  it("recognizes text, code, PDF and image files", () => {
+    expect(getAttachmentKind(file("a", "notes.txt", "text/plain"))).toBe("text");
+    expect(getAttachmentKind(file("a", "App.vue"))).toBe("text");
+    expect(getAttachmentKind(file("a", "Dockerfile"))).toBe("text");
+    expect(getAttachmentKind(file("a", "paper.pdf", "application/pdf"))).toBe("pdf");
+    expect(getAttachmentKind(file("a", "shot.png", "image/png"))).toBe("image");
+    expect(getAttachmentKind(file("a", "archive.zip", "application/zip"))).toBeNull();
+  });
+
+  it("reads text files and rejects unsupported or empty ones", async () => {
+    const attachment = await readAttachment(file("print('hi')", "hello.py"));
+    expect(attachment).toMatchObject({ name: "hello.py", kind: "text", text: "print('hi')" });
+
+    await expect(readAttachment(file("PK", "archive.zip", "application/zip"))).rejects.toThrow(/only text/);
+    await expect(readAttachment(file("  ", "empty.md"))).rejects.toThrow(/empty/);
+  });
+
+  it("inlines text files as fenced blocks with their names", async () => {
+    const meta = await storeAttachment(await readAttachment(file("const a = 1;", "a.js")));
+    expect(meta).not.toHaveProperty("text");
+
+    const content = await buildMessageContent("What does this do?", [meta]);
+    expect(content).toBe("File: a.js\n```js\nconst a = 1;\n```\n\nWhat does this do?");
+  });
+
+  it("uses a longer fence when the file contains backticks", async () => {
+    const meta = await storeAttachment(await readAttachment(file("```\ncode\n```", "README.md")));
+
+    const content = await buildMessageContent("", [meta]);
+    expect(content).toBe("File: README.md\n````md\n```\ncode\n```\n````");
+  });
+
+  it("sends images as image_url parts only to vision models", async () => {
+    const image = {
+      id: "img-1",
+      name: "shot.png",
+      kind: "image",
+      mimeType: "image/png",
+      size: 4,
+      dataUrl: "data:image/png;base64,AAAA",
+    };
+    const meta = await storeAttachment(image);
+
+    expect(await buildMessageContent("Describe it", [meta], { vision: true })).toEqual([
+      { type: "text", text: "Describe it" },
+      { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } },
+    ]);
+    expect(await buildMessageContent("Describe it", [meta], { vision: false })).toContain("can't view images");
+  });
+
+  it("notes attachments whose contents are gone", async () => {
+    const content = await buildMessageContent("Hi", [{ id: "missing", name: "gone.txt", kind: "text" }]);
+    expect(content).toContain("no longer available: gone.txt");
+  });
+
+  it("flattens content parts to text", () => {
+    expect(contentToText("plain")).toBe("plain");
+    expect(contentToText([{ type: "text", text: "a" }, { type: "image_url" }, "b"])).toBe("a\n\nb");
+  });
+
+  it("stores contents under their own key", async () => {
+    const meta = await storeAttachment(await readAttachment(file("x", "x.txt", "text/plain")));
+    expect(await localforage.getItem(`attachment_${meta.id}`)).toMatchObject({ text: "x" });
+    expect(await getAttachment(meta.id)).toMatchObject({ name: "x.txt" });
+  });
+});
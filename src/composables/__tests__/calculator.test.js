@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { evaluateExpression } from "../calculator";
+
+describe("evaluateExpression", () => {
+  it("follows operator precedence and parentheses", () => {
+    expect(evaluateExpression("2 + 3 * 4")).toBe(14);
+    expect(evaluateExpression("(2 + 3) * 4")).toBe(20);
+    expect(evaluateExpression("10 - 4 - 3")).toBe(3);
+    expect(evaluateExpression("7 % 4")).toBe(3);
+  });
+
+  it("makes powers right-associative and binds them tighter than unary minus", () => {
+    expect(evaluateExpression("2 ^ 3 ^ 2")).toBe(512);
+    expect(evaluateExpression("2 ** 10")).toBe(1024);
+    expect(evaluateExpression("-2 ^ 2")).toBe(-4);
+    expect(evaluateExpression("2 ^ -1")).toBe(0.5);
+  });
+
+  it("supports factorials, constants and functions", () => {
+    expect(evaluateExpression("5!")).toBe(120);
+    expect(evaluateExpression("factorial(4)")).toBe(24);
+    expect(evaluateExpression("PI")).toBe(Math.PI);
+    expect(evaluateExpression("sqrt(16) + abs(-2)")).toBe(6);
+    expect(evaluateExpression("log(1000)")).toBeCloseTo(3);
+    expect(evaluateExpression("log(8, 2)")).toBeCloseTo(3);
+    expect(evaluateExpression("max(1, 7, 3)")).toBe(7);
+    expect(evaluateExpression("1.5e3 + .5")).toBe(1500.5);
+  });
+
+  it("rejects anything outside the grammar", () => {
+    expect(() => evaluateExpression("")).toThrow("empty");
+    expect(() => evaluateExpression("2 +")).toThrow("end of expression");
+    expect(() => evaluateExpression("(1 + 2")).toThrow('Expected ")"');
+    expect(() => evaluateExpression("alert(1)")).toThrow('Unknown name "alert"');
+    expect(() => evaluateExpression("2 $ 3")).toThrow('Unexpected character "$"');
+    expect(() => evaluateExpression("(-3)!")).toThrow("non-negative integers");
+  });
+});
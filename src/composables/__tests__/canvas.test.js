@@ -0,0 +1,131 @@
+import { describe, it, expect } from "vitest";
+import localforage from "localforage";
+import {
+  createCanvas,
+  addVersion,
+  getLatestVersion,
+  parseCanvasEdits,
+  applyCanvasEdits,
+  editBlockToDiff,
+  diffLines,
+  isPreviewable,
+  buildPreviewDocument,
+  reviveCanvas,
+} from "../canvas";
+import { generateSystemPrompt } from "../systemPrompt";
+import { storeCanvases } from "../storeConversations";
+
+const page = `<html>
+<head><title>Counter</title></head>
+<body>
+  <button id="add">Add</button>
+</body>
+</html>`;
+
+const reply = `Here is the change:
+
+\`\`\`canvas-edit
+<<<<<<< SEARCH
+  <button id="add">Add</button>
+=======
+  <button id="add">Add one</button>
+  <button id="reset">Reset</button>
+>>>>>>> REPLACE
+\`\`\`
+
+The reset button clears the count.`;
+
+describe("canvas documents", () => {
+  it("creates a canvas with its first version and a title from the content", () => {
+    const canvas = createCanvas({ content: page, language: "HTML" });
+    expect(canvas.title).toBe("Counter");
+    expect(canvas.language).toBe("html");
+    expect(canvas.versions).toHaveLength(1);
+    expect(getLatestVersion(canvas)).toMatchObject({ content: page, source: "initial" });
+    expect(createCanvas({ content: "x = 1", language: "python" }).title).toBe("PYTHON document");
+  });
+
+  it("saves the user's unsaved typing as a version before the model's edit", () => {
+    const canvas = { ...createCanvas({ content: "a", language: "text" }), content: "a, edited" };
+    const updated = addVersion(canvas, "b", "assistant", "msg-1");
+
+    expect(updated.content).toBe("b");
+    expect(updated.versions.map((version) => [version.source, version.content])).toEqual([
+      ["initial", "a"],
+      ["user", "a, edited"],
+      ["assistant", "b"],
+    ]);
+    expect(getLatestVersion(updated).messageId).toBe("msg-1");
+  });
+
+  it("only counts SEARCH/REPLACE blocks inside canvas-edit fences", () => {
+    const shownOnly = "```html\n<<<<<<< SEARCH\na\n=======\nb\n>>>>>>> REPLACE\n```";
+    expect(parseCanvasEdits(shownOnly)).toEqual([]);
+    expect(parseCanvasEdits(reply)).toEqual([
+      {
+        search: '  <button id="add">Add</button>',
+        replace: '  <button id="add">Add one</button>\n  <button id="reset">Reset</button>',
+      },
+    ]);
+  });
+
+  it("applies edits, tolerating indentation differences and reporting misses", () => {
+    const { content, applied, failed } = applyCanvasEdits(page, [
+      ...parseCanvasEdits(reply),
+      { search: "<title>Counter</title>", replace: "<title>Clicker</title>" },
+      { search: "<footer></footer>", replace: "" },
+    ]);
+    expect(content).toContain('<button id="reset">Reset</button>');
+    expect(content).toContain("<title>Clicker</title>");
+    expect(applied).toBe(2);
+    expect(failed).toEqual(["<footer></footer>"]);
+
+    const reindented = applyCanvasEdits(page, [{ search: '    <button id="add">Add</button>', replace: "  <p>Gone</p>" }]);
+    expect(reindented.content).toContain("<body>\n  <p>Gone</p>\n</body>");
+  });
+
+  it("rewrites the whole document when SEARCH is empty", () => {
+    const edits = parseCanvasEdits("```canvas-edit\n<<<<<<< SEARCH\n=======\nnew document\n>>>>>>> REPLACE\n```");
+    expect(applyCanvasEdits(page, edits)).toEqual({ content: "new document", applied: 1, failed: [] });
+  });
+
+  it("shows edit blocks as diffs and compares versions line by line", () => {
+    expect(editBlockToDiff("<<<<<<< SEARCH\nold\n=======\nnew\n>>>>>>> REPLACE")).toBe("- old\n+ new");
+    expect(diffLines("a\nb\nc", "a\nc\nd")).toEqual([
+      { type: "same", text: "a" },
+      { type: "remove", text: "b" },
+      { type: "same", text: "c" },
+      { type: "add", text: "d" },
+    ]);
+  });
+
+  it("builds preview documents that can't close their own script or style tag", () => {
+    expect(isPreviewable({ language: "html" })).toBe(true);
+    expect(isPreviewable({ language: "python" })).toBe(false);
+    expect(buildPreviewDocument({ language: "html", content: page })).toBe(page);
+    expect(buildPreviewDocument({ language: "js", content: 'console.log("</script>")' })).toContain(
+      'console.log("<\\/script>")',
+    );
+    expect(buildPreviewDocument({ language: "css", content: "h1 { color: red }" })).toContain("<h1>Heading</h1>");
+  });
+
+  it("puts the targeted canvas and the edit format in the system prompt", () => {
+    const prompt = generateSystemPrompt([], {}, [], createCanvas({ content: page, language: "html" }));
+    expect(prompt).toContain('titled "Counter"');
+    expect(prompt).toContain(page);
+    expect(prompt).toContain("```canvas-edit");
+    expect(generateSystemPrompt([], {}, [])).not.toContain("### Canvas");
+  });
+
+  it("is saved with its conversation and revived with dates", async () => {
+    await localforage.setItem("conversation_c1", { title: "Chat", messages: [] });
+    const canvas = createCanvas({ content: page, language: "html" });
+    await storeCanvases("c1", [canvas]);
+
+    const stored = (await localforage.getItem("conversation_c1")).canvases;
+    expect(stored[0].content).toBe(page);
+    const revived = reviveCanvas(stored[0]);
+    expect(revived.updatedAt).toBeInstanceOf(Date);
+    expect(revived.versions[0].createdAt).toBeInstanceOf(Date);
+  });
+});
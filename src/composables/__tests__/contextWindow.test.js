@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import {
+  estimateTokens,
+  getContextBudget,
+  getActiveSummary,
+  buildContextMessages,
+  prepareContext,
+} from "../contextWindow";
+import { createMockServer, completion } from "../../../mock-server/server.js";
+
+let server;
+let settings;
+
+beforeAll(async () => {
+  server = await createMockServer();
+  settings = {
+    providers: [
+      { id: "mock", name: "Mock", base_url: server.url, models: [{ id: "mock-model" }] },
+    ],
+    selected_provider_id: "mock",
+    selected_model_id: "mock-model",
+  };
+});
+
+afterAll(() => server.close());
+
+// A small window so a few long messages fill it: 4000 tokens, 1000 reserved for the reply
+const model = { id: "mock-model", context_window: 4000 };
+
+/**
+ * Builds a linear branch of alternating user/assistant messages.
+ * @param {number} count - Number of messages.
+ * @param {number} tokens - Approximate tokens per message.
+ */
+function buildPath(count, tokens) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `m${index}`,
+    parentId: index ? `m${index - 1}` : null,
+    role: index % 2 ? "assistant" : "user",
+    content: `${index} `.padEnd(tokens * 4, "x"),
+    complete: true,
+  }));
+}
+
+describe("contextWindow", () => {
+  it("estimates tokens and keeps room for the reply", () => {
+    expect(estimateTokens("abcdefgh")).toBe(2);
+    expect(getContextBudget(model)).toEqual({ contextWindow: 4000, budget: 3000 });
+    expect(getContextBudget(model, { max_tokens: 500 }).budget).toBe(3500);
+    expect(getContextBudget({ id: "unknown" }).contextWindow).toBe(8192);
+  });
+
+  it("uses the deepest summary on the branch", () => {
+    const path = buildPath(6, 10);
+    const summaries = [
+      { upToId: "m1", content: "first" },
+      { upToId: "m3", content: "second" },
+      { upToId: "other-branch", content: "elsewhere" },
+    ];
+
+    const active = getActiveSummary(path, summaries);
+    expect(active.content).toBe("second");
+
+    const messages = buildContextMessages(path, active);
+    expect(messages[0]).toEqual({ role: "system", content: expect.stringContaining("second") });
+    expect(messages.slice(1).map((msg) => msg.content[0])).toEqual(["4", "5"]);
+  });
+
+  it("sends short conversations unchanged", async () => {
+    const path = buildPath(4, 50);
+    const { messages, newSummary } = await prepareContext({
+      path, summaries: [], model, modelParameters: {}, query: "Next", settings,
+    });
+
+    expect(newSummary).toBeNull();
+    expect(messages).toHaveLength(4);
+  });
+
+  it("folds older turns into a summary when close to the limit", async () => {
+    server.enqueue(completion("<think>hmm</think>- The user is building a parser"));
+    const path = buildPath(10, 200);
+
+    const { messages, newSummary } = await prepareContext({
+      path, summaries: [], model, modelParameters: {}, query: "Next", settings,
+    });
+
+    expect(newSummary.content).toBe("- The user is building a parser");
+    expect(newSummary.upToId).toBe(newSummary.foldedIds.at(-1));
+    // Whole turns are folded and the latest messages are kept verbatim
+    expect(path.find((msg) => msg.id === newSummary.upToId).role).toBe("assistant");
+    expect(newSummary.foldedIds).not.toContain("m6");
+    expect(messages[0].content).toContain("building a parser");
+    expect(messages.at(-1).content).toBe(path.at(-1).content);
+
+    const request = server.requests.at(-1).body;
+    expect(request.messages[1].content).toContain("Existing summary:\n(none)");
+  });
+
+  it("extends the previous summary instead of starting over", async () => {
+    server.enqueue(completion("- Merged summary"));
+    const path = buildPath(14, 200);
+    const previous = { id: "s1", upToId: "m3", foldedIds: ["m0", "m1", "m2", "m3"], content: "- Old summary" };
+
+    const { newSummary } = await prepareContext({
+      path, summaries: [previous], model, modelParameters: {}, query: "Next", settings,
+    });
+
+    expect(server.requests.at(-1).body.messages[1].content).toContain("- Old summary");
+    expect(newSummary.foldedIds.slice(0, 4)).toEqual(previous.foldedIds);
+    expect(newSummary.foldedIds).toContain("m4");
+  });
+
+  it("drops the oldest messages if summarizing fails", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    server.enqueue({ status: 500, body: { error: { message: "Server error" } } });
+    const path = buildPath(20, 200);
+
+    const { messages, newSummary } = await prepareContext({
+      path, summaries: [], model, modelParameters: {}, query: "Next", settings,
+    });
+
+    expect(newSummary).toBeNull();
+    expect(messages.length).toBeLessThan(20);
+    expect(messages.at(-1).content).toBe(path.at(-1).content);
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createLanes, runLanes, buildSynthesisQuery, MAX_BRANCH_COUNT } from "../deepThink";
+import { createMockServer, streamText, contentChunk } from "../../../mock-server/server.js";
+
+let server;
+let settings;
+
+beforeAll(async () => {
+  // Every lane gets the same slow stream, whichever order the requests arrive in
+  server = await createMockServer({
+    fallback: { ...streamText(["Draft ", "answer."]), delay: 60 },
+  });
+  settings = {
+    providers: [{ id: "mock", name: "Mock", base_url: server.url, models: [{ id: "mock-model" }] }],
+    selected_provider_id: "mock",
+  };
+});
+
+afterAll(() => server.close());
+
+/**
+ * Runs the lanes against the mock server with a controller per lane.
+ */
+function run(lanes, controllers) {
+  return runLanes(lanes, controllers, {
+    query: "What is 2 + 2?",
+    plainMessages: [],
+    selectedModel: "mock-model",
+    modelParameters: {},
+    settings,
+  });
+}
+
+describe("deep think", () => {
+  it("spreads the lanes' temperatures and seeds around the user's settings", () => {
+    const lanes = createLanes(3, { temperature: 0.5, seed: 10 });
+    expect(lanes.map((lane) => lane.temperature)).toEqual([0.2, 0.5, 0.8]);
+    expect(lanes.map((lane) => lane.seed)).toEqual([10, 11, 12]);
+    expect(lanes.every((lane) => lane.status === "running")).toBe(true);
+
+    expect(createLanes(2, { temperature: 0 }).map((lane) => lane.temperature)).toEqual([0, 0.15]);
+    expect(createLanes(99)).toHaveLength(MAX_BRANCH_COUNT);
+  });
+
+  it("streams every lane in parallel with its own sampling parameters", async () => {
+    const lanes = createLanes(3, { temperature: 0.7, seed: 1 });
+    const controllers = new Map(lanes.map((lane) => [lane.id, new AbortController()]));
+    const start = server.requests.length;
+
+    await run(lanes, controllers);
+
+    expect(lanes.map((lane) => [lane.content, lane.status])).toEqual(
+      Array(3).fill(["Draft answer.", "done"]),
+    );
+    const sent = server.requests.slice(start).map((request) => [request.body.temperature, request.body.seed]);
+    expect(sent.sort()).toEqual([[0.4, 1], [0.7, 2], [1, 3]]);
+  });
+
+  it("cancels one lane without stopping the others", async () => {
+    const lanes = createLanes(2);
+    const controllers = new Map(lanes.map((lane) => [lane.id, new AbortController()]));
+    setTimeout(() => controllers.get(lanes[1].id).abort(), 90);
+
+    await run(lanes, controllers);
+
+    expect(lanes[0]).toMatchObject({ status: "done", content: "Draft answer." });
+    expect(lanes[1].status).toBe("cancelled");
+    expect(lanes[1].content).not.toContain("CANCELED");
+  });
+
+  it("marks a lane whose stream breaks off as failed and leaves it out of the synthesis", async () => {
+    const lanes = createLanes(2);
+    const controllers = new Map(lanes.map((lane) => [lane.id, new AbortController()]));
+    server.enqueue({ chunks: [contentChunk("Half a dra")] });
+
+    await run(lanes, controllers);
+
+    const cut = lanes.find((lane) => lane.status === "error");
+    expect(cut).toMatchObject({ content: "Half a dra", error: expect.stringContaining("Interrupted") });
+    expect(lanes.find((lane) => lane !== cut)).toMatchObject({ status: "done", content: "Draft answer." });
+    expect(buildSynthesisQuery("What is 2 + 2?", lanes)).not.toContain("Half a dra");
+  });
+
+  it("merges the lanes that answered into one synthesis request", () => {
+    const lanes = [
+      { content: "It is 4.", status: "done" },
+      { content: "", status: "cancelled" },
+      { content: "Partial", status: "error" },
+      { content: "Four.", status: "cancelled" },
+    ];
+    const query = buildSynthesisQuery("What is 2 + 2?", lanes);
+    expect(query).toContain("What is 2 + 2?");
+    expect(query).toContain("### Draft 1\nIt is 4.");
+    expect(query).toContain("### Draft 2\nFour.");
+    expect(query).not.toContain("Partial");
+
+    const parts = buildSynthesisQuery([{ type: "image_url", image_url: { url: "data:" } }], lanes);
+    expect(parts.map((part) => part.type)).toEqual(["text", "image_url", "text"]);
+
+    expect(() => buildSynthesisQuery("Hi", [{ content: "", status: "cancelled" }])).toThrow("None of the deep think");
+  });
+});
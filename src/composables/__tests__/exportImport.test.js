@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import localforage from "localforage";
+import { exportWorkspace, exportConversationJson, importData } from "../exportImport";
+import {
+  importConversation,
+  softDeleteConversation,
+  deleteConversation,
+  getConversation,
+  getConversationsMetadata,
+} from "../storeConversations";
+import { storeAttachment, getAttachment } from "../attachments";
+
+const provider = { id: "p1", name: "Local", base_url: "http://localhost:11434/v1", api_key: "sk-secret", models: [] };
+
+/**
+ * Saves a conversation with a single user message.
+ * @param {string} title - The title.
+ * @returns {Promise<string>} The conversation id.
+ */
+function saveChat(title) {
+  return importConversation({
+    title,
+    messages: [{ id: `${title}-u1`, parentId: null, role: "user", content: title, timestamp: new Date() }],
+  });
+}
+
+/**
+ * Exports the workspace and parses the file.
+ * @param {object} [options] - Options for exportWorkspace.
+ * @returns {Promise<object>} The backup.
+ */
+async function backup(options) {
+  return JSON.parse((await exportWorkspace(options)).content);
+}
+
+describe("workspace backups", () => {
+  it("leave out API keys and chats in the trash unless asked for", async () => {
+    await localforage.setItem("settings", { version: 3, providers: [provider] });
+    await saveChat("Kept");
+    await softDeleteConversation(await saveChat("Trashed"));
+
+    const plain = await backup();
+    expect(plain.settings.providers[0]).not.toHaveProperty("api_key");
+    expect(plain.conversations.map((conversation) => conversation.title)).toEqual(["Kept"]);
+
+    const full = await backup({ includeApiKeys: true, includeTrash: true });
+    expect(full.settings.providers[0].api_key).toBe("sk-secret");
+    expect(full.conversations.map((conversation) => conversation.title)).toEqual(["Kept", "Trashed"]);
+  });
+
+  it("keep the local API keys when restoring a backup made without them", async () => {
+    await localforage.setItem("settings", { version: 3, providers: [provider] });
+    const text = JSON.stringify(await backup());
+
+    await importData(text);
+
+    expect((await localforage.getItem("settings")).providers[0].api_key).toBe("sk-secret");
+  });
+});
+
+describe("conversation exports", () => {
+  /**
+   * Saves a chat whose first message carries a text file.
+   * @returns {Promise<string>} The conversation id.
+   */
+  async function saveChatWithFile() {
+    const meta = await storeAttachment({ id: "f1", name: "notes.txt", kind: "text", mimeType: "text/plain", size: 5, text: "notes" });
+    return importConversation({
+      title: "With file",
+      messages: [
+        { id: "u1", parentId: null, role: "user", content: "Read this", attachments: [meta], timestamp: new Date() },
+        { id: "a1", parentId: "u1", role: "assistant", content: "Done", complete: true, timestamp: new Date() },
+      ],
+    });
+  }
+
+  it("round-trip messages, branches and files", async () => {
+    const id = await saveChatWithFile();
+    const original = await getConversation(id);
+
+    await importData((await exportConversationJson(id)).content);
+
+    const copyId = (await getConversationsMetadata()).find((entry) => entry.id !== id).id;
+    const copy = await getConversation(copyId);
+    expect(copy.title).toBe("With file");
+    expect(copy.messages.map(({ id, parentId, content }) => ({ id, parentId, content }))).toEqual(
+      original.messages.map(({ id, parentId, content }) => ({ id, parentId, content })),
+    );
+    expect(copy.currentLeafId).toBe("a1");
+
+    const fileId = copy.messages[0].attachments[0].id;
+    expect(fileId).not.toBe("f1");
+    expect((await getAttachment(fileId)).text).toBe("notes");
+  });
+
+  it("give imported files their own ids, so deleting one copy keeps the other's", async () => {
+    const id = await saveChatWithFile();
+    const text = (await exportConversationJson(id)).content;
+    await importData(text);
+    await importData(text);
+
+    const copies = (await getConversationsMetadata()).filter((entry) => entry.id !== id);
+    const fileIds = [];
+    for (const { id: copyId } of copies) {
+      fileIds.push((await getConversation(copyId)).messages[0].attachments[0].id);
+    }
+    expect(new Set(fileIds).size).toBe(2);
+
+    await deleteConversation(copies[0].id);
+    expect(await getAttachment(fileIds[0])).toBeNull();
+    expect((await getAttachment(fileIds[1])).text).toBe("notes");
+    expect((await getAttachment("f1")).text).toBe("notes");
+  });
+
+  it("round-trip through a workspace backup", async () => {
+    await saveChatWithFile();
+    const text = (await exportWorkspace()).content;
+
+    await importData(text);
+
+    const metadata = await getConversationsMetadata();
+    expect(metadata).toHaveLength(2);
+    const copy = await getConversation(metadata[1].id);
+    expect((await getAttachment(copy.messages[0].attachments[0].id)).name).toBe("notes.txt");
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { t, te, setLocale, detectLocale, getPromptLanguage, locale } from "../i18n";
+import { generateSystemPrompt } from "../systemPrompt";
+import { savePrompt } from "../promptLibrary";
+import en from "../../locales/en";
+import id from "../../locales/id";
+
+/**
+ * Lists the dotted keys of a catalog. Plural messages count as one key.
+ * @param {object} catalog - A message catalog.
+ * @returns {string[]} The keys.
+ */
+function catalogKeys(catalog, prefix = "") {
+  return Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === "object" && !("other" in value) ? catalogKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`],
+  );
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  setLocale("en");
+});
+
+describe("i18n", () => {
+  it("fills in placeholders and picks plural forms", () => {
+    expect(t("sidebar.moveTo", { folder: "Work" })).toBe("Move to Work");
+    expect(t("settings.memory.factCount", { count: 1 })).toBe("1 fact about you");
+    expect(t("settings.memory.factCount", { count: 3 })).toBe("3 facts about you");
+
+    setLocale("id");
+    expect(t("settings.memory.factCount", { count: 3 })).toBe("3 fakta tentang kamu");
+  });
+
+  it("falls back to English, then to the key", () => {
+    setLocale("id");
+    expect(t("sidebar.newChat")).toBe("Pesan Baru");
+    expect(t("chat.tools.names.not_a_tool")).toBe("chat.tools.names.not_a_tool");
+    expect(te("chat.tools.names.calculator")).toBe(true);
+    expect(te("chat.tools.names.not_a_tool")).toBe(false);
+  });
+
+  it("has the same messages in every catalog", () => {
+    expect(catalogKeys(id).sort()).toEqual(catalogKeys(en).sort());
+  });
+
+  it("follows the browser unless a language is chosen", () => {
+    vi.stubGlobal("navigator", { languages: ["fr-FR", "id-ID", "en-US"] });
+    expect(detectLocale()).toBe("id");
+
+    setLocale("");
+    expect(locale.value).toBe("id");
+    setLocale("en");
+    expect(locale.value).toBe("en");
+
+    vi.stubGlobal("navigator", { languages: ["fr-FR"], language: "fr-FR" });
+    expect(detectLocale()).toBe("en");
+  });
+
+  it("tells the model which language to reply in", () => {
+    expect(getPromptLanguage({ language: "id" })).toBe("Indonesian (Bahasa Indonesia)");
+    expect(generateSystemPrompt([], { language: "id" }, [])).toContain(
+      "Write your replies in Indonesian (Bahasa Indonesia)",
+    );
+    expect(generateSystemPrompt([], { language: "en" }, [])).toContain("Write your replies in English");
+  });
+
+  it("translates errors shown to the user", async () => {
+    setLocale("id");
+    await expect(savePrompt({ name: "new", content: "Hi" })).rejects.toThrow("/new adalah perintah bawaan.");
+  });
+});
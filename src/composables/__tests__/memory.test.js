@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { updateMemory, getMemory, saveMemory, getChangeLog, findMatchingFact, applyMemoryOperations } from "../memory";
+import { createMockServer, completion } from "../../../mock-server/server.js";
+
+let server;
+let settings;
+
+beforeAll(async () => {
+  server = await createMockServer();
+  settings = {
+    providers: [
+      { id: "mock", name: "Mock", base_url: server.url, models: [{ id: "mock-model" }] },
+    ],
+    selected_provider_id: "mock",
+    selected_model_id: "mock-model",
+  };
+});
+
+afterAll(() => server.close());
+
+describe("updateMemory", () => {
+  it("applies operations from a fenced, commented JSON reply", async () => {
+    await saveMemory(["User is learning JavaScript"]);
+    server.enqueue(
+      completion(
+        '<think>The user switched languages.</think>\n```json\n{\n  "operation": "modify", // switch\n  "facts": {\n    "add": ["User likes tea",],\n    "modify": [{"old": "user is learning javascript", "new": "User is learning Python"}]\n  }\n}\n```'
+      )
+    );
+
+    await updateMemory("I'm learning Python now, and I love tea", [], settings);
+
+    expect(await getMemory()).toEqual(["User is learning Python", "User likes tea"]);
+    expect(await getChangeLog()).toHaveLength(2);
+    expect(server.requests.at(-1).body.model).toBe("mock-model");
+  });
+
+  it("leaves memory alone when the model answers none", async () => {
+    await saveMemory(["User's name is Ana"]);
+    server.enqueue(completion('{"operation": "none", "facts": {}}'));
+
+    await updateMemory("What's the weather like?", [], settings);
+
+    expect(await getMemory()).toEqual(["User's name is Ana"]);
+  });
+
+  it("rejects replies that contain no JSON", async () => {
+    server.enqueue(completion("Sorry, I can't help with that."));
+
+    await expect(updateMemory("Remember my name is Ana", [], settings)).rejects.toThrow(
+      /invalid JSON/
+    );
+  });
+});
+
+describe("findMatchingFact", () => {
+  it("tolerates case, punctuation and filler words", () => {
+    const memory = ["User's name is Ana", "User likes Python"];
+    expect(findMatchingFact(memory, "user likes python.")).toBe(1);
+    expect(findMatchingFact(memory, "The user's name is Ana")).toBe(0);
+    expect(findMatchingFact(memory, "User like Python")).toBe(1);
+  });
+
+  it("doesn't match facts whose content words differ", () => {
+    expect(findMatchingFact(["User lives in London"], "User lives in Paris")).toBe(-1);
+    expect(findMatchingFact(["User likes Python"], "User likes Java")).toBe(-1);
+    expect(findMatchingFact(["User likes Java and Python"], "User likes Java")).toBe(-1);
+    expect(findMatchingFact(["User is a teacher"], "User is")).toBe(-1);
+  });
+
+  it("leaves near-miss facts alone when removing or modifying", () => {
+    const memory = ["User lives in London", "User likes Python"];
+    const { memory: updated, changes } = applyMemoryOperations(memory, {
+      operation: "modify",
+      facts: {
+        add: [],
+        remove: ["User lives in Paris"],
+        modify: [{ old: "User likes Java", new: "User likes Rust" }],
+      },
+    });
+    expect(updated).toEqual(memory);
+    expect(changes).toEqual([]);
+  });
+});
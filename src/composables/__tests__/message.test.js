@@ -0,0 +1,398 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { handleIncomingMessage, getRetryDelay, buildContinuation } from "../message";
+import {
+  createMockServer,
+  loadFixture,
+  streamText,
+  completionChunk,
+  contentChunk,
+  reasoningChunk,
+  finishChunk,
+  errorChunk,
+  toolCallChunks,
+  splitBytes,
+  sse,
+  DONE,
+} from "../../../mock-server/server.js";
+
+let server;
+let settings;
+
+beforeAll(async () => {
+  server = await createMockServer();
+  settings = {
+    providers: [
+      {
+        id: "mock",
+        name: "Mock",
+        base_url: server.url,
+        api_key: "test-key",
+        models: [
+          { id: "mock-model", name: "Mock Model", tool_calling: true },
+          { id: "plain-model" },
+          { id: "switchable-model", reasoning: true, extra_parameters: { reasoning_effort: [["default", "none"], "default"] } },
+          { id: "graded-model", reasoning: true, extra_parameters: { reasoning_effort: [["low", "high"], "low"] } },
+        ],
+      },
+    ],
+    selected_provider_id: "mock",
+  };
+});
+
+afterAll(() => server.close());
+
+/**
+ * Runs handleIncomingMessage against the mock server and collects every chunk.
+ */
+async function collect(controller = new AbortController(), modelParameters = {}) {
+  const chunks = [];
+  for await (const chunk of handleIncomingMessage(
+    "Hi",
+    [],
+    controller,
+    "mock-model",
+    modelParameters,
+    settings
+  )) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+const joined = (chunks, key) => chunks.map((c) => c[key] ?? "").join("");
+
+describe("handleIncomingMessage", () => {
+  it("streams content from data: lines and sends the request to the provider", async () => {
+    server.enqueue(streamText(["Hello", ", ", "world"]));
+    const chunks = await collect();
+
+    expect(joined(chunks, "content")).toBe("Hello, world");
+    const request = server.requests.at(-1);
+    expect(request.headers.authorization).toBe("Bearer test-key");
+    expect(request.body.model).toBe("mock-model");
+    expect(request.body.stream).toBe(true);
+    expect(request.body.messages.at(-1)).toEqual({ role: "user", content: "Hi" });
+  });
+
+  it("sends content parts as the user message", async () => {
+    const parts = [
+      { type: "text", text: "What is this?" },
+      { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } },
+    ];
+    server.enqueue(streamText(["A cat"]));
+    for await (const chunk of handleIncomingMessage(parts, [], new AbortController(), "mock-model", {}, settings)) {
+      expect(chunk.error).toBeUndefined();
+    }
+
+    expect(server.requests.at(-1).body.messages.at(-1)).toEqual({ role: "user", content: parts });
+  });
+
+  it("separates reasoning from content in a recorded stream", async () => {
+    server.enqueue({ ...(await loadFixture("qwen-reasoning")), delay: 0 });
+    const chunks = await collect();
+
+    expect(joined(chunks, "reasoning")).toBe("Okay, the user wants a regex for ISO dates.");
+    expect(joined(chunks, "content")).toBe(
+      "Use `\\d{4}-\\d{2}-\\d{2}` to match dates like 2025-08-01."
+    );
+  });
+
+  it("yields the finish reason and token usage", async () => {
+    const usage = { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 };
+    server.enqueue({
+      chunks: [contentChunk("Hi"), finishChunk("length"), sse({ ...completionChunk({}), choices: [], usage }), DONE],
+    });
+    const chunks = await collect();
+
+    expect(server.requests.at(-1).body.stream_options).toEqual({ include_usage: true });
+    expect(chunks.find((c) => c.finishReason).finishReason).toBe("length");
+    expect(chunks.find((c) => c.usage).usage).toEqual(usage);
+  });
+
+  it("reads usage that Groq nests under x_groq", async () => {
+    const usage = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 };
+    server.enqueue({ chunks: [sse({ ...completionChunk({}, "stop"), x_groq: { usage } }), DONE] });
+
+    expect((await collect()).find((c) => c.usage).usage).toEqual(usage);
+  });
+
+  it("reassembles lines split across network chunks", async () => {
+    const line = contentChunk("partial line");
+    server.enqueue({ chunks: [line.slice(0, 10), line.slice(10, 30), line.slice(30), DONE] });
+
+    expect(joined(await collect(), "content")).toBe("partial line");
+  });
+
+  it("decodes multi-byte characters split across chunks", async () => {
+    // "é" and the emoji are multi-byte; split inside each of them
+    const line = contentChunk("café 🚀");
+    const offset = Buffer.from(line).indexOf(Buffer.from("é")) + 1;
+    const [first, rest] = splitBytes(line, offset);
+    const emojiOffset = rest.indexOf(Buffer.from("🚀")) + 2;
+    server.enqueue({
+      chunks: [first, rest.subarray(0, emojiOffset), rest.subarray(emojiOffset), DONE],
+    });
+
+    expect(joined(await collect(), "content")).toBe("café 🚀");
+  });
+
+  it("handles CRLF line endings and a final line without a newline", async () => {
+    server.enqueue({
+      chunks: [contentChunk("one").replace(/\n/g, "\r\n"), `data: ${JSON.stringify({ choices: [{ delta: { content: " two" } }] })}`],
+    });
+
+    expect(joined(await collect(), "content")).toBe("one two");
+  });
+
+  it("stops at [DONE] even when the server keeps the connection open", async () => {
+    server.enqueue({ chunks: [contentChunk("done"), DONE, contentChunk(" ignored")], holdOpen: true });
+
+    const chunks = await collect();
+    expect(joined(chunks, "content")).toBe("done");
+  });
+
+  it("marks a reply interrupted by an error sent mid-stream, keeping what arrived", async () => {
+    server.enqueue({
+      chunks: [contentChunk("Partial"), errorChunk("Model overloaded", "overloaded_error"), DONE],
+    });
+    const chunks = await collect();
+
+    expect(joined(chunks, "content")).toBe("Partial");
+    expect(chunks.at(-1)).toMatchObject({
+      interrupted: true,
+      errorDetails: { name: "overloaded_error", message: "Model overloaded" },
+    });
+    expect(chunks.some((c) => c.error)).toBe(false);
+  });
+
+  it("reports an error sent before any of the reply as a failed request", async () => {
+    server.enqueue({ chunks: [errorChunk("Model overloaded", "overloaded_error"), DONE] });
+    const chunks = await collect();
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ error: true, errorDetails: { name: "overloaded_error", message: "Model overloaded" } });
+  });
+
+  it("marks a stream that closes without [DONE] as interrupted", async () => {
+    server.enqueue({ chunks: [contentChunk("Cut off mid")] });
+    const chunks = await collect();
+
+    expect(joined(chunks, "content")).toBe("Cut off mid");
+    expect(chunks.at(-1)).toMatchObject({ interrupted: true, errorDetails: { name: "IncompleteStreamError" } });
+    expect(chunks.some((c) => c.error)).toBe(false);
+  });
+
+  it("skips lines that are not valid JSON", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    server.enqueue({ chunks: [sse("{not json"), ": keep-alive comment\n\n", contentChunk("ok"), DONE] });
+
+    expect(joined(await collect(), "content")).toBe("ok");
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("reports HTTP errors with the API's message", async () => {
+    server.enqueue({ status: 401, body: { error: { message: "Invalid API key" } } });
+    const chunks = await collect();
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].error).toBe(true);
+    expect(chunks[0].errorDetails.message).toContain("401");
+    expect(chunks[0].errorDetails.message).toContain("Invalid API key");
+  });
+
+  it("retries rate limits and server errors, honoring Retry-After", async () => {
+    const requests = server.requests.length;
+    server.enqueue(
+      { status: 429, headers: { "Retry-After": "0" }, body: { error: { message: "Rate limit exceeded" } } },
+      { status: 503, headers: { "Retry-After": "0" }, body: { error: { message: "Overloaded" } } },
+      streamText(["Made it"]),
+    );
+    const chunks = await collect();
+
+    expect(server.requests).toHaveLength(requests + 3);
+    expect(chunks.filter((c) => c.retry).map((c) => c.retry)).toEqual([
+      { attempt: 1, status: 429, delay: 0 },
+      { attempt: 2, status: 503, delay: 0 },
+    ]);
+    expect(joined(chunks, "content")).toBe("Made it");
+    expect(chunks.some((c) => c.error)).toBe(false);
+  });
+
+  it("gives up after a few retries", async () => {
+    const failure = { status: 500, headers: { "Retry-After": "0" }, body: { error: { message: "Internal error" } } };
+    server.enqueue(failure, failure, failure, failure);
+    const chunks = await collect();
+
+    expect(chunks.filter((c) => c.retry)).toHaveLength(3);
+    expect(chunks.at(-1).error).toBe(true);
+    expect(chunks.at(-1).errorDetails.message).toContain("500");
+  });
+
+  it("works out retry delays from Retry-After or backoff", () => {
+    const now = Date.parse("2026-10-19T12:00:00Z");
+    expect(getRetryDelay(0, null)).toBe(1000);
+    expect(getRetryDelay(2, null)).toBe(4000);
+    expect(getRetryDelay(10, null)).toBe(30000);
+    expect(getRetryDelay(0, "5")).toBe(5000);
+    expect(getRetryDelay(0, "Mon, 19 Oct 2026 12:00:10 GMT", now)).toBe(10000);
+    // Too long to wait for
+    expect(getRetryDelay(0, "600")).toBeNull();
+  });
+
+  it("marks a stream that drops partway as interrupted", async () => {
+    server.enqueue({ chunks: [contentChunk("Half an ans")], dropConnection: true });
+    const chunks = await collect();
+
+    expect(joined(chunks, "content")).toBe("Half an ans");
+    expect(chunks.at(-1)).toMatchObject({ interrupted: true, errorDetails: expect.any(Object) });
+    expect(chunks.some((c) => c.error)).toBe(false);
+  });
+
+  it("continues an interrupted reply from its partial answer", async () => {
+    const history = [{ role: "user", content: "Earlier" }, { role: "assistant", content: "Reply" }];
+    const { query, plainMessages } = buildContinuation(history, "Write a poem", "Roses are");
+    server.enqueue(streamText([" red"]));
+
+    const chunks = [];
+    for await (const chunk of handleIncomingMessage(query, plainMessages, new AbortController(), "mock-model", {}, settings)) {
+      chunks.push(chunk);
+    }
+
+    expect(joined(chunks, "content")).toBe(" red");
+    const sent = server.requests.at(-1).body.messages.slice(1);
+    expect(sent.slice(0, 4)).toEqual([
+      ...history,
+      { role: "user", content: "Write a poem" },
+      { role: "assistant", content: "Roses are" },
+    ]);
+    expect(sent[4].role).toBe("user");
+    expect(sent[4].content).toContain("cut off");
+  });
+
+  it("can be cancelled during a slow stream", async () => {
+    server.enqueue({
+      chunks: [reasoningChunk("thinking..."), contentChunk("slow"), finishChunk(), DONE],
+      delay: 200,
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 300);
+
+    const chunks = await collect(controller);
+    expect(chunks.at(-1).content).toBe("\n\n[STREAM CANCELED]");
+    expect(joined(chunks, "content")).not.toContain("slow");
+  });
+
+  it("sends the client-side tools and runs the calls the model makes", async () => {
+    server.enqueue(
+      {
+        chunks: [
+          ...toolCallChunks(0, "calculator", ['{"expre', 'ssion": "6 * ', '7"}']),
+          finishChunk("tool_calls"),
+          DONE,
+        ],
+      },
+      streamText(["The answer is 42."]),
+    );
+    const start = server.requests.length;
+    const chunks = await collect();
+
+    const [first, second] = server.requests.slice(start).map((request) => request.body);
+    expect(first.tools.map((tool) => tool.function.name)).toContain("calculator");
+    expect(first.tool_choice).toBe("auto");
+
+    // The call is echoed back with its result before the second request
+    expect(second.messages.at(-2)).toEqual({
+      role: "assistant",
+      content: null,
+      tool_calls: [
+        { id: "call_mock_0", type: "function", function: { name: "calculator", arguments: '{"expression": "6 * 7"}' } },
+      ],
+    });
+    expect(second.messages.at(-1).role).toBe("tool");
+    expect(second.messages.at(-1).tool_call_id).toBe("call_mock_0");
+    expect(JSON.parse(second.messages.at(-1).content).result).toBe(42);
+
+    const toolCalls = chunks.filter((c) => c.toolCall).map((c) => c.toolCall.status);
+    expect(toolCalls).toEqual(["running", "done"]);
+    expect(joined(chunks, "content")).toBe("The answer is 42.");
+    expect(chunks.filter((c) => c.finishReason).map((c) => c.finishReason)).toEqual(["tool_calls", "stop"]);
+  });
+
+  it("reports failed tool calls to the model instead of stopping", async () => {
+    server.enqueue(
+      { chunks: [...toolCallChunks(0, "no_such_tool", ["{}"]), finishChunk("tool_calls"), DONE] },
+      streamText(["Sorry."]),
+    );
+    const start = server.requests.length;
+    const chunks = await collect();
+
+    const toolCall = chunks.filter((c) => c.toolCall).at(-1).toolCall;
+    expect(toolCall.status).toBe("error");
+    expect(server.requests[start + 1].body.messages.at(-1).content).toContain("no_such_tool");
+    expect(joined(chunks, "content")).toBe("Sorry.");
+  });
+
+  it("leaves tools out when they are turned off", async () => {
+    server.enqueue(streamText(["ok"]));
+    const start = server.requests.length;
+    for await (const chunk of handleIncomingMessage("Hi", [], new AbortController(), "mock-model", {}, {
+      ...settings,
+      tools_enabled: false,
+    })) {
+      void chunk;
+    }
+    expect(server.requests[start].body.tools).toBeUndefined();
+  });
+
+  it("leaves tools out for custom models that aren't marked as accepting them", async () => {
+    server.enqueue(streamText(["ok"]));
+    const start = server.requests.length;
+    for await (const chunk of handleIncomingMessage("Hi", [], new AbortController(), "plain-model", {}, settings)) {
+      void chunk;
+    }
+    expect(server.requests[start].body.model).toBe("plain-model");
+    expect(server.requests[start].body.tools).toBeUndefined();
+  });
+
+  it("only sends a disabled reasoning effort to models that list it", async () => {
+    /**
+     * Sends a message to the model and returns the request body.
+     */
+    async function send(modelId, reasoning) {
+      server.enqueue(streamText(["ok"]));
+      for await (const chunk of handleIncomingMessage("Hi", [], new AbortController(), modelId, { reasoning }, settings)) {
+        void chunk;
+      }
+      return server.requests.at(-1).body;
+    }
+
+    expect((await send("switchable-model", { enabled: false, effort: "none" })).reasoning_effort).toBe("none");
+    expect((await send("graded-model", { enabled: true, effort: "high" })).reasoning_effort).toBe("high");
+    expect(await send("graded-model", { enabled: false, effort: "none" })).not.toHaveProperty("reasoning_effort");
+    expect(await send("plain-model", { enabled: true, effort: "high" })).not.toHaveProperty("reasoning_effort");
+  });
+
+  it("leaves tools out for models the provider doesn't list", async () => {
+    server.enqueue(streamText(["ok"]));
+    const start = server.requests.length;
+    for await (const chunk of handleIncomingMessage("Hi", [], new AbortController(), "unlisted-model", {}, settings)) {
+      void chunk;
+    }
+    expect(server.requests[start].body.model).toBe("unlisted-model");
+    expect(server.requests[start].body.tools).toBeUndefined();
+  });
+
+  it("applies the conversation's persona to the system prompt", async () => {
+    server.enqueue(streamText(["Ahoy"]));
+    const persona = { name: "Pirate", instructions: "Talk like a pirate.", modules: { coding_guidelines: false } };
+    for await (const chunk of handleIncomingMessage("Hi", [], new AbortController(), "mock-model", {}, settings, [], null, persona)) {
+      void chunk;
+    }
+
+    const system = server.requests.at(-1).body.messages[0];
+    expect(system.role).toBe("system");
+    expect(system.content).toContain("### Your Persona: Pirate\nTalk like a pirate.");
+    expect(system.content).not.toContain("### For Coding Tasks");
+  });
+});
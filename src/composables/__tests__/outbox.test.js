@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import localforage from "localforage";
+import { getOutbox, enqueueJob, removeConversationJobs, flushOutbox } from "../outbox";
+import {
+  createConversation,
+  retitleConversation,
+  renameConversation,
+  storeMessages,
+  deleteConversation,
+  getConversationsMetadata,
+  PENDING_TITLE,
+} from "../storeConversations";
+import { createMockServer, completion } from "../../../mock-server/server.js";
+
+let server;
+let settings;
+
+beforeAll(async () => {
+  server = await createMockServer();
+  settings = {
+    providers: [{ id: "mock", name: "Mock", base_url: server.url, models: [{ id: "mock-model" }] }],
+    selected_provider_id: "mock",
+    selected_model_id: "mock-model",
+  };
+});
+
+afterAll(() => server.close());
+
+afterEach(() => vi.unstubAllGlobals());
+
+const goOffline = () => vi.stubGlobal("navigator", { onLine: false });
+
+const userMessage = { id: "u1", parentId: null, role: "user", content: "Plan a trip", timestamp: new Date(), complete: true };
+
+describe("outbox", () => {
+  it("queues jobs in order with one title job per conversation", async () => {
+    await enqueueJob({ type: "title", conversationId: "c1" });
+    await enqueueJob({ type: "message", conversationId: "c1", messageId: "u1" });
+    await enqueueJob({ type: "title", conversationId: "c1" });
+    await enqueueJob({ type: "memory", userPrompt: "Hi", context: [] });
+
+    expect((await getOutbox()).map((job) => job.type)).toEqual(["title", "message", "memory"]);
+
+    await removeConversationJobs("c1");
+    expect((await getOutbox()).map((job) => job.type)).toEqual(["memory"]);
+  });
+
+  it("runs jobs in order, keeping the ones that wait or fail", async () => {
+    await enqueueJob({ type: "message", conversationId: "other", messageId: "u1" });
+    await enqueueJob({ type: "message", conversationId: "open", messageId: "u2" });
+    await enqueueJob({ type: "title", conversationId: "open" });
+    await enqueueJob({ type: "memory", userPrompt: "Hi", context: [] });
+
+    const ran = [];
+    const handlers = {
+      message: async (job) => {
+        ran.push(job.messageId);
+        return job.conversationId === "open";
+      },
+      title: async () => {
+        throw new Error("Bad gateway");
+      },
+      memory: async () => ran.push("memory"),
+    };
+
+    // A second flush while the first runs doesn't run the jobs twice
+    const [done] = await Promise.all([flushOutbox(handlers), flushOutbox(handlers)]);
+    expect(done).toBe(2);
+    expect(ran).toEqual(["u1", "u2", "memory"]);
+    expect((await getOutbox()).map((job) => [job.type, job.attempts])).toEqual([
+      ["message", 0],
+      ["title", 1],
+    ]);
+
+    // Title jobs are given up on after a few failures; messages never are
+    for (let i = 0; i < 4; i++) await flushOutbox(handlers);
+    expect((await getOutbox()).map((job) => job.type)).toEqual(["message"]);
+  });
+
+  it("stops when the app is offline", async () => {
+    await enqueueJob({ type: "memory", userPrompt: "Hi", context: [] });
+    goOffline();
+    const memory = vi.fn();
+    expect(await flushOutbox({ memory })).toBe(0);
+    expect(memory).not.toHaveBeenCalled();
+    expect(await getOutbox()).toHaveLength(1);
+  });
+});
+
+describe("offline conversations", () => {
+  it("are saved with a pending title that is generated once back online", async () => {
+    goOffline();
+    const requests = server.requests.length;
+    const id = await createConversation([{ ...userMessage, queued: true }], new Date(), settings);
+
+    expect(server.requests).toHaveLength(requests);
+    const record = await localforage.getItem(`conversation_${id}`);
+    expect(record.title).toBe(PENDING_TITLE);
+    expect(record.messages[0].queued).toBe(true);
+    expect(await getOutbox()).toEqual([expect.objectContaining({ type: "title", conversationId: id })]);
+
+    vi.unstubAllGlobals();
+    server.enqueue(completion("Trip planning"));
+    expect(await retitleConversation(id, settings)).toBe("Trip planning");
+    expect((await localforage.getItem(`conversation_${id}`)).title).toBe("Trip planning");
+    expect(await getConversationsMetadata()).toEqual([expect.objectContaining({ id, title: "Trip planning" })]);
+
+    // Sent messages lose the queued flag
+    await storeMessages(id, [userMessage], new Date());
+    expect((await localforage.getItem(`conversation_${id}`)).messages[0]).not.toHaveProperty("queued");
+  });
+
+  it("are saved when the title request fails, and keep a name given meanwhile", async () => {
+    server.enqueue({ status: 502, body: { error: { message: "Bad gateway" } } });
+    const id = await createConversation([userMessage], new Date(), settings);
+    expect((await localforage.getItem(`conversation_${id}`)).title).toBe(PENDING_TITLE);
+    expect(await getOutbox()).toHaveLength(1);
+
+    await renameConversation(id, "My trip");
+    expect(await retitleConversation(id, settings)).toBeNull();
+    expect((await localforage.getItem(`conversation_${id}`)).title).toBe("My trip");
+
+    await deleteConversation(id);
+    expect(await getOutbox()).toEqual([]);
+  });
+});
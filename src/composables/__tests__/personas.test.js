@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import localforage from "localforage";
+import {
+  normalizePersona,
+  getPersonas,
+  savePersona,
+  deletePersona,
+  exportPersonas,
+  importPersonas,
+  DEFAULT_AVATAR,
+} from "../personas";
+import { generateSystemPrompt, PROMPT_MODULES } from "../systemPrompt";
+import { storePersona } from "../storeConversations";
+
+const reviewer = {
+  name: "Code reviewer",
+  avatar: "🧐",
+  instructions: "Point out bugs before style issues.",
+  modules: { interaction_style: false, formatting_rules: "### Formatting\nReply in plain text.", unknown: false },
+  model: { providerId: "hackclub", modelId: "qwen/qwen3-32b" },
+  parameters: { temperature: 0.2, top_p: 5, seed: "7" },
+};
+
+describe("personas", () => {
+  it("keeps only known modules and valid parameters", () => {
+    const persona = normalizePersona(reviewer);
+    expect(persona.modules).toEqual({
+      interaction_style: false,
+      formatting_rules: "### Formatting\nReply in plain text.",
+    });
+    expect(persona.parameters).toEqual({ temperature: 0.2 });
+    expect(persona.model).toEqual({ providerId: "hackclub", modelId: "qwen/qwen3-32b" });
+    expect(normalizePersona({ name: "Plain", model: { providerId: "x" } })).toMatchObject({
+      avatar: DEFAULT_AVATAR,
+      model: null,
+      modules: {},
+    });
+  });
+
+  it("leaves out and replaces system prompt modules and adds its instructions", () => {
+    const prompt = generateSystemPrompt([], { custom_instructions: "Be brief." }, [], null, normalizePersona(reviewer));
+    const style = PROMPT_MODULES.find((module) => module.key === "interaction_style").content;
+
+    expect(prompt).not.toContain(style);
+    expect(prompt).toContain("Reply in plain text.");
+    expect(prompt).not.toContain("Please do not use LaTeX syntax.");
+    expect(prompt).toContain("### Your Persona: Code reviewer\nPoint out bugs before style issues.");
+    // The user's own instructions still come last
+    expect(prompt.trim().endsWith("Be brief.")).toBe(true);
+
+    const identityless = generateSystemPrompt([], {}, [], null, { name: "Bare", modules: { core_identity: false } });
+    expect(identityless.startsWith("### Guiding Principles")).toBe(true);
+    expect(generateSystemPrompt([], {}, [])).toContain(style);
+  });
+
+  it("saves, lists and deletes personas", async () => {
+    await expect(savePersona({ name: "  " })).rejects.toThrow("name");
+    const saved = await savePersona(reviewer);
+    await savePersona({ ...saved, name: "Reviewer" });
+    await savePersona({ name: "Analyst" });
+
+    expect((await getPersonas()).map((persona) => persona.name)).toEqual(["Analyst", "Reviewer"]);
+    await deletePersona(saved.id);
+    expect((await getPersonas()).map((persona) => persona.name)).toEqual(["Analyst"]);
+  });
+
+  it("round-trips through an export file without duplicating on re-import", async () => {
+    const saved = await savePersona(reviewer);
+    const file = exportPersonas([saved]);
+    expect(file.filename).toBe("zewro-code-reviewer.json");
+
+    await deletePersona(saved.id);
+    expect(await importPersonas(file.content)).toBe(1);
+    expect(await importPersonas(file.content)).toBe(0);
+    const [imported] = await getPersonas();
+    expect(imported).toMatchObject({ id: saved.id, name: "Code reviewer", parameters: { temperature: 0.2 } });
+    expect(imported.updatedAt).toBeInstanceOf(Date);
+
+    // A bare persona object works too
+    expect(await importPersonas(JSON.stringify({ name: "Tutor" }))).toBe(1);
+    await expect(importPersonas("{")).rejects.toThrow("not valid JSON");
+    await expect(importPersonas(JSON.stringify([{ avatar: "x" }]))).rejects.toThrow("No personas");
+  });
+
+  it("is saved on the conversation record", async () => {
+    await localforage.setItem("conversation_c1", { title: "Chat", messages: [] });
+    const persona = await savePersona(reviewer);
+    await storePersona("c1", persona);
+    expect((await localforage.getItem("conversation_c1")).persona).toMatchObject({ id: persona.id, avatar: "🧐" });
+
+    await storePersona("c1", null);
+    expect((await localforage.getItem("conversation_c1")).persona).toBeNull();
+  });
+});
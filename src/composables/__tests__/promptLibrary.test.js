@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import {
+  getPrompts,
+  savePrompt,
+  deletePrompt,
+  importPrompts,
+  normalizePromptName,
+  getPromptVariables,
+  fillPromptVariables,
+  parseSlashCommand,
+  getSlashSuggestions,
+  findModelByQuery,
+} from "../promptLibrary";
+
+const providers = [
+  {
+    id: "hackclub",
+    name: "Hack Club",
+    models: [
+      { id: "qwen/qwen3-32b", name: "Qwen 3 32B" },
+      { id: "openai/gpt-oss-120b", name: "GPT OSS 120B" },
+    ],
+  },
+  { id: "local", name: "Ollama", models: [{ id: "llama3.1:8b", name: "Llama 3.1 8B" }] },
+];
+
+describe("prompt library", () => {
+  it("saves, updates and deletes prompts under a slash-friendly name", async () => {
+    const saved = await savePrompt({ name: "  /Explain Code ", content: "Explain this {{language}} code:\n{{selection}}" });
+    expect(saved.name).toBe("explain-code");
+
+    await savePrompt({ ...saved, description: "Walk through code" });
+    await savePrompt({ name: "Bugs", content: "Find bugs" });
+    expect((await getPrompts()).map((prompt) => [prompt.name, prompt.description])).toEqual([
+      ["bugs", ""],
+      ["explain-code", "Walk through code"],
+    ]);
+
+    await deletePrompt(saved.id);
+    expect((await getPrompts()).map((prompt) => prompt.name)).toEqual(["bugs"]);
+  });
+
+  it("rejects empty prompts and names that are taken", async () => {
+    await savePrompt({ name: "bugs", content: "Find bugs" });
+    await expect(savePrompt({ name: "", content: "x" })).rejects.toThrow("name");
+    await expect(savePrompt({ name: "x", content: "  " })).rejects.toThrow("empty");
+    await expect(savePrompt({ name: "New", content: "x" })).rejects.toThrow("built-in");
+    await expect(savePrompt({ name: "Bugs", content: "x" })).rejects.toThrow("already exists");
+  });
+
+  it("imports prompts from a backup without duplicating names", async () => {
+    await savePrompt({ name: "bugs", content: "Find bugs" });
+    const backup = [
+      { id: "x", name: "bugs", content: "Other text" },
+      { id: "y", name: "tldr", content: "Summarize {{selection}}", updatedAt: "2026-01-01T00:00:00.000Z" },
+      { id: "z", name: "new", content: "Shadows a command" },
+    ];
+    expect(await importPrompts(backup)).toBe(1);
+    expect(await importPrompts(backup)).toBe(0);
+    const prompts = await getPrompts();
+    expect(prompts.map((prompt) => [prompt.name, prompt.content])).toEqual([
+      ["bugs", "Find bugs"],
+      ["tldr", "Summarize {{selection}}"],
+    ]);
+    expect(prompts[1].updatedAt).toBeInstanceOf(Date);
+  });
+
+  it("fills the variables it has values for and leaves the rest", () => {
+    const content = "Translate to {{ language }}:\n{{selection}}\nTone: {{tone}}";
+    expect(getPromptVariables(content)).toEqual(["language", "selection", "tone"]);
+    expect(fillPromptVariables(content, { language: "Indonesian", selection: "" })).toBe(
+      "Translate to Indonesian:\n{{selection}}\nTone: {{tone}}",
+    );
+    expect(normalizePromptName("Fix grammar!")).toBe("fix-grammar");
+  });
+});
+
+describe("slash commands", () => {
+  it("parses the command name and its arguments", () => {
+    expect(parseSlashCommand("/mod")).toEqual({ name: "mod", args: null });
+    expect(parseSlashCommand("/model ")).toEqual({ name: "model", args: "" });
+    expect(parseSlashCommand("/export json")).toEqual({ name: "export", args: "json" });
+    expect(parseSlashCommand("hello /new")).toBeNull();
+    expect(parseSlashCommand("/new\nmore text")).toBeNull();
+  });
+
+  it("suggests commands and saved prompts, best matches first", () => {
+    const prompts = [{ id: "p1", name: "renew-contract", description: "", content: "Draft a renewal\nletter" }];
+    expect(getSlashSuggestions("/", prompts, providers).map((item) => item.name)).toEqual([
+      "new",
+      "model",
+      "clear-memory",
+      "export",
+      "renew-contract",
+    ]);
+    expect(getSlashSuggestions("/new", prompts, providers).map((item) => [item.kind, item.name])).toEqual([
+      ["command", "new"],
+      ["prompt", "renew-contract"],
+    ]);
+    expect(getSlashSuggestions("/renew", prompts, providers)[0].description).toBe("Draft a renewal");
+    expect(getSlashSuggestions("/new now", prompts, providers)).toEqual([]);
+  });
+
+  it("suggests and resolves models for /model", () => {
+    expect(getSlashSuggestions("/model llama", [], providers)).toEqual([
+      expect.objectContaining({ kind: "model", name: "llama3.1:8b", providerId: "local", modelId: "llama3.1:8b" }),
+    ]);
+    expect(findModelByQuery("GPT OSS", providers)).toEqual({ providerId: "hackclub", modelId: "openai/gpt-oss-120b" });
+    expect(findModelByQuery("qwen/qwen3-32b", providers)).toEqual({ providerId: "hackclub", modelId: "qwen/qwen3-32b" });
+    // Ambiguous or unknown models aren't guessed
+    expect(findModelByQuery("3", providers)).toBeNull();
+    expect(findModelByQuery("mistral", providers)).toBeNull();
+  });
+});
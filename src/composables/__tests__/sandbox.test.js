@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from "vitest";
+import vm from "node:vm";
+import { SANDBOX_POLICY, buildSandboxDocument, runInSandbox } from "../sandbox";
+import SANDBOX_WORKER_SOURCE from "../sandbox.worker.js?raw";
+
+/**
+ * Runs code in sandbox.worker.js the way the sandbox's worker would, in a
+ * global scope that starts out with the APIs a real worker has.
+ * @param {string} code - The code to run.
+ * @returns {Promise<object>} What the worker posted back.
+ */
+function runInWorkerScope(code) {
+  const reached = [];
+  const scope = {
+    fetch: () => reached.push("fetch"),
+    indexedDB: { open: () => reached.push("indexedDB") },
+    Worker: function Worker() {
+      reached.push("Worker");
+    },
+    SharedWorker: function SharedWorker() {
+      reached.push("SharedWorker");
+    },
+    importScripts: () => reached.push("importScripts"),
+    URL: { createObjectURL: () => "blob:sandbox" },
+    Blob: function Blob() {},
+  };
+  scope.self = scope;
+  const context = vm.createContext(scope);
+  return new Promise((resolve) => {
+    scope.postMessage = (data) => resolve({ ...data, reached });
+    vm.runInContext(SANDBOX_WORKER_SOURCE, context);
+    scope.onmessage({ data: { code } });
+  });
+}
+
+describe("sandbox", () => {
+  it("runs in a frame whose policy blocks requests and script URLs", () => {
+    const policy = Object.fromEntries(
+      SANDBOX_POLICY.split("; ").map((directive) => {
+        const [name, ...values] = directive.split(" ");
+        return [name, values];
+      }),
+    );
+    expect(policy["connect-src"]).toEqual(["'none'"]);
+    expect(policy["default-src"]).toEqual(["'none'"]);
+    // Only inline and eval'd code; no origins, blob: or data: that import() could load
+    expect(policy["script-src"]).toEqual(["'unsafe-inline'", "'unsafe-eval'"]);
+
+    const html = buildSandboxDocument();
+    expect(html).toContain(`content="${SANDBOX_POLICY}"`);
+    expect(html.match(/<\/script>/g)).toHaveLength(1);
+  });
+
+  it("keeps nested workers, storage and the network out of the code's reach", async () => {
+    const nested = await runInWorkerScope(`
+      const worker = new Worker(URL.createObjectURL(new Blob(["fetch('https://evil.example')"])));
+      return worker;
+    `);
+    expect(nested.error).toMatch(/TypeError/);
+
+    const shared = await runInWorkerScope("return new SharedWorker('x.js')");
+    expect(shared.error).toMatch(/TypeError/);
+
+    const probe = await runInWorkerScope(`
+      return [typeof fetch, typeof indexedDB, typeof importScripts, typeof Worker, typeof SharedWorker];
+    `);
+    expect(JSON.parse(probe.result)).toEqual(Array(5).fill("undefined"));
+    expect([nested, shared, probe].flatMap((run) => run.reached)).toEqual([]);
+  });
+
+  it("still runs ordinary code and captures its console output", async () => {
+    const { result, logs } = await runInWorkerScope("console.log('hi', { a: 1 }); return 6 * 7;");
+    expect(result).toBe("42");
+    expect(logs).toEqual(['hi {\n  "a": 1\n}']);
+  });
+
+  it("uses an opaque-origin frame and removes it when done", async () => {
+    vi.useFakeTimers();
+    const run = runInSandbox("while (true) {}", { timeoutMs: 1000 });
+    const frame = document.querySelector("iframe");
+    expect(frame.getAttribute("sandbox")).toBe("allow-scripts");
+    expect(frame.srcdoc).toContain("connect-src 'none'");
+
+    vi.advanceTimersByTime(1000);
+    await expect(run).rejects.toThrow("timed out");
+    expect(document.querySelector("iframe")).toBeNull();
+    vi.useRealTimers();
+  });
+});
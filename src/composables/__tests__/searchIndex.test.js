@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import localforage from "localforage";
+
+// The index is cached in the module, so each test starts from a fresh copy
+let searchIndex;
+
+beforeEach(async () => {
+  vi.resetModules();
+  searchIndex = await import("../searchIndex");
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function message(id, content, complete = true) {
+  return { id, role: "user", content, complete };
+}
+
+/**
+ * Stores a conversation the way storeConversations.js does, then indexes it.
+ * @param {string} id - The conversation id.
+ * @param {object[]} messages - Its messages.
+ */
+async function saveConversation(id, messages) {
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  if (!metadata.some((entry) => entry.id === id)) {
+    await localforage.setItem("conversations_metadata", [...metadata, { id, title: id }]);
+  }
+  await localforage.setItem(`conversation_${id}`, { title: id, messages });
+  await searchIndex.indexConversation(id, messages);
+}
+
+describe("searchIndex", () => {
+  it("finds messages by word prefixes and highlights them", async () => {
+    await saveConversation("c1", [message("m1", "How do I sort an array in JavaScript?")]);
+    await saveConversation("c2", [message("m2", "Sorting lists in Python")]);
+
+    const results = await searchIndex.searchConversations("sort java");
+    expect(results).toEqual([
+      expect.objectContaining({ conversationId: "c1", messageId: "m1", title: "c1" }),
+    ]);
+    expect(results[0].snippet).toContain("<mark>sort</mark>");
+    expect((await searchIndex.searchConversations("sort")).map((result) => result.messageId)).toEqual(["m2", "m1"]);
+    expect(await searchIndex.searchConversations("rust")).toEqual([]);
+  });
+
+  it("indexes replies once they are complete, and only rewrites the changed conversation", async () => {
+    await saveConversation("other", [message("o1", "Unrelated chat")]);
+    const user = message("m1", "Tell me about whales");
+    await saveConversation("c1", [user, message("m2", "Whales are mammals", false)]);
+    expect(await searchIndex.searchConversations("mammals")).toEqual([]);
+
+    const setItem = vi.spyOn(localforage, "setItem");
+    // Saving again while the reply streams writes nothing to the index
+    await searchIndex.indexConversation("c1", [user, message("m2", "Whales are mammals that", false)]);
+    expect(setItem).not.toHaveBeenCalled();
+
+    await searchIndex.indexConversation("c1", [user, message("m2", "Whales are mammals that breathe air")]);
+    expect(setItem.mock.calls.map(([key]) => key)).toEqual(["search_index_c1"]);
+    expect((await searchIndex.searchConversations("breathe")).map((result) => result.messageId)).toEqual(["m2"]);
+  });
+
+  it("drops removed messages and deleted conversations", async () => {
+    await saveConversation("c1", [message("m1", "Keep this"), message("m2", "Branch to drop")]);
+    await saveConversation("c1", [message("m1", "Keep this")]);
+    expect(await searchIndex.searchConversations("branch")).toEqual([]);
+
+    await searchIndex.removeConversationFromIndex("c1");
+    expect(await searchIndex.searchConversations("keep")).toEqual([]);
+    expect(await localforage.getItem("search_index_c1")).toBeNull();
+  });
+
+  it("builds the index from stored conversations and reloads it", async () => {
+    await localforage.setItem("conversations_metadata", [{ id: "old", title: "Old" }]);
+    await localforage.setItem("conversation_old", { title: "Old", messages: [message("m1", "Saved before search")] });
+    expect((await searchIndex.searchConversations("before")).map((result) => result.conversationId)).toEqual(["old"]);
+
+    vi.resetModules();
+    const reloaded = await import("../searchIndex");
+    expect((await reloaded.searchConversations("saved")).map((result) => result.messageId)).toEqual(["m1"]);
+  });
+});
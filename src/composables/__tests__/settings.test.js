@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import localforage from "localforage";
+import Settings, {
+  SETTINGS_SCHEMA,
+  SETTINGS_VERSION,
+  createDefaultSettings,
+  validateSetting,
+  describeProblem,
+  migrateSettings,
+} from "../settings";
+import { setLocale } from "../i18n";
+import { defineMigrations, runMigrations } from "../migrations";
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("migrations", () => {
+  const steps = defineMigrations([
+    { version: 1, description: "Add b", up: (record) => ({ ...record, b: 1 }) },
+    { version: 2, description: "Double b", up: (record) => ({ ...record, b: record.b * 2 }) },
+  ]);
+
+  it("runs the steps newer than the record, in order", () => {
+    expect(runMigrations({ a: 1 }, steps)).toEqual({ record: { a: 1, b: 2, version: 2 }, migrated: true });
+    expect(runMigrations({ b: 5, version: 1 }, steps).record).toEqual({ b: 10, version: 2 });
+
+    const current = { b: 3, version: 2 };
+    expect(runMigrations(current, steps)).toEqual({ record: current, migrated: false });
+    expect(runMigrations({ version: 7 }, steps).record).toEqual({ version: 7 });
+  });
+
+  it("rejects steps that are out of order", () => {
+    expect(() => defineMigrations([...steps].reverse())).toThrow("out of order");
+    expect(() => defineMigrations([{ version: 1.5, description: "Half", up: (record) => record }])).toThrow();
+  });
+});
+
+describe("settings", () => {
+  it("builds the defaults from the schema", () => {
+    const defaults = createDefaultSettings();
+    expect(defaults.version).toBe(SETTINGS_VERSION);
+    expect(defaults.user_name).toBeNull();
+    expect(defaults.selected_model_id).toBe(SETTINGS_SCHEMA.selected_model_id.default);
+    for (const [key, value] of Object.entries(defaults)) {
+      if (key !== "version") expect(validateSetting(key, value)).toBeNull();
+    }
+
+    // Every copy is a fresh one
+    defaults.providers.push({ id: "x", base_url: "", models: [] });
+    expect(createDefaultSettings().providers).toEqual([]);
+  });
+
+  it("rejects values that don't match the schema", async () => {
+    expect(validateSetting("deep_think_branches", 4)).toBeNull();
+    expect(validateSetting("deep_think_branches", "4")).toEqual({ code: "wrongType", type: "number" });
+    expect(validateSetting("deep_think_branches", 2.5)).toEqual({ code: "notWhole" });
+    expect(validateSetting("deep_think_branches", 9)).toEqual({ code: "tooLarge", max: 5 });
+    expect(validateSetting("speech_rate", NaN)).toEqual({ code: "wrongType", type: "number" });
+    expect(validateSetting("language", "fr")).toMatchObject({ code: "notAllowed" });
+    expect(validateSetting("tools_enabled", null)).toEqual({ code: "empty" });
+    expect(validateSetting("occupation", null)).toBeNull();
+    expect(validateSetting("providers", [{ name: "No id" }])).toEqual({ code: "invalidProviders" });
+    expect(validateSetting("model_parameters", { "qwen/qwen3-32b": 0.7 })).toEqual({ code: "invalidModelParameters" });
+    expect(validateSetting("favourite_colour", "blue")).toEqual({ code: "unknown" });
+
+    const manager = new Settings();
+    await manager.loadSettings();
+    expect(() => manager.setSetting("speech_rate", 10)).toThrow('Can\'t set "speech_rate" to 10');
+    manager.setSetting("speech_rate", 1.5);
+    expect(manager.getSetting("speech_rate")).toBe(1.5);
+  });
+
+  it("describes problems in the UI's language", () => {
+    setLocale("en");
+    expect(describeProblem(validateSetting("deep_think_branches", 9))).toBe("must be at most 5");
+    expect(describeProblem(validateSetting("deep_think_branches", "4"))).toBe("must be a number");
+
+    setLocale("id");
+    expect(describeProblem(validateSetting("deep_think_branches", 9))).toBe("maksimal 5");
+    expect(describeProblem(validateSetting("tools_enabled", "yes"))).toBe("harus berupa aktif atau nonaktif");
+    setLocale("en");
+  });
+
+  it("reports settings that couldn't be saved", async () => {
+    const manager = new Settings();
+    await manager.loadSettings();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(localforage, "setItem").mockRejectedValueOnce(new Error("QuotaExceededError"));
+
+    manager.setSetting("user_name", "Ada");
+    await expect(manager.saveSettings()).rejects.toThrow("QuotaExceededError");
+
+    await manager.saveSettings();
+    expect((await localforage.getItem("settings")).user_name).toBe("Ada");
+  });
+
+  it("migrates saved settings and replaces invalid values with defaults", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const settings = migrateSettings({
+      version: 2,
+      user_name: "Ada",
+      selected_model_name: null,
+      deep_think_branches: 40,
+      added_later: true,
+    });
+
+    expect(settings).toMatchObject({
+      version: SETTINGS_VERSION,
+      user_name: "Ada",
+      selected_model_name: SETTINGS_SCHEMA.selected_model_name.default,
+      deep_think_branches: SETTINGS_SCHEMA.deep_think_branches.default,
+      added_later: true,
+      tools_enabled: true,
+    });
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("loads migrated settings and resets to the schema's defaults", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    await localforage.setItem("settings", { version: 2, user_name: "Ada", selected_model_name: null });
+
+    const manager = new Settings();
+    await manager.loadSettings();
+    expect(manager.settings.user_name).toBe("Ada");
+    expect(manager.settings.selected_model_name).toBe("Qwen 3 32B");
+    expect((await localforage.getItem("settings")).version).toBe(SETTINGS_VERSION);
+
+    manager.setSetting("tools_enabled", false);
+    await manager.resetSettings();
+    expect(manager.settings).toMatchObject(createDefaultSettings());
+    expect(await localforage.getItem("settings")).toEqual(createDefaultSettings());
+  });
+});
@@ -0,0 +1,26 @@
+import { vi, beforeEach } from "vitest";
+
+// localforage needs IndexedDB, which Node doesn't have. Tests use an in-memory
+// store with the same async API; values are cloned like IndexedDB would.
+vi.mock("localforage", () => {
+  const store = new Map();
+  return {
+    default: {
+      getItem: async (key) => (store.has(key) ? structuredClone(store.get(key)) : null),
+      setItem: async (key, value) => {
+        store.set(key, structuredClone(value));
+        return value;
+      },
+      removeItem: async (key) => {
+        store.delete(key);
+      },
+      clear: async () => store.clear(),
+      keys: async () => [...store.keys()],
+    },
+  };
+});
+
+beforeEach(async () => {
+  const { default: localforage } = await import("localforage");
+  await localforage.clear();
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  markdownToSpeech,
+  takeSentences,
+  createSpeechReader,
+  speakMarkdown,
+  startDictation,
+  getSpeechLanguage,
+} from "../speech";
+
+/**
+ * Stands in for the browser's speech synthesis, finishing each utterance right away.
+ */
+function stubSpeechSynthesis() {
+  const spoken = [];
+  const speechSynthesis = {
+    getVoices: () => [{ voiceURI: "voice-id", name: "Voice", lang: "id-ID" }],
+    speak: (utterance) => {
+      spoken.push(utterance);
+      queueMicrotask(() => utterance.onend?.());
+    },
+    cancel: vi.fn(),
+  };
+  vi.stubGlobal("window", { speechSynthesis });
+  vi.stubGlobal(
+    "SpeechSynthesisUtterance",
+    class {
+      constructor(text) {
+        this.text = text;
+      }
+    },
+  );
+  return { spoken, speechSynthesis };
+}
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("markdownToSpeech", () => {
+  it("keeps the words and drops markup, code, math and link targets", () => {
+    const text = [
+      "## Summary",
+      "",
+      "Use **`npm test`** to run [the tests](https://example.com/tests), see<sup>1</sup>.",
+      "",
+      "```sh",
+      "npm test",
+      "```",
+      "",
+      "- [x] Costs $5 or $10 a month, where $x^2$ is the area.",
+      "> Quoted *text*",
+      "",
+      "| Name | Size |",
+      "|------|-----:|",
+      "| a.js | 2 KB |",
+    ].join("\n");
+
+    expect(markdownToSpeech(text).split("\n").filter(Boolean)).toEqual([
+      "Summary",
+      "Use npm test to run the tests, see 1 .",
+      "Costs $5 or $10 a month, where is the area.",
+      "Quoted text",
+      "Name, Size",
+      "a.js, 2 KB",
+    ]);
+  });
+});
+
+describe("takeSentences", () => {
+  it("takes finished sentences and lines, leaving the rest for later", () => {
+    expect(takeSentences("# Title\nFirst one. Second one! Third is unfin")).toEqual({
+      sentences: ["Title", "First one.", "Second one!"],
+      consumed: 30,
+    });
+    expect(takeSentences("Pi is 3.14 and e is 2.7", true).sentences).toEqual(["Pi is 3.14 and e is 2.7"]);
+  });
+
+  it("skips code blocks, waiting for them to close", () => {
+    const open = "Here is code:\n```js\nconsole.log(1). More.\n";
+    expect(takeSentences(open)).toEqual({ sentences: ["Here is code:"], consumed: 14 });
+
+    const closed = `${open}\`\`\`\nThat prints 1. Done`;
+    expect(takeSentences(closed).sentences).toEqual(["Here is code:", "That prints 1."]);
+    expect(takeSentences(closed, true).sentences).toEqual(["Here is code:", "That prints 1.", "Done"]);
+  });
+});
+
+describe("read aloud", () => {
+  it("reads a streaming reply a sentence at a time with the chosen voice and rate", async () => {
+    const { spoken } = stubSpeechSynthesis();
+    const settings = { speech_voice: "voice-id", speech_rate: 1.5 };
+    const reader = createSpeechReader(settings);
+
+    reader.update("Hello there.");
+    reader.update("Hello there. How are");
+    reader.update("Hello there. How are you? I am");
+    await reader.finish("Hello there. How are you? I am fine");
+
+    expect(spoken.map((utterance) => utterance.text)).toEqual(["Hello there.", "How are you?", "I am fine"]);
+    expect(spoken[0]).toMatchObject({ lang: "id-ID", rate: 1.5, voice: { voiceURI: "voice-id" } });
+  });
+
+  it("stops reading when cancelled", async () => {
+    const { spoken, speechSynthesis } = stubSpeechSynthesis();
+    const reader = createSpeechReader({});
+
+    reader.update("One. Two");
+    reader.cancel();
+    await reader.finish("One. Two. Three.");
+
+    expect(speechSynthesis.cancel).toHaveBeenCalled();
+    expect(spoken).toEqual([]);
+  });
+
+  it("reads a whole message without its code", async () => {
+    const { spoken } = stubSpeechSynthesis();
+    await speakMarkdown("Run this:\n\n```py\nprint('hi')\n```\n\nIt prints *hi*.", { speech_language: "en-GB" });
+    expect(spoken.map((utterance) => [utterance.text, utterance.lang])).toEqual([
+      ["Run this:", "en-GB"],
+      ["It prints hi.", "en-GB"],
+    ]);
+  });
+});
+
+describe("dictation", () => {
+  it("reports final and interim results, and errors when it ends", () => {
+    let recognition;
+    vi.stubGlobal("window", {
+      webkitSpeechRecognition: class {
+        constructor() {
+          recognition = this;
+        }
+        start() {}
+        stop() {
+          this.onend();
+        }
+      },
+    });
+    const onResult = vi.fn();
+    const onEnd = vi.fn();
+
+    const dictation = startDictation({ lang: "id-ID", onResult, onEnd });
+    expect(recognition).toMatchObject({ lang: "id-ID", continuous: true, interimResults: true });
+
+    const result = (transcript, isFinal) => Object.assign([{ transcript }], { isFinal });
+    recognition.onresult({ results: [result("Halo ", true), result("apa kab", false)] });
+    expect(onResult).toHaveBeenLastCalledWith("Halo apa kab", "apa kab");
+
+    recognition.onerror({ error: "not-allowed" });
+    dictation.stop();
+    expect(onEnd).toHaveBeenCalledWith("not-allowed");
+  });
+
+  it("listens in the app's language unless another one is chosen", () => {
+    vi.stubGlobal("document", { documentElement: { lang: "id" } });
+    expect(getSpeechLanguage({ speech_language: "" })).toBe("id");
+    expect(getSpeechLanguage({ speech_language: "en-US" })).toBe("en-US");
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import localforage from "localforage";
+import {
+  createConversation,
+  storeMessages,
+  deleteConversation,
+  getConversationsMetadata,
+  getConversation,
+  importConversation,
+  storeSummary,
+  storeCanvases,
+  storePersona,
+  renameConversation,
+  updateConversationMetadata,
+  CONVERSATION_VERSION,
+} from "../storeConversations";
+import { createMockServer, completion } from "../../../mock-server/server.js";
+
+let server;
+let settings;
+
+beforeAll(async () => {
+  server = await createMockServer();
+  settings = {
+    providers: [
+      { id: "mock", name: "Mock", base_url: server.url, models: [{ id: "mock-model" }] },
+    ],
+    selected_provider_id: "mock",
+    selected_model_id: "mock-model",
+  };
+});
+
+afterAll(() => server.close());
+
+function message(id, parentId, role, content) {
+  return { id, parentId, role, content, timestamp: new Date(), complete: true };
+}
+
+describe("storeConversations", () => {
+  it("creates a conversation titled by the selected provider", async () => {
+    server.enqueue(completion("Regex help"));
+    const messages = [message("u1", null, "user", "Write a regex")];
+
+    const id = await createConversation(messages, new Date(), settings);
+
+    expect(server.requests.at(-1).body).toMatchObject({ model: "mock-model", stream: false });
+    const record = await localforage.getItem(`conversation_${id}`);
+    expect(record.title).toBe("Regex help");
+    expect(record.currentLeafId).toBe("u1");
+    expect(await getConversationsMetadata()).toEqual([
+      expect.objectContaining({ id, title: "Regex help", pinned: false, folder: null }),
+    ]);
+  });
+
+  it("saves every branch and keeps the record's other fields", async () => {
+    server.enqueue(completion("Branches"));
+    const first = [message("u1", null, "user", "Hi"), message("a1", "u1", "assistant", "Hello")];
+    const id = await createConversation(first, new Date(), settings);
+
+    const branched = [...first, message("a2", "u1", "assistant", "Hey there")];
+    await storeMessages(id, branched, new Date(), "a1");
+
+    const record = await localforage.getItem(`conversation_${id}`);
+    expect(record.title).toBe("Branches");
+    expect(record.messages.map((m) => m.id)).toEqual(["u1", "a1", "a2"]);
+    expect(record.currentLeafId).toBe("a1");
+  });
+
+  it("tags each reply with its model and keeps comparison groups", async () => {
+    server.enqueue(completion("Compare"));
+    const tagged = (id, model, providerId) => ({
+      ...message(id, "u1", "assistant", `From ${model}`),
+      model,
+      providerId,
+      compareGroupId: "g1",
+    });
+    const messages = [
+      message("u1", null, "user", "Hi"),
+      tagged("a1", "mock-model", "mock"),
+      tagged("a2", "other-model", "other"),
+    ];
+    const id = await createConversation(messages, new Date(), settings);
+    await storeMessages(id, messages, new Date(), "a2");
+
+    const record = await localforage.getItem(`conversation_${id}`);
+    expect(record.messages.slice(1)).toEqual([
+      expect.objectContaining({ id: "a1", model: "mock-model", providerId: "mock", compareGroupId: "g1" }),
+      expect.objectContaining({ id: "a2", model: "other-model", providerId: "other", compareGroupId: "g1" }),
+    ]);
+    expect(record.messages[0]).not.toHaveProperty("model");
+    expect(record.currentLeafId).toBe("a2");
+  });
+
+  it("keeps interrupted replies marked as such", async () => {
+    server.enqueue(completion("Cut off"));
+    const messages = [
+      message("u1", null, "user", "Hi"),
+      { ...message("a1", "u1", "assistant", "Half"), interrupted: true },
+      message("a2", "u1", "assistant", "Whole"),
+    ];
+    const id = await createConversation(messages, new Date(), settings);
+
+    const record = await localforage.getItem(`conversation_${id}`);
+    expect(record.messages[1].interrupted).toBe(true);
+    expect(record.messages[2]).not.toHaveProperty("interrupted");
+  });
+
+  it("deletes the record, its metadata and its attachments", async () => {
+    server.enqueue(completion("Temporary"));
+    await localforage.setItem("attachment_f1", { id: "f1", name: "a.txt", kind: "text", text: "a" });
+    const withFile = {
+      ...message("u1", null, "user", "Hi"),
+      attachments: [{ id: "f1", name: "a.txt", kind: "text", mimeType: "text/plain", size: 1 }],
+    };
+    const id = await createConversation([withFile], new Date(), settings);
+    expect((await localforage.getItem(`conversation_${id}`)).messages[0].attachments).toHaveLength(1);
+
+    await deleteConversation(id);
+
+    expect(await localforage.getItem(`conversation_${id}`)).toBeNull();
+    expect(await localforage.getItem("attachment_f1")).toBeNull();
+    expect(await getConversationsMetadata()).toEqual([]);
+  });
+
+  it("migrates records saved before versioning when they are loaded", async () => {
+    const flat = [
+      { id: "u1", role: "user", content: "Hi", timestamp: new Date() },
+      { id: "a1", role: "assistant", content: "Hello", timestamp: new Date() },
+    ];
+    await localforage.setItem("conversation_old", { title: "Old", lastUpdated: new Date(), messages: flat });
+
+    const record = await getConversation("old");
+
+    expect(record.version).toBe(CONVERSATION_VERSION);
+    expect(record.messages.map((msg) => msg.parentId)).toEqual([null, "u1"]);
+    expect(record.currentLeafId).toBe("a1");
+    expect(await localforage.getItem("conversation_old")).toEqual(record);
+    expect(await getConversation("missing")).toBeNull();
+  });
+
+  it("leaves records from a newer version alone and versions new ones", async () => {
+    const newer = { version: CONVERSATION_VERSION + 1, title: "Future", messages: [] };
+    await localforage.setItem("conversation_future", newer);
+    expect(await getConversation("future")).toEqual(newer);
+
+    const flat = [
+      { id: "u1", role: "user", content: "Hi", timestamp: new Date() },
+      { id: "a1", role: "assistant", content: "Hello", timestamp: new Date() },
+    ];
+    const id = await importConversation({ title: "Imported", messages: flat });
+    const record = await localforage.getItem(`conversation_${id}`);
+    expect(record.version).toBe(CONVERSATION_VERSION);
+    expect(record.messages.map((msg) => msg.parentId)).toEqual([null, "u1"]);
+  });
+
+  it("keeps every field when saves to the same conversation overlap", async () => {
+    const id = await importConversation({ title: "Busy", messages: [message("u1", null, "user", "Hi")] });
+    const messages = [message("u1", null, "user", "Hi"), message("a1", "u1", "assistant", "Hello")];
+
+    // Nothing is awaited in between, like a streaming save racing a canvas edit
+    await Promise.all([
+      storeMessages(id, messages, new Date()),
+      storeCanvases(id, [{ id: "c1", title: "Draft" }]),
+      storeSummary(id, { text: "Earlier turns" }),
+      storePersona(id, { id: "p1", name: "Pirate" }),
+      renameConversation(id, "Renamed"),
+    ]);
+
+    const record = await getConversation(id);
+    expect(record.messages.map((msg) => msg.id)).toEqual(["u1", "a1"]);
+    expect(record.canvases).toEqual([{ id: "c1", title: "Draft" }]);
+    expect(record.summaries).toEqual([{ text: "Earlier turns" }]);
+    expect(record.persona).toEqual({ id: "p1", name: "Pirate" });
+    expect(record.title).toBe("Renamed");
+  });
+
+  it("keeps renames, pins and moves made while a reply is being saved", async () => {
+    const id = await importConversation({ title: "Busy", messages: [message("u1", null, "user", "Hi")] });
+    const other = await importConversation({ title: "Other", messages: [message("o1", null, "user", "Yo")] });
+    const messages = [message("u1", null, "user", "Hi"), message("a1", "u1", "assistant", "Hello")];
+    const lastUpdated = new Date("2026-10-19T12:00:00Z");
+
+    await Promise.all([
+      storeMessages(id, messages, lastUpdated),
+      updateConversationMetadata(id, { pinned: true }),
+      storeMessages(id, messages, lastUpdated),
+      updateConversationMetadata(other, { folder: "Work" }),
+      renameConversation(id, "Renamed"),
+      storeMessages(id, messages, lastUpdated),
+    ]);
+
+    const metadata = await getConversationsMetadata();
+    expect(metadata.find((entry) => entry.id === id)).toMatchObject({ title: "Renamed", pinned: true, lastUpdated });
+    expect(metadata.find((entry) => entry.id === other)).toMatchObject({ title: "Other", folder: "Work" });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { getToolDefinitions, registerTool, runToolCall } from "../tools";
+
+describe("tool registry", () => {
+  it("builds function definitions for the built-in tools", () => {
+    const definitions = getToolDefinitions();
+    expect(definitions.map((tool) => tool.function.name)).toEqual(
+      expect.arrayContaining(["calculator", "get_current_datetime", "run_javascript"]),
+    );
+    expect(definitions[0]).toMatchObject({ type: "function", function: { parameters: { type: "object" } } });
+    expect(getToolDefinitions(["calculator"])).toHaveLength(1);
+  });
+
+  it("runs a call and returns its result as text", async () => {
+    const { result, error } = await runToolCall({ name: "calculator", arguments: '{"expression": "2^8"}' });
+    expect(error).toBe(false);
+    expect(JSON.parse(result)).toEqual({ expression: "2^8", result: 256 });
+  });
+
+  it("reports the time in the requested time zone", async () => {
+    const { result } = await runToolCall({ name: "get_current_datetime", arguments: '{"timezone": "Asia/Jakarta"}' });
+    expect(JSON.parse(result).timezone).toBe("Asia/Jakarta");
+
+    const invalid = await runToolCall({ name: "get_current_datetime", arguments: '{"timezone": "Mars/Base"}' });
+    expect(invalid).toEqual({ result: 'Error: Unknown time zone "Mars/Base".', error: true });
+  });
+
+  it("turns bad calls into error results for the model", async () => {
+    expect(await runToolCall({ name: "missing", arguments: "{}" })).toEqual({
+      result: 'Error: there is no tool named "missing".',
+      error: true,
+    });
+    expect((await runToolCall({ name: "calculator", arguments: "{oops" })).result).toContain("not valid JSON");
+    expect((await runToolCall({ name: "calculator", arguments: '{"expression": "1 +"}' })).error).toBe(true);
+  });
+
+  it("truncates very long results", async () => {
+    registerTool({ name: "test_long", label: "Long", description: "", parameters: {}, run: () => "x".repeat(30_000) });
+    const { result } = await runToolCall({ name: "test_long", arguments: "" });
+    expect(result.length).toBeLessThan(21_000);
+    expect(result).toContain("[... truncated]");
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import localforage from "localforage";
+import { buildMessageStats, estimateCost, getUsageStats, mergeUsage } from "../usageStats";
+
+const model = { id: "mock-model", pricing: { prompt: 1, completion: 2 } };
+const provider = { id: "mock", builtin: false };
+
+describe("buildMessageStats", () => {
+  it("measures latency, speed and cost", () => {
+    const stats = buildMessageStats({
+      model,
+      provider,
+      startTime: 1_000,
+      firstTokenTime: 1_500,
+      endTime: 3_500,
+      usage: { prompt_tokens: 1_000, completion_tokens: 100, total_tokens: 1_100 },
+      finishReason: "stop",
+    });
+
+    expect(stats).toEqual({
+      model: "mock-model",
+      provider: "mock",
+      promptTokens: 1_000,
+      completionTokens: 100,
+      totalTokens: 1_100,
+      timeToFirstToken: 500,
+      duration: 2_500,
+      tokensPerSecond: 50,
+      finishReason: "stop",
+      cost: 0.0012,
+    });
+  });
+
+  it("leaves unknown values empty when the API sends no usage", () => {
+    const stats = buildMessageStats({
+      model,
+      provider,
+      startTime: 0,
+      firstTokenTime: null,
+      endTime: 100,
+      usage: null,
+      finishReason: null,
+    });
+
+    expect(stats).toMatchObject({ promptTokens: null, tokensPerSecond: null, timeToFirstToken: null, cost: null });
+  });
+
+  it("treats the built-in provider as free", () => {
+    expect(estimateCost(null, 10, 10)).toBeNull();
+    const stats = buildMessageStats({
+      model: { id: "qwen/qwen3-32b" },
+      provider: { id: "hackclub", builtin: true },
+      startTime: 0,
+      firstTokenTime: 10,
+      endTime: 20,
+      usage: { prompt_tokens: 10, completion_tokens: 10 },
+    });
+    expect(stats.cost).toBe(0);
+    expect(stats.totalTokens).toBe(20);
+  });
+});
+
+describe("mergeUsage", () => {
+  it("adds up the usage of every request behind a reply", () => {
+    const first = { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 };
+    const merged = mergeUsage(mergeUsage(null, first), { prompt_tokens: 150, completion_tokens: 30, total_tokens: 180 });
+    expect(merged).toEqual({ prompt_tokens: 250, completion_tokens: 50, total_tokens: 300 });
+    expect(first.prompt_tokens).toBe(100);
+  });
+});
+
+describe("getUsageStats", () => {
+  it("rolls up assistant messages by model and by day", async () => {
+    const reply = (id, timestamp, modelId, promptTokens, cost) => ({
+      id,
+      role: "assistant",
+      timestamp: new Date(timestamp),
+      stats: { model: modelId, provider: "mock", promptTokens, completionTokens: 10, cost },
+    });
+    await localforage.setItem("conversations_metadata", [{ id: "a" }, { id: "b" }]);
+    await localforage.setItem("conversation_a", {
+      messages: [
+        { id: "u1", role: "user", timestamp: new Date(2025, 0, 1, 9) },
+        reply("a1", new Date(2025, 0, 1, 9), "small", 100, 0.01),
+        reply("a2", new Date(2025, 0, 2, 9), "large", 500, 0.05),
+      ],
+    });
+    await localforage.setItem("conversation_b", {
+      messages: [reply("b1", new Date(2025, 0, 2, 18), "small", 50, null)],
+    });
+
+    const { totals, byModel, byDay } = await getUsageStats();
+
+    expect(totals).toMatchObject({ messages: 3, promptTokens: 650, completionTokens: 30 });
+    expect(totals.cost).toBeCloseTo(0.06);
+    expect(byModel.map((row) => [row.model, row.messages, row.promptTokens])).toEqual([
+      ["large", 1, 500],
+      ["small", 2, 150],
+    ]);
+    expect(byDay.map((row) => [row.day, row.messages])).toEqual([
+      ["2025-01-02", 2],
+      ["2025-01-01", 1],
+    ]);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { computeRenderRange, messageOffset } from "../virtualList";
+
+const heights = Array.from({ length: 100 }, () => 100);
+
+describe("computeRenderRange", () => {
+  it("covers the visible area plus the overscan, with spacers for the rest", () => {
+    expect(computeRenderRange(heights, 5000, 800, 200)).toEqual({
+      start: 48,
+      end: 60,
+      before: 4800,
+      after: 4000,
+    });
+  });
+
+  it("starts at the top and ends at the bottom", () => {
+    expect(computeRenderRange(heights, 0, 800, 200)).toEqual({ start: 0, end: 10, before: 0, after: 9000 });
+    expect(computeRenderRange(heights, Infinity, 800, 200)).toEqual({ start: 90, end: 100, before: 9000, after: 0 });
+  });
+
+  it("uses the measured height of each message", () => {
+    const mixed = [1000, 50, 50, 2000, 50];
+    expect(computeRenderRange(mixed, 1080, 100, 0)).toEqual({ start: 2, end: 4, before: 1050, after: 50 });
+    expect(messageOffset(mixed, 3)).toBe(1100);
+  });
+});
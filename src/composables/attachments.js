@@ -0,0 +1,229 @@
+/**
+ * @file attachments.js
+ * @description Files attached to user messages. Text and code files are inlined
+ * as fenced blocks, PDFs have their text extracted in the browser, and images are
+ * sent as `image_url` content parts to vision-capable models.
+ *
+ * File contents are stored in localforage under `attachment_<id>`, next to the
+ * conversations; messages only keep the metadata ({ id, name, kind, mimeType, size }).
+ */
+
+import localforage from "localforage";
+import { t } from "./i18n";
+
+const ATTACHMENT_PREFIX = "attachment_";
+
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024; // 20 MB
+
+// Longer text is cut off so a single file can't fill the context window
+const MAX_TEXT_LENGTH = 200_000;
+
+// Files browsers report without a text/* type but that are plain text
+const TEXT_EXTENSIONS = new Set([
+  "txt", "md", "markdown", "csv", "tsv", "log", "json", "jsonl", "xml", "yaml", "yml", "toml", "ini",
+  "cfg", "conf", "env", "html", "htm", "css", "scss", "sass", "less", "js", "mjs", "cjs", "jsx", "ts",
+  "tsx", "vue", "svelte", "py", "rb", "php", "java", "kt", "kts", "scala", "go", "rs", "c", "h", "cpp",
+  "hpp", "cc", "cs", "swift", "m", "dart", "lua", "pl", "r", "jl", "sh", "bash", "zsh", "fish", "ps1",
+  "bat", "sql", "graphql", "gql", "proto", "tex", "rst", "gradle", "dockerfile", "makefile",
+]);
+
+const TEXT_MIME_TYPE = /^(text\/|application\/(json|xml|javascript|x-sh|x-yaml|yaml|toml|sql|x-httpd-php))/;
+
+/**
+ * Returns the lowercase extension of a file name, or the whole name for
+ * extensionless files such as "Dockerfile".
+ * @param {string} name - The file name.
+ * @returns {string} The extension.
+ */
+function getExtension(name) {
+  const lower = name.toLowerCase();
+  return lower.includes(".") ? lower.split(".").pop() : lower;
+}
+
+/**
+ * Works out how a file will be sent, if it is supported at all.
+ * @param {File} file - The file.
+ * @returns {'text'|'pdf'|'image'|null} The attachment kind.
+ */
+export function getAttachmentKind(file) {
+  if (file.type.startsWith("image/")) return "image";
+  if (file.type === "application/pdf" || getExtension(file.name) === "pdf") return "pdf";
+  if (TEXT_MIME_TYPE.test(file.type) || TEXT_EXTENSIONS.has(getExtension(file.name))) return "text";
+  return null;
+}
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Extracts the text of every page of a PDF. pdf.js is loaded on first use so
+ * it stays out of the main bundle.
+ * @param {File} file - The PDF file.
+ * @returns {Promise<string>} The text, pages separated by blank lines.
+ */
+async function extractPdfText(file) {
+  const pdfjs = await import("pdfjs-dist");
+  const { default: workerUrl } = await import("pdfjs-dist/build/pdf.worker.min.mjs?url");
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  // Only text is extracted, so pdf.js never needs eval (which a Content Security Policy blocks)
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer(), isEvalSupported: false }).promise;
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    pages.push(items.map((item) => item.str + (item.hasEOL ? "\n" : "")).join("").trim());
+  }
+  await pdf.destroy();
+  return pages.filter(Boolean).join("\n\n");
+}
+
+/**
+ * Reads a dropped, pasted or picked file into an attachment.
+ * @param {File} file - The file.
+ * @returns {Promise<object>} The attachment: metadata plus `text` or `dataUrl`.
+ * @throws {Error} If the file type isn't supported, the file is too large or has no text.
+ */
+export async function readAttachment(file) {
+  const kind = getAttachmentKind(file);
+  if (!kind) {
+    throw new Error(t("errors.attachments.unsupported", { name: file.name }));
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(t("errors.attachments.tooLarge", { name: file.name, size: MAX_ATTACHMENT_SIZE / 1024 / 1024 }));
+  }
+
+  const attachment = {
+    id: crypto.randomUUID(),
+    name: file.name || t(kind === "image" ? "form.pastedImage" : "form.pastedFile"),
+    kind,
+    mimeType: file.type,
+    size: file.size,
+  };
+
+  if (kind === "image") {
+    attachment.dataUrl = await readAsDataUrl(file);
+    return attachment;
+  }
+
+  let text = kind === "pdf" ? await extractPdfText(file) : await file.text();
+  if (!text.trim()) {
+    throw new Error(
+      kind === "pdf"
+        ? t("errors.attachments.noPdfText", { name: file.name })
+        : t("errors.attachments.empty", { name: file.name }),
+    );
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    text = `${text.slice(0, MAX_TEXT_LENGTH)}\n\n[... truncated, ${(text.length - MAX_TEXT_LENGTH).toLocaleString()} more characters]`;
+  }
+  attachment.text = text;
+  return attachment;
+}
+
+/**
+ * Strips an attachment down to what is kept on its message.
+ * @param {object} attachment - The attachment.
+ * @returns {{id: string, name: string, kind: string, mimeType: string, size: number}} The metadata.
+ */
+export function toAttachmentMeta({ id, name, kind, mimeType, size }) {
+  return { id, name, kind, mimeType, size };
+}
+
+/**
+ * Saves an attachment's contents.
+ * @param {object} attachment - The attachment from readAttachment.
+ * @returns {Promise<object>} Its metadata, to put on the message.
+ */
+export async function storeAttachment(attachment) {
+  await localforage.setItem(`${ATTACHMENT_PREFIX}${attachment.id}`, attachment);
+  return toAttachmentMeta(attachment);
+}
+
+/**
+ * Loads a stored attachment.
+ * @param {string} id - The attachment id.
+ * @returns {Promise<object|null>} The attachment, or null if it's gone.
+ */
+export function getAttachment(id) {
+  return localforage.getItem(`${ATTACHMENT_PREFIX}${id}`);
+}
+
+/**
+ * Deletes stored attachments, e.g. when their conversation is deleted.
+ * @param {string[]} ids - The attachment ids.
+ */
+export async function deleteAttachments(ids) {
+  for (const id of ids) {
+    await localforage.removeItem(`${ATTACHMENT_PREFIX}${id}`);
+  }
+}
+
+/**
+ * Flattens message content, which may be an array of content parts, to its text.
+ * @param {string|object[]} content - The message content.
+ * @returns {string} The text.
+ */
+export function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => (typeof part === "string" ? part : part?.text || ""))
+      .filter(Boolean)
+      .join("\n\n");
+  }
+  return "";
+}
+
+/**
+ * Wraps file text in a fenced block labelled with the file name. The fence is
+ * made longer than any backtick run in the text so it can't be closed early.
+ * @param {string} name - The file name.
+ * @param {string} text - The file text.
+ * @param {string} language - The fence language.
+ * @returns {string} The Markdown block.
+ */
+function toFencedBlock(name, text, language) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+  return `File: ${name}\n${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Builds the API content of a user message with attachments.
+ * @param {string} text - What the user typed.
+ * @param {object[]} attachments - The attachment metadata on the message.
+ * @param {object} model - The model the message is sent to.
+ * @returns {Promise<string|object[]>} Plain text, or content parts when images are sent.
+ */
+export async function buildMessageContent(text, attachments = [], model = {}) {
+  if (!attachments.length) return text;
+
+  const textBlocks = [];
+  const imageParts = [];
+  for (const meta of attachments) {
+    const attachment = await getAttachment(meta.id);
+    if (!attachment) {
+      textBlocks.push(`[Attachment no longer available: ${meta.name}]`);
+    } else if (attachment.kind === "image") {
+      if (model.vision) {
+        imageParts.push({ type: "image_url", image_url: { url: attachment.dataUrl } });
+      } else {
+        textBlocks.push(`[Image attached: ${attachment.name}. The selected model can't view images.]`);
+      }
+    } else {
+      const language = attachment.kind === "pdf" ? "text" : getExtension(attachment.name);
+      textBlocks.push(toFencedBlock(attachment.name, attachment.text, language));
+    }
+  }
+
+  const combined = [...textBlocks, text].filter(Boolean).join("\n\n");
+  if (!imageParts.length) return combined;
+  return [{ type: "text", text: combined }, ...imageParts];
+}
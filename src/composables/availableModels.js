@@ -4,6 +4,9 @@ export const availableModels = [
     id: "qwen/qwen3-32b",
     name: "Qwen 3 32B",
     reasoning: true,
+    context_window: 131072,
+    vision: false,
+    tool_calling: true,
     extra_functions: [],
     extra_parameters: {
       reasoning_effort: [["default", "none"], "default"],
@@ -14,6 +17,9 @@ export const availableModels = [
     id: "openai/gpt-oss-120b",
     name: "GPT OSS 120B",
     reasoning: true,
+    context_window: 131072,
+    vision: false,
+    tool_calling: true,
     extra_functions: ["browser_search", "code_interpreter"],
     extra_parameters: {
       reasoning_effort: [["low", "medium", "high"], "medium"],
@@ -23,6 +29,9 @@ export const availableModels = [
     id: "openai/gpt-oss-20b",
     name: "GPT OSS 20B",
     reasoning: true,
+    context_window: 131072,
+    vision: false,
+    tool_calling: true,
     extra_functions: ["browser_search", "code_interpreter"],
     extra_parameters: {
       reasoning_effort: [["low", "medium", "high"], "medium"],
@@ -32,6 +41,9 @@ export const availableModels = [
     id: "meta-llama/llama-4-maverick-17b-128e-instruct",
     name: "LLaMA 4 Maverick",
     reasoning: false,
+    context_window: 131072,
+    vision: true,
+    tool_calling: true,
     extra_functions: [],
     extra_parameters: {},
   },
@@ -39,6 +51,9 @@ export const availableModels = [
     id: "moonshotai/kimi-k2-instruct",
     name: "Kimi K2",
     reasoning: false,
+    context_window: 131072,
+    vision: false,
+    tool_calling: true,
     extra_functions: [],
     extra_parameters: {},
   },
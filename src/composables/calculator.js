@@ -0,0 +1,185 @@
+/**
+ * @file calculator.js
+ * @description A small arithmetic expression evaluator for the calculator tool.
+ * It parses the expression itself instead of using eval, so only numbers,
+ * operators and the functions and constants listed below are accepted.
+ *
+ * Grammar (lowest to highest precedence):
+ *   expression = term { ("+" | "-") term }
+ *   term       = unary { ("*" | "/" | "%") unary }
+ *   unary      = ("+" | "-") unary | power
+ *   power      = postfix [ ("^" | "**") unary ]     right-associative
+ *   postfix    = primary { "!" }
+ *   primary    = number | constant | function "(" args ")" | "(" expression ")"
+ */
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  tau: 2 * Math.PI,
+};
+
+function factorial(n) {
+  if (!Number.isInteger(n) || n < 0) throw new Error("Factorial is only defined for non-negative integers.");
+  if (n > 170) return Infinity;
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)),
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  factorial,
+};
+
+/**
+ * Splits an expression into number, name and symbol tokens.
+ * @param {string} expression - The expression.
+ * @returns {{type: string, value: string|number}[]} The tokens.
+ * @throws {Error} On characters that aren't part of the grammar.
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),!]))/giy;
+  let match;
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected character "${expression.slice(start).trim()[0]}".`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2].toLowerCase() });
+    else tokens.push({ type: "symbol", value: match[3] });
+  }
+  return tokens;
+}
+
+/**
+ * Evaluates an arithmetic expression, e.g. "2 * (3 + 4)^2" or "sqrt(2) * pi".
+ * @param {string} expression - The expression.
+ * @returns {number} The result.
+ * @throws {Error} If the expression is invalid.
+ */
+export function evaluateExpression(expression) {
+  const tokens = tokenize(String(expression));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek()?.type === "symbol" && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) throw new Error(`Expected "${value}".`);
+    position++;
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (isSymbol("+") || isSymbol("-")) {
+      const operator = tokens[position++].value;
+      const right = parseTerm();
+      value = operator === "+" ? value + right : value - right;
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (isSymbol("*") || isSymbol("/") || isSymbol("%")) {
+      const operator = tokens[position++].value;
+      const right = parseUnary();
+      if (operator === "*") value *= right;
+      else if (operator === "/") value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (isSymbol("-")) {
+      position++;
+      return -parseUnary();
+    }
+    if (isSymbol("+")) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePostfix();
+    if (isSymbol("^") || isSymbol("**")) {
+      position++;
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  function parsePostfix() {
+    let value = parsePrimary();
+    while (isSymbol("!")) {
+      position++;
+      value = factorial(value);
+    }
+    return value;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new Error("Unexpected end of expression.");
+
+    if (token.type === "number") {
+      position++;
+      return token.value;
+    }
+
+    if (token.type === "name") {
+      position++;
+      if (token.value in FUNCTIONS) {
+        expect("(");
+        const args = [parseExpression()];
+        while (isSymbol(",")) {
+          position++;
+          args.push(parseExpression());
+        }
+        expect(")");
+        return FUNCTIONS[token.value](...args);
+      }
+      if (token.value in CONSTANTS) return CONSTANTS[token.value];
+      throw new Error(`Unknown name "${token.value}".`);
+    }
+
+    if (isSymbol("(")) {
+      position++;
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}".`);
+  }
+
+  if (!tokens.length) throw new Error("The expression is empty.");
+  const result = parseExpression();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}".`);
+  return result;
+}
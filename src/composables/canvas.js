@@ -0,0 +1,321 @@
+/**
+ * @file canvas.js
+ * @description Canvas documents: code or text opened from a chat code block into
+ * the side panel, where both the user and the model can change it.
+ *
+ * While a canvas is targeted, its current content goes into the system prompt and
+ * the model edits it with SEARCH/REPLACE blocks inside a ```canvas-edit fence.
+ * Each applied edit adds a version, so earlier states can be compared and restored.
+ * Canvases are saved on their conversation record as `canvases`.
+ */
+
+export const CANVAS_EDIT_LANGUAGE = "canvas-edit";
+
+// Keeps the history from growing without bound on long editing sessions
+const MAX_VERSIONS = 50;
+
+// Languages rendered in the live preview iframe
+const PREVIEW_LANGUAGES = new Set(["html", "htm", "svg", "css", "js", "javascript"]);
+
+const EDIT_BLOCK_PATTERN = /<{7} SEARCH\r?\n([\s\S]*?)\r?\n?={7}\r?\n([\s\S]*?)\r?\n?>{7} REPLACE/g;
+
+/**
+ * @typedef {object} CanvasVersion
+ * @property {string} id - The version id.
+ * @property {string} content - The document at this version.
+ * @property {'initial'|'user'|'assistant'|'restore'} source - What produced it.
+ * @property {string|null} messageId - The assistant message that made the edit, if any.
+ * @property {Date} createdAt - When it was made.
+ */
+
+/**
+ * @typedef {object} Canvas
+ * @property {string} id - The canvas id.
+ * @property {string} title - Shown in the panel header.
+ * @property {string} language - The code block language, e.g. "html".
+ * @property {string} content - The working copy, including unsaved user edits.
+ * @property {CanvasVersion[]} versions - Saved versions, oldest first.
+ * @property {Date} updatedAt - When the content last changed.
+ */
+
+/**
+ * Builds a version entry.
+ * @param {string} content - The document.
+ * @param {CanvasVersion['source']} source - What produced it.
+ * @param {string|null} [messageId=null] - The assistant message that made the edit.
+ * @returns {CanvasVersion} The version.
+ */
+function createVersion(content, source, messageId = null) {
+  return { id: crypto.randomUUID(), content, source, messageId, createdAt: new Date() };
+}
+
+/**
+ * Picks a title for a new canvas: the HTML <title> if there is one, otherwise the language.
+ * @param {string} content - The document.
+ * @param {string} language - The code block language.
+ * @returns {string} The title.
+ */
+function defaultTitle(content, language) {
+  const htmlTitle = content.match(/<title>([^<]*)<\/title>/i)?.[1]?.trim();
+  if (htmlTitle) return htmlTitle;
+  return language && language !== "text" ? `${language.toUpperCase()} document` : "Untitled document";
+}
+
+/**
+ * Creates a canvas from a code block.
+ * @param {object} source
+ * @param {string} source.content - The code.
+ * @param {string} [source.language="text"] - The code block language.
+ * @param {string} [source.title] - The title; derived from the content if omitted.
+ * @returns {Canvas} The canvas.
+ */
+export function createCanvas({ content, language = "text", title }) {
+  return {
+    id: crypto.randomUUID(),
+    title: title || defaultTitle(content, language),
+    language: (language || "text").toLowerCase(),
+    content,
+    versions: [createVersion(content, "initial")],
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * Returns the latest saved version of a canvas.
+ * @param {Canvas} canvas - The canvas.
+ * @returns {CanvasVersion} The version.
+ */
+export function getLatestVersion(canvas) {
+  return canvas.versions[canvas.versions.length - 1];
+}
+
+/**
+ * Adds a version and makes it the working copy. User edits made since the last
+ * version are saved as their own version first, so they show up in the history.
+ * @param {Canvas} canvas - The canvas.
+ * @param {string} content - The new document.
+ * @param {CanvasVersion['source']} source - What produced it.
+ * @param {string|null} [messageId=null] - The assistant message that made the edit.
+ * @returns {Canvas} The updated canvas.
+ */
+export function addVersion(canvas, content, source, messageId = null) {
+  const versions = [...canvas.versions];
+  if (canvas.content !== getLatestVersion(canvas).content) {
+    versions.push(createVersion(canvas.content, "user"));
+  }
+  versions.push(createVersion(content, source, messageId));
+  return {
+    ...canvas,
+    content,
+    // The first version is kept so the original can always be restored
+    versions: versions.length > MAX_VERSIONS ? [versions[0], ...versions.slice(-(MAX_VERSIONS - 1))] : versions,
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * Finds the SEARCH/REPLACE blocks in an assistant reply. Only blocks inside a
+ * ```canvas-edit fence count, so code the model merely shows is left alone.
+ * @param {string} text - The reply.
+ * @returns {{search: string, replace: string}[]} The edits, in order.
+ */
+export function parseCanvasEdits(text) {
+  const edits = [];
+  const fencePattern = new RegExp(`^(\`{3,})${CANVAS_EDIT_LANGUAGE}[^\\n]*\\n([\\s\\S]*?)^\\1\\s*$`, "gm");
+  for (const [, , body] of text.matchAll(fencePattern)) {
+    for (const [, search, replace] of body.matchAll(EDIT_BLOCK_PATTERN)) {
+      edits.push({ search, replace });
+    }
+  }
+  return edits;
+}
+
+/**
+ * Finds `search` in `content`, falling back to a match that ignores leading and
+ * trailing whitespace on each line, since models often get indentation wrong.
+ * @param {string} content - The document.
+ * @param {string} search - The text to find.
+ * @returns {{start: number, end: number}|null} The matched range.
+ */
+function findSearchRange(content, search) {
+  const exact = content.indexOf(search);
+  if (exact !== -1) return { start: exact, end: exact + search.length };
+
+  const lines = content.split("\n");
+  const searchLines = search.split("\n").map((line) => line.trim());
+  for (let i = 0; i + searchLines.length <= lines.length; i++) {
+    if (searchLines.every((line, j) => lines[i + j].trim() === line)) {
+      const start = lines.slice(0, i).join("\n").length + (i > 0 ? 1 : 0);
+      const end = start + lines.slice(i, i + searchLines.length).join("\n").length;
+      return { start, end };
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies SEARCH/REPLACE edits in order. An empty SEARCH replaces the whole
+ * document; edits whose SEARCH text can't be found are skipped and reported.
+ * @param {string} content - The document.
+ * @param {{search: string, replace: string}[]} edits - The edits.
+ * @returns {{content: string, applied: number, failed: string[]}} The new document,
+ *   how many edits were applied and the SEARCH text of those that weren't.
+ */
+export function applyCanvasEdits(content, edits) {
+  let result = content;
+  let applied = 0;
+  const failed = [];
+
+  for (const { search, replace } of edits) {
+    if (!search.trim()) {
+      result = replace;
+      applied++;
+      continue;
+    }
+    const range = findSearchRange(result, search);
+    if (!range) {
+      failed.push(search);
+      continue;
+    }
+    result = result.slice(0, range.start) + replace + result.slice(range.end);
+    applied++;
+  }
+
+  return { content: result, applied, failed };
+}
+
+/**
+ * Turns a canvas-edit block into unified-diff-style lines for display.
+ * @param {string} body - The fence contents.
+ * @returns {string} The diff text ("-" for removed lines, "+" for added ones).
+ */
+export function editBlockToDiff(body) {
+  const blocks = [...body.matchAll(EDIT_BLOCK_PATTERN)];
+  if (!blocks.length) return body;
+  return blocks
+    .map(([, search, replace]) =>
+      [
+        ...(search ? search.split("\n").map((line) => `- ${line}`) : []),
+        ...(replace ? replace.split("\n").map((line) => `+ ${line}`) : []),
+      ].join("\n"),
+    )
+    .join("\n@@\n");
+}
+
+/**
+ * Compares two versions line by line (longest common subsequence).
+ * @param {string} before - The older text.
+ * @param {string} after - The newer text.
+ * @returns {{type: 'same'|'add'|'remove', text: string}[]} The diff lines.
+ */
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "remove", text: a[i++] });
+    } else {
+      lines.push({ type: "add", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: "remove", text: a[i++] });
+  while (j < b.length) lines.push({ type: "add", text: b[j++] });
+  return lines;
+}
+
+/**
+ * Whether a canvas can be shown in the live preview.
+ * @param {Canvas} canvas - The canvas.
+ * @returns {boolean} True for HTML, SVG, CSS and JavaScript.
+ */
+export function isPreviewable(canvas) {
+  return PREVIEW_LANGUAGES.has(canvas?.language);
+}
+
+/**
+ * Builds the document shown in the preview iframe. CSS gets some sample markup
+ * to style, and JavaScript runs in an empty page with its console output shown.
+ * @param {Canvas} canvas - The canvas.
+ * @returns {string} The HTML document for `srcdoc`.
+ */
+export function buildPreviewDocument(canvas) {
+  const { language, content } = canvas;
+  if (language === "css") {
+    return `<!DOCTYPE html><html><head><style>${content.replace(/<\/style/gi, "<\\/style")}</style></head><body>
+<h1>Heading</h1><p>A paragraph with a <a href="#">link</a>.</p><button>Button</button>
+<ul><li>First item</li><li>Second item</li></ul></body></html>`;
+  }
+  if (language === "js" || language === "javascript") {
+    return `<!DOCTYPE html><html><head><style>body{font-family:monospace;white-space:pre-wrap}</style></head><body>
+<script>
+for (const level of ["log", "info", "warn", "error"]) {
+  const original = console[level];
+  console[level] = (...args) => {
+    document.body.append(args.map((arg) => typeof arg === "string" ? arg : JSON.stringify(arg)).join(" ") + "\\n");
+    original.apply(console, args);
+  };
+}
+window.onerror = (message) => document.body.append("Error: " + message + "\\n");
+<\/script>
+<script>${content.replace(/<\/script/gi, "<\\/script")}<\/script></body></html>`;
+  }
+  return content;
+}
+
+/**
+ * Builds the system prompt section that shows the model the targeted canvas and
+ * how to edit it.
+ * @param {Canvas} canvas - The canvas.
+ * @returns {string} The prompt section.
+ */
+export function buildCanvasPrompt(canvas) {
+  return `### Canvas
+The user has a document open in the canvas next to the chat, titled "${canvas.title}". Their messages are about this document unless they say otherwise. Its current content is:
+
+\`\`\`\`${canvas.language}
+${canvas.content}
+\`\`\`\`
+
+To change the document, reply with one \`\`\`${CANVAS_EDIT_LANGUAGE} code block containing SEARCH/REPLACE blocks; they are applied to the canvas automatically:
+
+\`\`\`${CANVAS_EDIT_LANGUAGE}
+<<<<<<< SEARCH
+exact lines from the current document
+=======
+the lines to put in their place
+>>>>>>> REPLACE
+\`\`\`
+
+*   Copy the SEARCH lines exactly, and include just enough lines to be unique.
+*   Use several SEARCH/REPLACE blocks for changes in different places.
+*   To rewrite the whole document, use a single block with an empty SEARCH section.
+*   Briefly explain your changes outside the code block. Don't repeat the whole document.`;
+}
+
+/**
+ * Turns a canvas loaded from storage or an import back into one with Date objects.
+ * @param {object} canvas - The stored canvas.
+ * @returns {Canvas} The canvas.
+ */
+export function reviveCanvas(canvas) {
+  return {
+    ...canvas,
+    updatedAt: new Date(canvas.updatedAt),
+    versions: (canvas.versions || []).map((version) => ({ ...version, createdAt: new Date(version.createdAt) })),
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * @file contextWindow.js
+ * @description Keeps requests inside the selected model's context window.
+ * Token counts are estimated from message length. When a conversation gets
+ * close to the limit, its older turns are folded into a rolling summary that
+ * is saved with the conversation (see storeSummary in storeConversations.js)
+ * and sent in their place.
+ *
+ * A summary covers the branch from the root down to `upToId`, so it only
+ * applies to branches that contain that message:
+ * { id, upToId, foldedIds: string[], content, createdAt }
+ */
+
+import { resolveEndpoint, DEFAULT_CONTEXT_WINDOW } from "./providers";
+import { contentToText } from "./attachments";
+
+// Rough size of the system prompt (instructions, profile and memory)
+const SYSTEM_PROMPT_TOKENS = 1500;
+
+// Tokens kept free for the reply when max_tokens isn't set
+const DEFAULT_RESERVED_TOKENS = 4096;
+
+// Summarize once the history uses this share of the budget...
+const SUMMARIZE_THRESHOLD = 0.8;
+// ...folding enough old turns to bring it back down to this share
+const SUMMARIZE_TARGET = 0.5;
+
+// The most recent messages are never folded, so the model keeps the exact wording
+const KEEP_RECENT_MESSAGES = 4;
+
+// Per-message overhead for role and formatting tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Rough cost of an attached image; providers charge anywhere from ~85 to ~1500
+const IMAGE_TOKENS = 1000;
+
+/**
+ * Estimates the token count of a text, at about four characters per token.
+ * @param {string} text - The text.
+ * @returns {number} The estimated token count.
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+/**
+ * Estimates the tokens of message content, which may include image parts.
+ * @param {string|object[]} content - The message content.
+ * @returns {number} The estimated token count.
+ */
+function estimateContentTokens(content) {
+  const images = Array.isArray(content)
+    ? content.filter((part) => part?.type === "image_url").length
+    : 0;
+  return estimateTokens(contentToText(content)) + images * IMAGE_TOKENS;
+}
+
+/**
+ * Estimates the tokens used by a list of chat messages.
+ * @param {{content: string|object[]}[]} messages - The messages.
+ * @returns {number} The estimated token count.
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce(
+    (total, msg) => total + estimateContentTokens(msg.content) + MESSAGE_OVERHEAD_TOKENS,
+    0,
+  );
+}
+
+/**
+ * Returns how many prompt tokens a request to the model may use, keeping
+ * room for the reply.
+ * @param {object} model - The model, with an optional `context_window`.
+ * @param {object} [modelParameters={}] - The resolved model parameters.
+ * @returns {{contextWindow: number, budget: number}} The window and the prompt budget.
+ */
+export function getContextBudget(model, modelParameters = {}) {
+  const contextWindow = model?.context_window || DEFAULT_CONTEXT_WINDOW;
+  const reserved =
+    modelParameters.max_tokens ?? Math.min(DEFAULT_RESERVED_TOKENS, contextWindow / 4);
+  return { contextWindow, budget: Math.max(contextWindow - reserved, 0) };
+}
+
+/**
+ * Finds the summary that applies to a branch: the one folding the most
+ * messages among those whose last folded message is on the branch.
+ * @param {object[]} path - The messages of the branch, root first.
+ * @param {object[]} [summaries=[]] - The conversation's summaries.
+ * @returns {object|null} The active summary.
+ */
+export function getActiveSummary(path, summaries = []) {
+  const positions = new Map(path.map((msg, index) => [msg.id, index]));
+  let active = null;
+  for (const summary of summaries) {
+    const position = positions.get(summary.upToId);
+    if (position === undefined) continue;
+    if (!active || position > positions.get(active.upToId)) active = summary;
+  }
+  return active;
+}
+
+/**
+ * Builds the history to send: the summary, if any, followed by the messages after it.
+ * @param {object[]} path - The messages of the branch, root first.
+ * @param {object|null} summary - The active summary.
+ * @returns {{role: string, content: string}[]} The plain messages.
+ */
+export function buildContextMessages(path, summary) {
+  const start = summary ? path.findIndex((msg) => msg.id === summary.upToId) + 1 : 0;
+  const messages = path.slice(start).map((msg) => ({ role: msg.role, content: msg.content }));
+  if (!summary) return messages;
+  return [
+    {
+      role: "system",
+      content: `Summary of the earlier part of this conversation:\n${summary.content}`,
+    },
+    ...messages,
+  ];
+}
+
+/**
+ * Estimates how much of the context window a branch uses.
+ * @param {object[]} path - The messages of the branch, root first.
+ * @param {object[]} summaries - The conversation's summaries.
+ * @param {object} model - The selected model.
+ * @param {object} [modelParameters={}] - The resolved model parameters.
+ * @param {string} [draft=""] - Text about to be sent.
+ * @returns {{used: number, limit: number, summary: object|null}} The usage.
+ */
+export function getContextUsage(path, summaries, model, modelParameters = {}, draft = "") {
+  const summary = getActiveSummary(path, summaries);
+  const { contextWindow } = getContextBudget(model, modelParameters);
+  const used =
+    SYSTEM_PROMPT_TOKENS +
+    estimateMessagesTokens(buildContextMessages(path, summary)) +
+    estimateTokens(draft);
+  return { used, limit: contextWindow, summary };
+}
+
+/**
+ * Picks the oldest unsummarized messages to fold so the history fits the
+ * target, stopping at a reply so whole turns are folded.
+ * @param {object[]} pending - The messages after the active summary.
+ * @param {number} excessTokens - How many tokens need to go.
+ * @returns {object[]} The messages to fold, oldest first.
+ */
+function selectMessagesToFold(pending, excessTokens) {
+  const candidates = pending.slice(0, -KEEP_RECENT_MESSAGES);
+  const folded = [];
+  let freed = 0;
+  for (const msg of candidates) {
+    if (freed >= excessTokens && msg.role === "user") break;
+    folded.push(msg);
+    freed += estimateContentTokens(msg.content) + MESSAGE_OVERHEAD_TOKENS;
+  }
+  return folded;
+}
+
+/**
+ * Asks the model to merge the previous summary and older turns into a new summary.
+ * @param {string} previousSummary - The summary so far, or "".
+ * @param {object[]} messages - The turns to fold in.
+ * @param {object} settings - User settings object.
+ * @returns {Promise<string>} The new summary.
+ * @throws {Error} If the request fails or returns nothing.
+ */
+export async function summarizeMessages(previousSummary, messages, settings = {}) {
+  const systemPrompt = `You maintain a running summary of a conversation between a user and an AI assistant so it can continue after older messages are removed. Merge the existing summary with the new messages into one updated summary. Keep every fact, decision, name, number, code identifier and open question that later messages may rely on, and note what the user is trying to achieve. Write in the conversation's language, in concise bullet points. Output only the summary.`;
+
+  const transcript = messages
+    .map((msg) => `${msg.role === "user" ? "User" : "Assistant"}: ${contentToText(msg.content)}`)
+    .join("\n\n");
+
+  const { url, headers, provider, model } = resolveEndpoint(settings);
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      // The built-in provider picks its own model; custom providers need one
+      ...(!provider.builtin && model && { model: model.id }),
+      messages: [
+        { role: "system", content: systemPrompt },
+        {
+          role: "user",
+          content: `Existing summary:\n${previousSummary || "(none)"}\n\nNew messages:\n${transcript}`,
+        },
+      ],
+      stream: false,
+      ...(provider.builtin && { reasoning_effort: "none" }),
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Summary request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  // Reasoning models may include their thinking inline
+  const content = data.choices?.[0]?.message?.content
+    ?.replace(/<think>[\s\S]*?<\/think>/g, "")
+    .trim();
+  if (!content) {
+    throw new Error("Summary request returned no content");
+  }
+  return content;
+}
+
+/**
+ * Prepares the history for a request, summarizing older turns first when the
+ * branch is close to the model's limit. If summarizing fails, the oldest
+ * messages are dropped instead so the request still fits.
+ * @param {object} options
+ * @param {object[]} options.path - The completed messages of the branch, root first.
+ * @param {object[]} options.summaries - The conversation's summaries.
+ * @param {object} options.model - The selected model.
+ * @param {object} options.modelParameters - The resolved model parameters.
+ * @param {string|object[]} options.query - The message being sent.
+ * @param {object} options.settings - User settings object.
+ * @returns {Promise<{messages: object[], newSummary: object|null}>} The plain messages
+ *   to send and the summary created for this request, if any.
+ */
+export async function prepareContext({ path, summaries, model, modelParameters, query, settings }) {
+  const { budget } = getContextBudget(model, modelParameters);
+  const summary = getActiveSummary(path, summaries);
+  const messages = buildContextMessages(path, summary);
+
+  const overhead = SYSTEM_PROMPT_TOKENS + estimateContentTokens(query);
+  const used = overhead + estimateMessagesTokens(messages);
+  if (used <= budget * SUMMARIZE_THRESHOLD) {
+    return { messages, newSummary: null };
+  }
+
+  const pending = summary
+    ? path.slice(path.findIndex((msg) => msg.id === summary.upToId) + 1)
+    : path;
+  const toFold = selectMessagesToFold(pending, used - budget * SUMMARIZE_TARGET);
+
+  if (toFold.length) {
+    try {
+      const content = await summarizeMessages(summary?.content || "", toFold, settings);
+      const newSummary = {
+        id: crypto.randomUUID(),
+        upToId: toFold[toFold.length - 1].id,
+        foldedIds: [...(summary?.foldedIds || []), ...toFold.map((msg) => msg.id)],
+        content,
+        createdAt: new Date(),
+      };
+      return { messages: buildContextMessages(path, newSummary), newSummary };
+    } catch (error) {
+      console.error("Failed to summarize conversation history:", error);
+    }
+  }
+
+  // Last resort: drop the oldest messages (keeping the summary) until the request fits
+  const trimmed = [...messages];
+  const firstDroppable = summary ? 1 : 0;
+  while (
+    trimmed.length > firstDroppable + 1 &&
+    overhead + estimateMessagesTokens(trimmed) > budget
+  ) {
+    trimmed.splice(firstDroppable, 1);
+  }
+  return { messages: trimmed, newSummary: null };
+}
@@ -0,0 +1,158 @@
+/**
+ * @file deepThink.js
+ * @description "Deep think" mode: the question is answered several times in
+ * parallel, each branch ("lane") with its own temperature and seed, and a final
+ * synthesis request merges the lanes into one answer.
+ *
+ * Lanes stream independently and each has its own AbortController, so one can be
+ * cancelled without stopping the others. They are saved on the assistant message
+ * as `branches` for later review.
+ */
+
+import { handleIncomingMessage } from "./message";
+import { mergeUsage } from "./usageStats";
+
+export const DEFAULT_BRANCH_COUNT = 3;
+export const MIN_BRANCH_COUNT = 2;
+export const MAX_BRANCH_COUNT = 5;
+
+// Used to spread the lanes' temperatures when the user hasn't set one
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Distance between neighbouring lanes' temperatures
+const TEMPERATURE_STEP = 0.3;
+
+/**
+ * @typedef {object} Lane
+ * @property {string} id - The lane id.
+ * @property {number} temperature - The lane's sampling temperature.
+ * @property {number} seed - The lane's seed.
+ * @property {string} reasoning - Streamed reasoning.
+ * @property {string} content - Streamed answer.
+ * @property {'running'|'done'|'cancelled'|'error'} status - Where the lane is.
+ * @property {string|null} error - The error message, if it failed.
+ * @property {object|null} usage - The API's token usage for the lane.
+ */
+
+/**
+ * Creates the lanes for a deep think run, spreading their temperatures around
+ * the user's setting and giving each a different seed.
+ * @param {number} count - How many lanes to run.
+ * @param {object} [modelParameters={}] - The resolved model parameters.
+ * @returns {Lane[]} The lanes.
+ */
+export function createLanes(count, modelParameters = {}) {
+  const laneCount = Math.min(MAX_BRANCH_COUNT, Math.max(MIN_BRANCH_COUNT, Math.round(count) || DEFAULT_BRANCH_COUNT));
+  const baseTemperature = modelParameters.temperature ?? DEFAULT_TEMPERATURE;
+  const baseSeed = modelParameters.seed ?? Math.floor(Math.random() * 1_000_000);
+
+  return Array.from({ length: laneCount }, (_, index) => {
+    const offset = (index - (laneCount - 1) / 2) * TEMPERATURE_STEP;
+    return {
+      id: crypto.randomUUID(),
+      temperature: Math.round(Math.min(2, Math.max(0, baseTemperature + offset)) * 100) / 100,
+      seed: baseSeed + index,
+      reasoning: "",
+      content: "",
+      status: "running",
+      error: null,
+      usage: null,
+    };
+  });
+}
+
+/**
+ * Streams one lane to completion, updating it in place.
+ * @param {Lane} lane - The lane.
+ * @param {AbortController} controller - Cancels this lane only.
+ * @param {object} request - The request shared by all lanes (see runLanes).
+ */
+async function streamLane(lane, controller, request) {
+  const { query, plainMessages, selectedModel, modelParameters, settings, toolNames, canvas, persona, onUpdate } = request;
+
+  const stream = handleIncomingMessage(
+    query,
+    plainMessages,
+    controller,
+    selectedModel,
+    { ...modelParameters, temperature: lane.temperature, seed: lane.seed },
+    settings,
+    toolNames,
+    canvas,
+    persona,
+  );
+
+  for await (const chunk of stream) {
+    // The "[STREAM CANCELED]" marker isn't part of the lane's answer
+    if (controller.signal.aborted) break;
+
+    if (chunk.error) {
+      lane.status = "error";
+      lane.error = chunk.errorDetails?.message || "Unknown error";
+    } else if (chunk.interrupted) {
+      // A draft cut off partway would be merged as if it were complete
+      lane.status = "error";
+      lane.error = `Interrupted: ${chunk.errorDetails?.message || "the stream broke off"}`;
+    } else if (chunk.content) {
+      lane.content += chunk.content;
+    }
+    if (chunk.reasoning) lane.reasoning += chunk.reasoning;
+    if (chunk.usage) lane.usage = mergeUsage(lane.usage, chunk.usage);
+    onUpdate?.(lane);
+  }
+
+  if (controller.signal.aborted) lane.status = "cancelled";
+  else if (lane.status === "running") lane.status = "done";
+  onUpdate?.(lane);
+}
+
+/**
+ * Runs every lane in parallel and resolves when all of them have finished,
+ * failed or been cancelled.
+ * @param {Lane[]} lanes - The lanes from createLanes.
+ * @param {Map<string, AbortController>} controllers - One controller per lane id.
+ * @param {object} request - What to send.
+ * @param {string|object[]} request.query - The user's message.
+ * @param {object[]} request.plainMessages - The conversation history.
+ * @param {string} request.selectedModel - The model id.
+ * @param {object} request.modelParameters - The resolved model parameters.
+ * @param {object} request.settings - The user settings.
+ * @param {string[]} [request.toolNames=[]] - Provider-side tool names.
+ * @param {object|null} [request.canvas=null] - The targeted canvas.
+ * @param {object|null} [request.persona=null] - The conversation's persona.
+ * @param {function(Lane): void} [request.onUpdate] - Called whenever a lane changes.
+ * @returns {Promise<Lane[]>} The lanes.
+ */
+export async function runLanes(lanes, controllers, request) {
+  await Promise.all(lanes.map((lane) => streamLane(lane, controllers.get(lane.id), request)));
+  return lanes;
+}
+
+/**
+ * Builds the synthesis request: the user's question followed by every lane that
+ * produced an answer, with instructions to merge them into one.
+ * @param {string|object[]} query - The user's message, possibly content parts with images.
+ * @param {Lane[]} lanes - The finished lanes.
+ * @returns {string|object[]} The synthesis message content.
+ * @throws {Error} If no lane produced an answer.
+ */
+export function buildSynthesisQuery(query, lanes) {
+  const answered = lanes.filter((lane) => lane.content.trim() && lane.status !== "error");
+  if (!answered.length) {
+    throw new Error("None of the deep think branches produced an answer.");
+  }
+
+  const drafts = answered
+    .map((lane, index) => `### Draft ${index + 1}\n${lane.content.trim()}`)
+    .join("\n\n");
+  const instructions = `${answered.length} independent drafts were written for this message:
+
+${drafts}
+
+Using the drafts as input, write the single best reply to the message. Check the drafts against each other, keep what is correct and well reasoned, fix mistakes and fill gaps. Reply directly to the user, without mentioning the drafts.`;
+
+  if (Array.isArray(query)) {
+    return [{ type: "text", text: "The user's message:" }, ...query, { type: "text", text: instructions }];
+  }
+  return `The user's message:\n\n${query}\n\n${instructions}`;
+}
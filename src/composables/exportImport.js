@@ -0,0 +1,323 @@
+/**
+ * @file exportImport.js
+ * @description Conversation export (Markdown and lossless JSON), full-workspace
+ * backups, and import of our own JSON or standard `[{ role, content }]` chat transcripts.
+ */
+
+import localforage from "localforage";
+import { emitter } from "@/emitter";
+import { getConversation, importConversation } from "./storeConversations";
+import { getMemory, saveMemory, getChangeLog, saveChangeLog } from "./memory";
+import { getPath, migrateFlatMessages } from "./messageTree";
+import { contentToText, getAttachment, storeAttachment } from "./attachments";
+import { getPrompts, importPrompts } from "./promptLibrary";
+import { getPersonas, addPersonas } from "./personas";
+import { migrateSettings } from "./settings";
+import { t } from "./i18n";
+
+export const CONVERSATION_FORMAT = "zewro-conversation";
+export const WORKSPACE_FORMAT = "zewro-workspace";
+const EXPORT_VERSION = 1;
+
+/**
+ * Loads a stored conversation record.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<object>} The record.
+ * @throws {Error} If the conversation doesn't exist.
+ */
+async function loadConversation(conversationId) {
+  const conversation = await getConversation(conversationId);
+  if (!conversation) {
+    throw new Error(`No conversation found for id ${conversationId}.`);
+  }
+  return conversation;
+}
+
+/**
+ * Turns a title into a safe file name.
+ * @param {string} title - The conversation title.
+ * @returns {string} The file name without extension.
+ */
+function toFileName(title) {
+  return (title || "chat").replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "").slice(0, 60) || "chat";
+}
+
+/**
+ * Loads the stored files attached to a set of conversations, so exports are self-contained.
+ * @param {object[]} conversations - The conversation records.
+ * @returns {Promise<object[]>} The attachments that still exist.
+ */
+async function collectAttachments(conversations) {
+  const attachments = [];
+  for (const conversation of conversations) {
+    for (const msg of conversation.messages || []) {
+      for (const { id } of msg.attachments || []) {
+        const attachment = await getAttachment(id);
+        if (attachment) attachments.push(attachment);
+      }
+    }
+  }
+  return attachments;
+}
+
+/**
+ * Exports the branch being viewed as Markdown. Reasoning is put in
+ * collapsible <details> sections.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<{filename: string, content: string}>} The export.
+ */
+export async function exportConversationMarkdown(conversationId) {
+  const conversation = await loadConversation(conversationId);
+  const messages = conversation.messages || [];
+  const leafId = conversation.currentLeafId || messages[messages.length - 1]?.id;
+
+  const sections = [`# ${conversation.title || "Untitled"}`];
+  getPath(messages, leafId).forEach((msg) => {
+    let section = `## ${msg.role === "user" ? "User" : "Assistant"}\n\n`;
+    if (msg.attachments?.length) {
+      section += `${msg.attachments.map((attachment) => `_Attached: ${attachment.name}_`).join("  \n")}\n\n`;
+    }
+    if (msg.reasoning) {
+      section += `<details>\n<summary>Reasoning</summary>\n\n${msg.reasoning.trim()}\n\n</details>\n\n`;
+    }
+    section += msg.content.trim();
+    sections.push(section);
+  });
+
+  return {
+    filename: `${toFileName(conversation.title)}.md`,
+    content: `${sections.join("\n\n")}\n`,
+  };
+}
+
+/**
+ * Exports a conversation, with every branch, in our lossless JSON format.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<{filename: string, content: string}>} The export.
+ */
+export async function exportConversationJson(conversationId) {
+  const conversation = await loadConversation(conversationId);
+  return {
+    filename: `${toFileName(conversation.title)}.json`,
+    content: JSON.stringify(
+      {
+        format: CONVERSATION_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation,
+        attachments: await collectAttachments([conversation]),
+      },
+      null,
+      2,
+    ),
+  };
+}
+
+/**
+ * Exports everything stored locally: settings, memory, saved prompts, personas and all conversations.
+ * Provider API keys and chats in the trash are left out unless asked for.
+ * @param {object} [options={}]
+ * @param {boolean} [options.includeApiKeys=false] - Keep the providers' API keys, in plain text.
+ * @param {boolean} [options.includeTrash=false] - Also export soft-deleted chats.
+ * @returns {Promise<{filename: string, content: string}>} The export.
+ */
+export async function exportWorkspace({ includeApiKeys = false, includeTrash = false } = {}) {
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  const conversations = [];
+  for (const { id, deletedAt } of metadata) {
+    if (deletedAt && !includeTrash) continue;
+    const conversation = await getConversation(id);
+    if (conversation) conversations.push(conversation);
+  }
+
+  const settings = await localforage.getItem("settings");
+  if (settings && !includeApiKeys) {
+    settings.providers = (settings.providers || []).map(({ api_key, ...provider }) => provider);
+  }
+
+  return {
+    filename: `zewro-backup-${new Date().toISOString().slice(0, 10)}.json`,
+    content: JSON.stringify(
+      {
+        format: WORKSPACE_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings,
+        memory: await getMemory(),
+        memoryLog: await getChangeLog(),
+        prompts: await getPrompts(),
+        personas: await getPersonas(),
+        conversations,
+        attachments: await collectAttachments(conversations),
+      },
+      null,
+      2,
+    ),
+  };
+}
+
+/**
+ * Points an imported conversation's attachments at the ids they were stored
+ * under. Files missing from the import get an id of their own too, so they
+ * never refer to another chat's files.
+ * @param {object} record - An imported conversation record.
+ * @param {Map<string, string>} ids - New attachment ids, keyed by the exported ids.
+ * @returns {object} The record with its attachment ids replaced.
+ */
+function rekeyAttachments(record, ids) {
+  const newId = (id) => {
+    if (!ids.has(id)) ids.set(id, crypto.randomUUID());
+    return ids.get(id);
+  };
+  return {
+    ...record,
+    messages: record.messages.map((msg) =>
+      msg.attachments?.length
+        ? { ...msg, attachments: msg.attachments.map((attachment) => ({ ...attachment, id: newId(attachment.id) })) }
+        : msg,
+    ),
+  };
+}
+
+/**
+ * Restores Date objects that JSON turned into strings.
+ * @param {object} record - An imported conversation record.
+ * @returns {object} The record with dates revived.
+ */
+function reviveDates(record) {
+  const toDate = (value) => (value ? new Date(value) : null);
+  return {
+    ...record,
+    lastUpdated: toDate(record.lastUpdated) || new Date(),
+    messages: migrateFlatMessages(record.messages || []).map((msg) => ({
+      ...msg,
+      timestamp: toDate(msg.timestamp) || new Date(),
+      reasoningStartTime: toDate(msg.reasoningStartTime),
+      reasoningEndTime: toDate(msg.reasoningEndTime),
+    })),
+  };
+}
+
+/**
+ * Builds a conversation record from a standard chat transcript.
+ * System messages are dropped, since the app adds its own system prompt.
+ * @param {object[]} transcript - The [{ role, content }] messages.
+ * @returns {object} The conversation record.
+ */
+function transcriptToConversation(transcript) {
+  const start = Date.now();
+  const messages = [];
+
+  transcript
+    .filter((msg) => msg && (msg.role === "user" || msg.role === "assistant"))
+    .forEach((msg, index) => {
+      messages.push({
+        id: crypto.randomUUID(),
+        parentId: messages[messages.length - 1]?.id ?? null,
+        role: msg.role,
+        content: contentToText(msg.content),
+        reasoning: msg.role === "assistant" ? msg.reasoning || "" : undefined,
+        timestamp: new Date(start + index),
+        complete: true,
+      });
+    });
+
+  if (!messages.length) {
+    throw new Error(t("errors.import.emptyTranscript"));
+  }
+
+  const firstUser = messages.find((msg) => msg.role === "user")?.content || "";
+  return {
+    title: firstUser.trim().slice(0, 40) || "Imported chat",
+    lastUpdated: new Date(),
+    messages,
+  };
+}
+
+/**
+ * Imports a file exported by this app or a standard chat transcript.
+ * Accepts a conversation export, a workspace backup, a bare [{ role, content }]
+ * array, or an object with such an array under `messages`.
+ * @param {string} text - The file contents.
+ * @returns {Promise<{conversations: number, prompts: number, personas: number, settings: boolean, memory: boolean}>} What was imported.
+ * @throws {Error} If the file isn't a recognized format.
+ */
+export async function importData(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("errors.import.invalidJson"));
+  }
+
+  const result = { conversations: 0, prompts: 0, personas: 0, settings: false, memory: false };
+
+  // Imported files get new ids, like the conversations, so a chat imported
+  // twice doesn't share files with its other copy
+  const attachmentIds = new Map();
+  if (data?.format === WORKSPACE_FORMAT || data?.format === CONVERSATION_FORMAT) {
+    for (const attachment of data.attachments || []) {
+      const id = crypto.randomUUID();
+      attachmentIds.set(attachment.id, id);
+      await storeAttachment({ ...attachment, id });
+    }
+  }
+
+  if (data?.format === WORKSPACE_FORMAT) {
+    for (const conversation of data.conversations || []) {
+      await importConversation(rekeyAttachments(reviveDates(conversation), attachmentIds));
+      result.conversations++;
+    }
+    if (data.settings) {
+      // Settings from older versions are migrated, and invalid values dropped
+      const settings = migrateSettings(data.settings);
+      // Backups made without API keys keep the keys already set up here
+      const current = (await localforage.getItem("settings"))?.providers || [];
+      settings.providers = settings.providers.map((provider) => ({
+        ...provider,
+        api_key: provider.api_key ?? current.find((existing) => existing.id === provider.id)?.api_key ?? "",
+      }));
+      await localforage.setItem("settings", settings);
+      result.settings = true;
+    }
+    if (Array.isArray(data.memory)) {
+      await saveMemory([...(await getMemory()), ...data.memory]);
+      await saveChangeLog([...(await getChangeLog()), ...(data.memoryLog || [])]);
+      result.memory = true;
+    }
+    if (Array.isArray(data.prompts)) {
+      result.prompts = await importPrompts(data.prompts);
+    }
+    if (Array.isArray(data.personas)) {
+      result.personas = await addPersonas(data.personas);
+    }
+  } else if (data?.format === CONVERSATION_FORMAT) {
+    await importConversation(rekeyAttachments(reviveDates(data.conversation), attachmentIds));
+    result.conversations = 1;
+  } else if (Array.isArray(data) || Array.isArray(data?.messages)) {
+    await importConversation(transcriptToConversation(Array.isArray(data) ? data : data.messages));
+    result.conversations = 1;
+  } else {
+    throw new Error(t("errors.import.unknownFormat"));
+  }
+
+  emitter.emit("updateConversations");
+  return result;
+}
+
+/**
+ * Triggers a browser download for an export.
+ * @param {{filename: string, content: string}} file - The export.
+ * @param {string} [type="application/json"] - The MIME type.
+ */
+export function downloadFile({ filename, content }, type = "application/json") {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
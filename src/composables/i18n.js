@@ -0,0 +1,122 @@
+/**
+ * @file i18n.js
+ * @description Translates the UI and tells the model which language to use.
+ *
+ * Messages live in catalogs under src/locales, one per language, grouped by
+ * the part of the app they belong to (e.g. "sidebar.newChat"). A message can
+ * have `{name}` placeholders, and messages that depend on a count are objects
+ * keyed by plural category ("one", "other", ...), chosen with Intl.PluralRules.
+ * Anything missing from a catalog falls back to English.
+ *
+ * The `language` setting picks the locale; empty follows the browser. The
+ * same setting decides what language replies and chat titles are written in
+ * (see getPromptLanguage).
+ */
+
+import { ref } from "vue";
+import en from "../locales/en";
+import id from "../locales/id";
+
+export const DEFAULT_LOCALE = "en";
+
+// `name` is shown in the language picker, `promptName` tells the model what to write in
+export const LOCALES = [
+  { code: "en", name: "English", promptName: "English" },
+  { code: "id", name: "Bahasa Indonesia", promptName: "Indonesian (Bahasa Indonesia)" },
+];
+
+const CATALOGS = { en, id };
+
+// The locale the UI is shown in; components re-render when it changes
+export const locale = ref(DEFAULT_LOCALE);
+
+/**
+ * Matches a language tag to a supported locale, e.g. "id-ID" to "id".
+ * @param {string} [tag] - A BCP 47 language tag.
+ * @returns {string|null} The locale code, or null if it isn't supported.
+ */
+function matchLocale(tag) {
+  if (!tag) return null;
+  const code = tag.toLowerCase().split("-")[0];
+  return code in CATALOGS ? code : null;
+}
+
+/**
+ * Picks the first of the browser's preferred languages that has a catalog.
+ * @returns {string} The locale code, English if none match.
+ */
+export function detectLocale() {
+  if (typeof navigator === "undefined") return DEFAULT_LOCALE;
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const code = matchLocale(tag);
+    if (code) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * The locale a `language` setting stands for.
+ * @param {string} [language] - The setting, empty to follow the browser.
+ * @returns {string} The locale code.
+ */
+export function resolveLocale(language) {
+  return matchLocale(language) || detectLocale();
+}
+
+/**
+ * Switches the UI language. The page's `lang` changes too, which dictation and
+ * read-aloud follow unless they have a language of their own (see speech.js).
+ * @param {string} [language] - The `language` setting, empty to follow the browser.
+ */
+export function setLocale(language) {
+  locale.value = resolveLocale(language);
+  if (typeof document !== "undefined") document.documentElement.lang = locale.value;
+}
+
+/**
+ * Looks up a message by its dotted key.
+ * @param {object} catalog - The catalog to look in.
+ * @param {string} key - E.g. "sidebar.newChat".
+ * @returns {string|object|undefined} The message.
+ */
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalog);
+}
+
+/**
+ * Whether a message exists, in the current locale or in English.
+ * @param {string} key - The message key.
+ * @returns {boolean} True if it can be translated.
+ */
+export function te(key) {
+  return lookup(CATALOGS[locale.value], key) !== undefined || lookup(CATALOGS[DEFAULT_LOCALE], key) !== undefined;
+}
+
+/**
+ * Translates a message into the current locale.
+ * @param {string} key - The message key, e.g. "sidebar.newChat".
+ * @param {object} [params={}] - Values for the message's `{name}` placeholders.
+ *   `count` also picks the plural form.
+ * @returns {string} The message, or the key itself if no catalog has it.
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[locale.value], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const category = new Intl.PluralRules(locale.value).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * The language replies and chat titles should be written in, named for the model.
+ * @param {object} [settings={}] - The app settings.
+ * @returns {string} E.g. "Indonesian (Bahasa Indonesia)".
+ */
+export function getPromptLanguage(settings = {}) {
+  const code = resolveLocale(settings.language);
+  return LOCALES.find((entry) => entry.code === code).promptName;
+}
@@ -0,0 +1,334 @@
+/**
+ * @file markdown.js
+ * @description Renders model output and summaries as HTML for `v-html`.
+ *
+ * Model output is untrusted: a prompt-injected reply could otherwise run script
+ * in the app's origin, where every conversation and the global memory live.
+ * Markdown is rendered with markdown-it (raw HTML allowed, so tags like <kbd>
+ * and <details> work), then everything goes through DOMPurify with an allowlist
+ * of tags, attributes and inline CSS properties. Code block buttons carry a
+ * `data-code-action` instead of inline handlers; ChatPanel handles their clicks
+ * with one delegated listener. Only the toolbars rendered here keep that
+ * attribute, so a reply can't make buttons of its own that copy or download.
+ * Images only load from `data:` URLs: a remote image would be
+ * fetched as soon as the reply renders, so an injected one could send
+ * conversation text to any server in its URL. Those are shown as links instead.
+ *
+ * Rendering is cached: finished messages by their text, and streaming ones per
+ * block, so each update only parses the block still being written (see
+ * renderMarkdownStreaming). Code block buttons are labelled in the UI's
+ * language, so cached HTML is only reused for the locale it was rendered in.
+ */
+
+import DOMPurify from "dompurify";
+import hljs from "highlight.js";
+import MarkdownIt from "markdown-it";
+import markdownItFootnote from "markdown-it-footnote";
+import markdownItTaskLists from "markdown-it-task-lists";
+import markdownItKatex from "markdown-it-katex";
+import { CANVAS_EDIT_LANGUAGE, editBlockToDiff } from "./canvas";
+import { t, locale } from "./i18n";
+
+// Markdown, footnotes, task lists, code blocks and whatever harmless raw HTML models like to use
+const HTML_TAGS = [
+  "a", "abbr", "b", "blockquote", "br", "button", "code", "dd", "del", "details", "div", "dl", "dt",
+  "em", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "input", "ins", "kbd", "label", "li",
+  "mark", "ol", "p", "pre", "q", "s", "section", "small", "span", "strong", "sub", "summary", "sup",
+  "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul",
+];
+
+// The MathML KaTeX renders next to its HTML, for screen readers
+const MATHML_TAGS = [
+  "math", "annotation", "semantics", "menclose", "mfrac", "mi", "mn", "mo", "mover", "mpadded",
+  "mphantom", "mroot", "mrow", "mspace", "msqrt", "mstyle", "msub", "msubsup", "msup", "mtable",
+  "mtd", "mtext", "mtr", "munder", "munderover",
+];
+
+const ATTRIBUTES = [
+  "alt", "aria-hidden", "checked", "class", "colspan", "disabled", "encoding", "height", "href", "id",
+  "open", "rowspan", "src", "style", "title", "type", "width",
+  // Code block buttons (see the fence renderer below)
+  "data-code-action", "data-lang",
+  // KaTeX's MathML
+  "displaystyle", "mathvariant", "scriptlevel", "stretchy", "fence", "separator", "lspace", "rspace",
+  "accent", "accentunder", "columnalign", "rowspacing", "columnspacing", "notation",
+];
+
+// Inline CSS that KaTeX and table alignment use. Anything else, such as
+// `position`, could be used to draw over the app's own UI.
+const STYLE_PROPERTIES = new Set([
+  "background-color", "border-bottom-width", "border-top-width", "border-right-width", "color",
+  "font-size", "height", "margin-bottom", "margin-left", "margin-right", "margin-top", "min-width",
+  "padding-left", "padding-right", "text-align", "top", "vertical-align", "width",
+]);
+
+// How many rendered texts renderMarkdown keeps, oldest dropped first
+const MAX_CACHED_RENDERS = 300;
+
+// Marks the code block toolbars the fence renderer writes. It never leaves this
+// module, so raw HTML in a reply can't pass itself off as a toolbar.
+const TOOLBAR_MARKER = crypto.randomUUID();
+
+// Image sources that don't make a request (DOMPurify already drops blob: ones)
+const LOCAL_IMAGE_SOURCE = /^data:image\//i;
+
+const SANITIZE_CONFIG = {
+  ALLOWED_TAGS: [...HTML_TAGS, ...MATHML_TAGS],
+  ALLOWED_ATTR: ATTRIBUTES,
+  ALLOW_DATA_ATTR: false,
+};
+
+/**
+ * Keeps the allowed declarations of an inline style.
+ * @param {string} style - The style attribute.
+ * @returns {string} The cleaned style, empty if nothing was allowed.
+ */
+export function sanitizeStyle(style) {
+  return style
+    .split(";")
+    .map((declaration) => {
+      const colon = declaration.indexOf(":");
+      if (colon === -1) return null;
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+      // url() could load from anywhere; escapes could hide either
+      if (!STYLE_PROPERTIES.has(property) || !value || /url\(|expression\(|\\/i.test(value)) return null;
+      return `${property}: ${value}`;
+    })
+    .filter(Boolean)
+    .join("; ");
+}
+
+// DOMPurify needs a DOM; without one renderMarkdown falls back to plain text
+if (DOMPurify.isSupported) {
+  // Toolbars seen in the current document; their buttons are visited after them
+  const toolbars = new WeakSet();
+
+  DOMPurify.addHook("uponSanitizeAttribute", (node, data) => {
+    // The marker isn't on the allowlist, so it is removed after this
+    if (data.attrName === "data-toolbar" && data.attrValue === TOOLBAR_MARKER) {
+      toolbars.add(node);
+    }
+    if ((data.attrName === "data-code-action" || data.attrName === "data-lang") && !toolbars.has(node.parentNode)) {
+      data.keepAttr = false;
+    }
+    if (data.attrName === "style") {
+      data.attrValue = sanitizeStyle(data.attrValue);
+      if (!data.attrValue) data.keepAttr = false;
+    }
+  });
+
+  DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+    // Task list checkboxes are the only inputs, and they are read-only
+    if (node.tagName === "INPUT") {
+      if (node.getAttribute("type") !== "checkbox") {
+        node.remove();
+        return;
+      }
+      node.setAttribute("disabled", "");
+    }
+    // Buttons outside code blocks would do nothing, but shouldn't submit anything either
+    if (node.tagName === "BUTTON") node.setAttribute("type", "button");
+    // Remote images become links, which only load if the user follows them
+    if (node.tagName === "IMG" && !LOCAL_IMAGE_SOURCE.test(node.getAttribute("src") || "")) {
+      const src = node.getAttribute("src");
+      const label = node.getAttribute("alt") || src;
+      if (src) {
+        const link = node.ownerDocument.createElement("a");
+        link.setAttribute("href", src);
+        link.textContent = label;
+        node.replaceWith(link);
+      } else {
+        node.replaceWith(label || "");
+      }
+    }
+  });
+}
+
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: true,
+})
+  .use(markdownItFootnote)
+  .use(markdownItTaskLists, { enabled: false, label: true, bulletMarker: "-" })
+  .use(markdownItKatex);
+
+const escapeHtml = md.utils.escapeHtml;
+
+// Override the fence rule to inject custom wrapper and header
+md.renderer.rules.fence = (tokens, idx, options, env) => {
+  const token = tokens[idx];
+  const code = token.content.trim();
+  const lang = token.info ? token.info.trim().split(/\s+/)[0] : "";
+  const langDisplay = lang || "text";
+
+  // Canvas edits are shown as a diff; App.vue applies them to the canvas
+  if (lang === CANVAS_EDIT_LANGUAGE) {
+    const diff = hljs.highlight(editBlockToDiff(token.content.replace(/\n$/, "")), { language: "diff" }).value;
+    return `
+  <div class="code-block-wrapper canvas-edit-block">
+    <div class="code-block-header">
+      <span class="code-language">${escapeHtml(t("code.canvasEdit"))}</span>
+    </div>
+  <pre><code class="hljs diff">${diff}</code></pre>
+</div>`;
+  }
+
+  // A code block that is still streaming is highlighted once it is closed
+  const streaming = env.openFence && tokens.findLastIndex((other) => other.type === "fence") === idx;
+
+  let highlightedCode;
+  if (lang && hljs.getLanguage(lang) && !streaming) {
+    try {
+      highlightedCode = hljs.highlight(code, {
+        language: lang,
+        ignoreIllegals: true,
+      }).value;
+    } catch (__) {
+      highlightedCode = escapeHtml(code);
+    }
+  } else {
+    highlightedCode = escapeHtml(code);
+  }
+
+  // This structure prevents markdown-it from adding extra <p> tags and gives us full control.
+  // The language comes from the model, so it is escaped wherever it goes.
+  return `
+  <div class="code-block-wrapper">
+    <div class="code-block-header">
+      <span class="code-language">${escapeHtml(langDisplay)}</span>
+      <div class="code-actions" data-toolbar="${TOOLBAR_MARKER}">
+        <button class="code-action-button" data-code-action="canvas" data-lang="${escapeHtml(langDisplay)}" title="${escapeHtml(t("code.openInCanvas"))}">
+          <span>${escapeHtml(t("code.openInCanvas"))}</span>
+        </button>
+        <button class="code-action-button" data-code-action="download" data-lang="${escapeHtml(langDisplay)}" title="${escapeHtml(t("code.downloadFile"))}">
+          <span>${escapeHtml(t("code.download"))}</span>
+        </button>
+        <button class="code-action-button" data-code-action="copy" title="${escapeHtml(t("code.copyCode"))}">
+          <span>${escapeHtml(t("common.copy"))}</span>
+        </button>
+      </div>
+    </div>
+  <pre><code class="hljs ${escapeHtml(lang.replace(/[^\w+#-]/g, ""))}">${highlightedCode}</code></pre>
+</div>`;
+};
+
+// Rendered HTML by locale and Markdown text; a Map keeps insertion order, so the first key is the oldest
+const renderCache = new Map();
+
+// Finished blocks of the messages being streamed, by message key (see renderMarkdownStreaming)
+const streamingBlocks = new Map();
+
+/**
+ * Renders Markdown and sanitizes the result.
+ * @param {string} text - The Markdown.
+ * @param {object} [env={}] - markdown-it environment, passed on to the renderers.
+ * @returns {string} The sanitized HTML.
+ */
+function renderSanitized(text, env = {}) {
+  if (!DOMPurify.isSupported) return `<p>${escapeHtml(text)}</p>`;
+  return DOMPurify.sanitize(md.render(text, env), SANITIZE_CONFIG);
+}
+
+/**
+ * Renders Markdown to sanitized HTML. Results are cached, so re-rendering a
+ * chat doesn't parse its finished messages again.
+ * @param {string} text - The Markdown, e.g. a model reply.
+ * @returns {string} HTML that is safe to put in `v-html`.
+ */
+export function renderMarkdown(text) {
+  if (!text) return "";
+
+  const key = `${locale.value}:${text}`;
+  let html = renderCache.get(key);
+  if (html === undefined) {
+    html = renderSanitized(text);
+    if (renderCache.size >= MAX_CACHED_RENDERS) renderCache.delete(renderCache.keys().next().value);
+  } else {
+    renderCache.delete(key); // Moved to the back as the most recently used
+  }
+  renderCache.set(key, html);
+  return html;
+}
+
+/**
+ * Splits Markdown into top-level blocks at blank lines that are followed by an
+ * unindented line, outside fenced code and `$$` math. Only the last block can
+ * still change while a reply streams in.
+ * @param {string} text - The Markdown so far.
+ * @returns {{blocks: string[], open: string, openFence: boolean}} The finished blocks,
+ *   the block still being written, and whether it ends inside a code fence.
+ */
+export function splitMarkdownBlocks(text) {
+  const lines = text.split("\n");
+  const blocks = [];
+  let start = 0;
+  let fence = null;
+  let inMath = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (fence) {
+      const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+      continue;
+    }
+    if (inMath) {
+      if (line.trimEnd().endsWith("$$")) inMath = false;
+      continue;
+    }
+
+    const open = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (open) {
+      fence = open[1];
+      continue;
+    }
+    const math = line.match(/^ {0,3}\$\$(.*)$/);
+    if (math && !math[1].trimEnd().endsWith("$$")) {
+      inMath = true;
+      continue;
+    }
+
+    const next = lines[i + 1];
+    if (!line.trim() && next && /^\S/.test(next)) {
+      blocks.push(lines.slice(start, i + 1).join("\n") + "\n");
+      start = i + 1;
+    }
+  }
+
+  return { blocks, open: lines.slice(start).join("\n"), openFence: Boolean(fence) };
+}
+
+/**
+ * Renders a reply that is still streaming. Finished blocks are rendered once and
+ * reused on later updates; only the block being written is parsed again, and
+ * an unclosed code block in it isn't highlighted yet. Footnotes and reference
+ * links resolve once the reply is finished and rendered with renderMarkdown.
+ * @param {string} key - Identifies the text, e.g. the message id.
+ * @param {string} text - The Markdown so far.
+ * @returns {string} HTML that is safe to put in `v-html`.
+ */
+export function renderMarkdownStreaming(key, text) {
+  if (!text) return "";
+
+  const { blocks, open, openFence } = splitMarkdownBlocks(text);
+  const previous = streamingBlocks.get(key) || [];
+  const rendered = blocks.map((source, index) =>
+    previous[index]?.source === source && previous[index].locale === locale.value
+      ? previous[index]
+      : { source, locale: locale.value, html: renderSanitized(source) },
+  );
+  streamingBlocks.set(key, rendered);
+
+  return rendered.map((block) => block.html).join("") + (open ? renderSanitized(open, { openFence }) : "");
+}
+
+/**
+ * Drops the blocks kept for a text that has finished streaming.
+ * @param {string} key - The key passed to renderMarkdownStreaming.
+ */
+export function finishStreaming(key) {
+  streamingBlocks.delete(key);
+}
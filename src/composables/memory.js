@@ -1,18 +1,370 @@
 import localforage from "localforage";
+import { resolveEndpoint } from "./providers";
 
 // Define the key used for storing memory in localforage
 const MEMORY_STORAGE_KEY = "global_chatbot_memory";
 
+/**
+ * Loads the remembered facts about the user.
+ * @returns {Promise<string[]>} The stored facts, or an empty array if there are none.
+ */
+export async function getMemory() {
+  try {
+    const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
+    const facts = stored_memory ? JSON.parse(stored_memory) : [];
+    return Array.isArray(facts) ? facts : [];
+  } catch (err) {
+    console.error("Error loading or parsing global memory:", err);
+    return [];
+  }
+}
+
+/**
+ * Replaces the remembered facts. Empty facts are dropped, and an empty list
+ * removes the memory from storage entirely.
+ * @param {string[]} facts - The facts to store.
+ */
+export async function saveMemory(facts) {
+  const cleaned = Array.from(
+    new Set(facts.map((fact) => fact.trim()).filter((fact) => fact))
+  );
+  if (cleaned.length > 0) {
+    await localforage.setItem(MEMORY_STORAGE_KEY, JSON.stringify(cleaned));
+  } else {
+    await localforage.removeItem(MEMORY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Deletes every remembered fact.
+ */
+export async function clearMemory() {
+  await localforage.removeItem(MEMORY_STORAGE_KEY);
+}
+
+// Key for the undoable log of memory changes, newest last
+const MEMORY_LOG_STORAGE_KEY = "global_chatbot_memory_log";
+
+// Oldest entries are dropped once the log grows past this size
+const MEMORY_LOG_LIMIT = 100;
+
+// Words left out when comparing facts, so "User's name is Ana" matches "The user's name is Ana"
+const FACT_FILLER_WORDS = new Set(["a", "an", "the", "user", "s", "is", "are", "was", "am", "i", "my", "their", "they"]);
+
+const MEMORY_OPERATIONS = ["add", "remove", "modify", "clear", "none"];
+
+/**
+ * Strips JSON5-style leftovers models like to add: comments (the prompt's own
+ * examples contain them) and trailing commas. Strings are left untouched.
+ * @param {string} text - The JSON-ish text.
+ * @returns {string} Text that JSON.parse can read.
+ */
+function stripJsonNoise(text) {
+  let result = "";
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") {
+        result += text[++i] ?? "";
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      result += "\n";
+    } else if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result.replace(/,(\s*[}\]])/g, "$1");
+}
+
+/**
+ * Finds the first balanced {...} object in a model response, skipping
+ * <think> blocks and Markdown code fences around it.
+ * @param {string} text - The raw model output.
+ * @returns {object} The parsed object.
+ * @throws {Error} If no JSON object can be found or parsed.
+ */
+export function extractJsonObject(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error("Empty response.");
+  }
+
+  const cleaned = text
+    .replace(/<think>[\s\S]*?(<\/think>|$)/gi, "")
+    .replace(/```(?:json|jsonc|javascript)?/gi, "");
+
+  let searchFrom = cleaned.indexOf("{");
+  while (searchFrom !== -1) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = searchFrom; i < cleaned.length; i++) {
+      const char = cleaned[i];
+      if (inString) {
+        if (char === "\\") i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}" && --depth === 0) {
+        try {
+          return JSON.parse(stripJsonNoise(cleaned.slice(searchFrom, i + 1)));
+        } catch {
+          break; // Not valid JSON; try the next opening brace
+        }
+      }
+    }
+
+    searchFrom = cleaned.indexOf("{", searchFrom + 1);
+  }
+
+  throw new Error("No JSON object found in response.");
+}
+
+/**
+ * Keeps only the non-empty strings of a list.
+ * @param {*} list - The value the model returned.
+ * @returns {string[]} The trimmed strings.
+ */
+function toFactList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((fact) => typeof fact === "string")
+    .map((fact) => fact.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses and validates the model's memory operations against the schema
+ * documented in the memory manager prompt.
+ * @param {string} text - The raw model output.
+ * @returns {{operation: string, facts: {add: string[], remove: string[], modify: {old: string, new: string}[]}}}
+ * @throws {Error} If the output has no valid operation.
+ */
+export function parseMemoryOperations(text) {
+  const parsed = extractJsonObject(text);
+
+  const operation =
+    typeof parsed.operation === "string" ? parsed.operation.toLowerCase().trim() : "";
+  if (!MEMORY_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown memory operation "${parsed.operation}".`);
+  }
+
+  const facts = parsed.facts && typeof parsed.facts === "object" ? parsed.facts : {};
+  return {
+    operation,
+    facts: {
+      add: toFactList(facts.add),
+      remove: toFactList(facts.remove),
+      modify: (Array.isArray(facts.modify) ? facts.modify : [])
+        .filter((mod) => mod && typeof mod.old === "string" && typeof mod.new === "string")
+        .map((mod) => ({ old: mod.old.trim(), new: mod.new.trim() }))
+        .filter((mod) => mod.old && mod.new),
+    },
+  };
+}
+
+/**
+ * Normalizes a fact into its lowercase words for comparison.
+ * @param {string} fact - The fact.
+ * @returns {string[]} The words.
+ */
+function factWords(fact) {
+  return fact
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * The words that carry a fact's meaning, with filler words left out and plural
+ * or third-person "s" endings dropped ("likes" and "like" are the same word).
+ * @param {string} fact - The fact.
+ * @returns {string} The words, sorted and joined, for comparing facts.
+ */
+function contentKey(fact) {
+  const words = factWords(fact)
+    .filter((word) => !FACT_FILLER_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+  return [...new Set(words)].sort().join(" ");
+}
+
+/**
+ * Finds the stored fact a model meant, tolerating differences in case,
+ * punctuation and filler words. Facts only match when they have the same
+ * content words, so "User lives in Paris" never matches "User lives in London".
+ * @param {string[]} memory - The stored facts.
+ * @param {string} fact - The fact the model referred to.
+ * @returns {number} The index of the matching fact, or -1.
+ */
+export function findMatchingFact(memory, fact) {
+  const exact = memory.indexOf(fact);
+  if (exact !== -1) return exact;
+
+  const words = factWords(fact).join(" ");
+  const normalized = memory.findIndex((existing) => factWords(existing).join(" ") === words);
+  if (normalized !== -1) return normalized;
+
+  const key = contentKey(fact);
+  if (!key) return -1;
+  return memory.findIndex((existing) => contentKey(existing) === key);
+}
+
+/**
+ * Applies validated memory operations to a list of facts.
+ * @param {string[]} memory - The current facts.
+ * @param {object} operations - The output of parseMemoryOperations.
+ * @returns {{memory: string[], changes: object[]}} The new facts and a log entry per applied change.
+ */
+export function applyMemoryOperations(memory, operations) {
+  let updated = [...memory];
+  const changes = [];
+
+  if (operations.operation === "clear") {
+    if (updated.length) changes.push({ type: "clear", facts: updated });
+    return { memory: [], changes };
+  }
+
+  if (operations.operation === "none") {
+    return { memory: updated, changes };
+  }
+
+  // Fact lists are honored regardless of the primary operation, since models
+  // often report "add" while also removing or modifying facts.
+  operations.facts.remove.forEach((fact) => {
+    const index = findMatchingFact(updated, fact);
+    if (index === -1) {
+      console.warn(`Attempted to remove non-existent fact: "${fact}"`);
+      return;
+    }
+    changes.push({ type: "remove", fact: updated[index] });
+    updated = updated.filter((_, i) => i !== index);
+  });
+
+  operations.facts.modify.forEach((mod) => {
+    const index = findMatchingFact(updated, mod.old);
+    if (index === -1) {
+      console.warn(`Attempted to modify non-existent fact: "${mod.old}"`);
+      return;
+    }
+    if (updated[index] === mod.new) return;
+    changes.push({ type: "modify", old: updated[index], new: mod.new });
+    updated[index] = mod.new;
+  });
+
+  operations.facts.add.forEach((fact) => {
+    if (updated.includes(fact)) return;
+    changes.push({ type: "add", fact });
+    updated.push(fact);
+  });
+
+  return { memory: updated, changes };
+}
+
+/**
+ * Loads the memory change log, newest entry last.
+ * @returns {Promise<object[]>} The log entries.
+ */
+export async function getChangeLog() {
+  const log = await localforage.getItem(MEMORY_LOG_STORAGE_KEY);
+  return Array.isArray(log) ? log : [];
+}
+
+/**
+ * Replaces the whole memory change log, e.g. when restoring a backup.
+ * @param {object[]} log - The log entries, newest last.
+ */
+export async function saveChangeLog(log) {
+  await localforage.setItem(
+    MEMORY_LOG_STORAGE_KEY,
+    (Array.isArray(log) ? log : []).slice(-MEMORY_LOG_LIMIT),
+  );
+}
+
+/**
+ * Records applied memory changes so they can be undone later.
+ * @param {object[]} changes - The changes from applyMemoryOperations.
+ */
+async function appendChangeLog(changes) {
+  const timestamp = new Date().toISOString();
+  const log = await getChangeLog();
+  log.push(
+    ...changes.map((change) => ({
+      id: crypto.randomUUID(),
+      timestamp,
+      undone: false,
+      ...change,
+    })),
+  );
+  await localforage.setItem(
+    MEMORY_LOG_STORAGE_KEY,
+    log.slice(-MEMORY_LOG_LIMIT),
+  );
+}
+
+/**
+ * Reverts one logged memory change and marks it as undone.
+ * Adds are removed, removes are restored, modifies are switched back and
+ * cleared facts are merged back into the current memory.
+ * @param {string} changeId - The id of the log entry.
+ * @returns {Promise<string[]>} The facts after the undo.
+ */
+export async function undoMemoryChange(changeId) {
+  const log = await getChangeLog();
+  const change = log.find((entry) => entry.id === changeId);
+  let memory = await getMemory();
+  if (!change || change.undone) return memory;
+
+  switch (change.type) {
+    case "add":
+      memory = memory.filter((fact) => fact !== change.fact);
+      break;
+    case "remove":
+      memory.push(change.fact);
+      break;
+    case "modify": {
+      const index = memory.indexOf(change.new);
+      if (index !== -1) memory[index] = change.old;
+      else memory.push(change.old);
+      break;
+    }
+    case "clear":
+      memory = [...change.facts, ...memory];
+      break;
+  }
+
+  change.undone = true;
+  await saveMemory(memory);
+  await localforage.setItem(MEMORY_LOG_STORAGE_KEY, log);
+  return getMemory();
+}
+
 /**
  * Updates the global memory based on the latest message, conversation context,
  * and existing memory. It uses an AI model to determine necessary memory operations
  * (add, remove, modify, clear).
  *
  * @param {string} message - The user's current message.
- * @param {object} context - The full conversation context/history.
+ * @param {object[]} context - The recent conversation messages ({ role, content }).
+ * @param {object} [settings={}] - User settings, used to pick the provider for the memory call.
  * @throws {Error} - Throws an error if any step of the process fails.
  */
-export async function updateMemory(message, context) {
+export async function updateMemory(message, context, settings = {}) {
   let global_memory_array = []; // Memory will be managed as an array of strings internally
 
   try {
@@ -45,7 +397,7 @@ Output MUST be a JSON object with the following structure:
   "operation": "add" | "remove" | "modify" | "clear" | "none",
   "facts": {
     "add": ["fact to add 1", "fact to add 2", ...], // Array of strings to add
-    "remove": ["fact to remove 1", ...],         // Array of strings to remove (must match existing exactly)
+    "remove": ["fact to remove 1", ...],         // Array of strings to remove (should match existing facts)
     "modify": [                                  // Array of objects for modifications
       {"old": "old fact text", "new": "new fact text"},
       ...
@@ -107,10 +459,13 @@ Example Output (No change):
 
   try {
     // Call the chat completion API to get suggested memory operations in JSON format
-    const response = await fetch("https://ai.hackclub.com/chat/completions", {
+    const { url, headers, provider, model } = resolveEndpoint(settings);
+    const response = await fetch(url, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers,
       body: JSON.stringify({
+        // The built-in provider picks its own model; custom providers need one
+        ...(!provider.builtin && model && { model: model.id }),
         messages: [
           {
             role: "system",
@@ -118,7 +473,7 @@ Example Output (No change):
           },
           {
             role: "user",
-            content: `User message: "${message}"\n\nConversation context (recent messages):\n${JSON.stringify(context.value)}\n\nCurrent global memory (as a list of facts):\n${JSON.stringify(global_memory_array)}`,
+            content: `User message: "${message}"\n\nConversation context (recent messages):\n${JSON.stringify(context)}\n\nCurrent global memory (as a list of facts):\n${JSON.stringify(global_memory_array)}`,
           },
         ],
         stream: false, // Need the full JSON response
@@ -147,30 +502,13 @@ Example Output (No change):
 
     let memory_operations = null;
     try {
-      memory_operations = JSON.parse(json_string);
-      // Basic validation of the parsed JSON structure
-      if (
-        !memory_operations ||
-        typeof memory_operations !== "object" ||
-        !("operation" in memory_operations)
-      ) {
-        throw new Error("Invalid JSON structure from AI.");
-      }
-      if (
-        memory_operations.operation !== "clear" &&
-        !("facts" in memory_operations)
-      ) {
-        throw new Error("Missing 'facts' object in AI JSON output.");
-      }
+      memory_operations = parseMemoryOperations(json_string);
     } catch (parseError) {
       console.error(
         "Failed to parse AI response as JSON:",
         json_string,
         parseError,
       );
-      // Depending on how critical this is, you might throw an error
-      // or log a warning and proceed without updating memory.
-      // For reliability, let's throw an error if the AI output is unparsable JSON.
       throw new Error(
         "Received invalid JSON from AI for memory operations: " +
           parseError.message,
@@ -178,103 +516,21 @@ Example Output (No change):
     }
 
     // --- Apply Memory Operations based on AI's JSON output ---
-    let updated_memory_array = [...global_memory_array]; // Start with current memory
-
-    switch (memory_operations.operation) {
-      case "clear":
-        updated_memory_array = []; // Clear all memory
-        console.log("Memory operation: CLEAR");
-        break;
-
-      case "add":
-      case "remove":
-      case "modify": {
-        // Handle all fact operations in sequence
-
-        // Process adds if present
-        if (
-          memory_operations.operation === "add" ||
-          memory_operations.facts?.add?.length > 0
-        ) {
-          const facts_to_add = memory_operations.facts?.add || [];
-          facts_to_add.forEach((fact) => {
-            const trimmed_fact = fact.trim();
-            if (trimmed_fact && !updated_memory_array.includes(trimmed_fact)) {
-              updated_memory_array.push(trimmed_fact);
-            }
-          });
-        }
-
-        // Process removes if present
-        if (
-          memory_operations.operation === "remove" ||
-          memory_operations.facts?.remove?.length > 0
-        ) {
-          const facts_to_remove = memory_operations.facts?.remove || [];
-          facts_to_remove.forEach((fact) => {
-            const trimmed_fact = fact.trim();
-            updated_memory_array = updated_memory_array.filter(
-              (existing_fact) => existing_fact !== trimmed_fact,
-            );
-          });
-        }
-
-        // Process modifications if present
-        if (
-          memory_operations.operation === "modify" ||
-          memory_operations.facts?.modify?.length > 0
-        ) {
-          const modifications = memory_operations.facts?.modify || [];
-          modifications.forEach((mod) => {
-            const old_fact = mod.old?.trim();
-            const new_fact = mod.new?.trim();
-            if (old_fact && new_fact) {
-              const index = updated_memory_array.indexOf(old_fact);
-              if (index !== -1) {
-                updated_memory_array[index] = new_fact;
-              } else {
-                console.warn(
-                  `Attempted to modify non-existent fact: "${old_fact}"`,
-                );
-              }
-            }
-          });
-        }
-
-        console.log(
-          `Memory operations: ${memory_operations.operation}, Added: ${memory_operations.facts?.add?.length || 0}, Removed: ${memory_operations.facts?.remove?.length || 0}, Modified: ${memory_operations.facts?.modify?.length || 0}`,
-        );
-        break;
-      }
-
-      case "none":
-        console.log("Memory operation: NONE (No changes needed)");
-        break;
+    const { memory: updated_memory_array, changes } = applyMemoryOperations(
+      global_memory_array,
+      memory_operations,
+    );
 
-      default:
-        console.warn(
-          `Unknown memory operation received from AI: "${memory_operations.operation}". No memory changes applied.`,
-        );
-        break;
-    }
+    console.log(
+      `Memory operations: ${memory_operations.operation}, applied ${changes.length} change(s)`,
+    );
 
-    // Ensure uniqueness after operations (especially adds)
-    updated_memory_array = Array.from(new Set(updated_memory_array)).filter(
-      (fact) => fact,
-    ); // Filter out any empty strings
+    if (changes.length === 0) return;
 
-    // Save the updated memory array (as a JSON string)
-    if (updated_memory_array.length > 0) {
-      await localforage.setItem(
-        MEMORY_STORAGE_KEY,
-        JSON.stringify(updated_memory_array),
-      );
-      console.log("Global memory saved:", updated_memory_array);
-    } else {
-      // If memory is empty, remove the item from localforage
-      await localforage.removeItem(MEMORY_STORAGE_KEY);
-      console.log("Global memory cleared and removed from storage.");
-    }
+    // Save the updated memory array and record what changed so it can be undone
+    await saveMemory(updated_memory_array);
+    await appendChangeLog(changes);
+    console.log("Global memory saved:", updated_memory_array);
   } catch (err) {
     // Handle errors during API call, parsing, or processing
     console.error(
@@ -1,13 +1,117 @@
 /**
  * @file message.js
- * @description Core logic for the Aegis AI API Interface, handling Hack Club LLM endpoint configuration
+ * @description Core logic for the Aegis AI API Interface, handling LLM provider endpoint configuration
  * and streaming responses using manual fetch() processing.
  */
 
-import { availableModels } from "./availableModels";
 import { generateSystemPrompt } from "./systemPrompt";
+import { resolveEndpoint } from "./providers";
+import { getMemory } from "./memory";
+import { getToolDefinitions, getTools, runToolCall } from "./tools";
 
-/**\n * Main entry point for processing all incoming user messages for the API interface.\n * It determines the correct API configuration and streams the LLM response.\n *\n * @param {string} query - The user's message\n * @param {Array} plainMessages - Conversation history (e.g., [{ role: \"user\", content: \"...\"}, { role: \"assistant\", content: \"...\"}])\n * @param {AbortController} controller - AbortController instance for cancelling API requests\n * @param {string} selectedModel - The model chosen by the user\n * @param {object} modelParameters - Object containing all configurable model parameters (temperature, top_p, max_tokens, seed, reasoning)\n * @param {object} settings - User settings object containing user_name, user_occupation, and custom_instructions\n * @param {string[]} toolNames - Array of available tool names\n * @yields {Object} A chunk object with content and/or reasoning\n *   @property {string|null} content - The main content of the response chunk\n *   @property {string|null} reasoning - Any reasoning information included in the response chunk\n */
+// How many times the model may call tools before it has to answer
+const MAX_TOOL_ROUNDS = 5;
+
+// Rate limited (429) and server error (5xx) responses are retried this many times
+const MAX_RETRIES = 3;
+// Backoff before the first retry, doubled for each one after it
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+// A Retry-After longer than this is reported as an error instead of waited out
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Sent after an interrupted reply to have the model carry on from where it stopped
+const CONTINUE_PROMPT =
+  "Your previous reply was cut off. Continue it from exactly where it stopped, without repeating anything or adding a preamble.";
+
+/**
+ * Works out how long to wait before retrying a failed request: the server's
+ * Retry-After (in seconds or as an HTTP date) if it sent one, otherwise an
+ * exponential backoff.
+ * @param {number} attempt - How many retries were already made.
+ * @param {string|null} retryAfter - The Retry-After header.
+ * @param {number} [now=Date.now()] - The current time, for HTTP dates.
+ * @returns {number|null} The delay in milliseconds, or null if the server asks to wait too long.
+ */
+export function getRetryDelay(attempt, retryAfter, now = Date.now()) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - now : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return delay > MAX_RETRY_AFTER_MS ? null : Math.max(0, delay);
+    }
+  }
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Builds the request that continues an interrupted reply: the original exchange
+ * plus the partial answer goes into the history, and the model is asked to
+ * carry on from where it stopped.
+ * @param {Array} plainMessages - Conversation history before the user's message.
+ * @param {string|object[]} query - The user's message the reply answers.
+ * @param {string} partial - What the reply had written so far.
+ * @returns {{query: string, plainMessages: Array}} The arguments for handleIncomingMessage.
+ */
+export function buildContinuation(plainMessages, query, partial) {
+  return {
+    query: CONTINUE_PROMPT,
+    plainMessages: [
+      ...plainMessages,
+      { role: "user", content: query },
+      { role: "assistant", content: partial },
+    ],
+  };
+}
+
+/**
+ * Waits before a retry, unless the request is cancelled first.
+ * @param {number} ms - How long to wait.
+ * @param {AbortSignal} signal - Cancels the wait with an AbortError.
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    if (signal.aborted) abort();
+    else signal.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Main entry point for processing all incoming user messages for the API interface.
+ * It determines the correct API configuration and streams the LLM response. When the
+ * model calls client-side tools (tools.js), they are run here and their results are
+ * sent back in a follow-up request, until the model answers or MAX_TOOL_ROUNDS is reached.
+ * Rate limited and server error responses are retried with backoff (see getRetryDelay).
+ *
+ * @param {string|object[]} query - The user's message, or content parts when it includes images
+ * @param {Array} plainMessages - Conversation history (e.g., [{ role: "user", content: "..."}, { role: "assistant", content: "..."}])
+ * @param {AbortController} controller - AbortController instance for cancelling API requests
+ * @param {string} selectedModel - The model chosen by the user
+ * @param {object} modelParameters - Object containing all configurable model parameters (temperature, top_p, max_tokens, seed, reasoning)
+ * @param {object} settings - User settings object containing user_name, user_occupation, custom_instructions and the configured providers
+ * @param {string[]} toolNames - Array of available tool names
+ * @param {object|null} canvas - The canvas the message targets, shown to the model with its edit format (see canvas.js)
+ * @param {object|null} persona - The conversation's persona, applied to the system prompt (see personas.js)
+ * @yields {Object} A chunk object with content and/or reasoning
+ *   @property {string|null} content - The main content of the response chunk
+ *   @property {string|null} reasoning - Any reasoning information included in the response chunk
+ *   @property {string} [finishReason] - Why generation stopped, on the chunk that ends the choice
+ *   @property {object} [usage] - The API's token usage ({ prompt_tokens, completion_tokens, total_tokens }), once per request
+ *   @property {object} [toolCall] - A client-side tool call ({ id, name, arguments, status, result }), yielded
+ *     with status "running" when it starts and again with "done" or "error" when it finishes
+ *   @property {object} [retry] - Yielded before waiting to retry a request ({ attempt, status, delay })
+ *   @property {boolean} [interrupted] - Set instead of `error` when the stream broke off, failed with an
+ *     API error or ended without [DONE] after the reply had started, so the partial answer can be kept
+ *     and continued (see buildContinuation)
+ */
 export async function* handleIncomingMessage(
   query,
   plainMessages,
@@ -15,16 +119,32 @@ export async function* handleIncomingMessage(
   selectedModel = "qwen/qwen3-32b",
   modelParameters = {},
   settings = {},
-  toolNames = []
+  toolNames = [],
+  canvas = null,
+  persona = null
 ) {
+  // Whether any of the reply has arrived, to tell an interrupted stream from a failed request
+  let started = false;
+
   try {
     // Validate required parameters
     if (!query || !plainMessages || !controller) {
       throw new Error("Missing required parameters for handleIncomingMessage");
     }
 
-    // Generate system prompt based on settings and available tools
-    const systemPrompt = generateSystemPrompt(toolNames, settings);
+    // Resolve which provider serves the selected model
+    const endpoint = resolveEndpoint(settings, selectedModel);
+    const selectedModelInfo = endpoint.model;
+
+    // Client-side tools are offered to models known to call functions, unless the user turned them off
+    const useTools = settings.tools_enabled !== false && selectedModelInfo?.tool_calling === true;
+    const clientToolNames = useTools ? getTools().map((tool) => tool.name) : [];
+
+    // Load remembered facts only when the user has turned global memory on
+    const memory = settings.global_memory_enabled ? await getMemory() : [];
+
+    // Generate system prompt based on settings, available tools, memory, the targeted canvas and the persona
+    const systemPrompt = generateSystemPrompt([...toolNames, ...clientToolNames], settings, memory, canvas, persona);
 
     // Add the system prompt and current user query to the messages for the LLM call
     const messagesToSend = [
@@ -40,8 +160,14 @@ export async function* handleIncomingMessage(
       temperature: modelParameters.temperature,
       top_p: modelParameters.top_p,
       stream: true, // Enable streaming
+      stream_options: { include_usage: true }, // Ask for token usage in the final chunk
     };
 
+    if (useTools) {
+      requestBody.tools = getToolDefinitions();
+      requestBody.tool_choice = "auto";
+    }
+
     // Add optional parameters only if they are not null/undefined
     if (modelParameters.max_tokens != null) {
       requestBody.max_tokens = modelParameters.max_tokens;
@@ -60,33 +186,125 @@ export async function* handleIncomingMessage(
     }
 
     // Add reasoning parameters only if the model supports reasoning
-    const selectedModelInfo = availableModels.find(
-      (model) => model.id === selectedModel
-    );
     if (selectedModelInfo && selectedModelInfo.reasoning) {
       requestBody.reasoning_format = "parsed";
 
-      // Add reasoning_effort if specified in model parameters and enabled
-      if (
-        modelParameters.reasoning?.enabled &&
-        modelParameters.reasoning.effort
-      ) {
-        requestBody.reasoning_effort = modelParameters.reasoning.effort;
+      // Add reasoning_effort if specified in model parameters. With reasoning
+      // turned off it is only sent to models that list the value, since "none"
+      // is how models like Qwen 3 turn it off and others reject it.
+      const effort = modelParameters.reasoning?.effort;
+      const effortOptions = selectedModelInfo.extra_parameters?.reasoning_effort?.[0] || [];
+      if (effort && (modelParameters.reasoning.enabled || effortOptions.includes(effort))) {
+        requestBody.reasoning_effort = effort;
       }
     }
 
+    for (let round = 0; ; round++) {
+      // The last round gets no tools, so the model has to answer with what it has
+      if (useTools && round === MAX_TOOL_ROUNDS) {
+        delete requestBody.tools;
+        delete requestBody.tool_choice;
+      }
+
+      // Filled in by streamResponse as the reply arrives
+      const turn = { content: "", toolCalls: [] };
+      for await (const chunk of streamResponse(endpoint, requestBody, controller.signal, modelParameters, turn)) {
+        if (chunk.content || chunk.reasoning) started = true;
+        yield chunk;
+      }
+
+      if (!turn.toolCalls.length || !requestBody.tools) {
+        return;
+      }
+
+      // Echo the assistant's tool calls back, then one tool message per call
+      const toolCalls = turn.toolCalls.filter(Boolean);
+      messagesToSend.push({
+        role: "assistant",
+        content: turn.content || null,
+        tool_calls: toolCalls.map(({ id, name, arguments: args }) => ({
+          id,
+          type: "function",
+          function: { name, arguments: args },
+        })),
+      });
+
+      for (const call of toolCalls) {
+        const toolCall = { id: call.id, name: call.name, arguments: call.arguments, status: "running" };
+        yield { content: null, reasoning: null, toolCall };
+
+        const { result, error } = await runToolCall(call, { signal: controller.signal });
+        yield {
+          content: null,
+          reasoning: null,
+          toolCall: { ...toolCall, status: error ? "error" : "done", result },
+        };
+
+        messagesToSend.push({ role: "tool", tool_call_id: call.id, content: result });
+      }
+    }
+  } catch (error) {
+    // Handle abort errors specifically
+    if (error.name === "AbortError") {
+      yield { content: "\n\n[STREAM CANCELED]", reasoning: null };
+      return;
+    }
+
+    const errorMessage = error.message || "No detailed information";
+    const errorDetails = {
+      name: error.name || "UnknownError",
+      message: errorMessage,
+      rawError: error.toString(),
+    };
+
+    // Keep what was already written rather than appending an error to it
+    if (started) {
+      yield { content: null, reasoning: null, interrupted: true, errorDetails };
+      return;
+    }
+
+    yield {
+      content: `\n\n[CRITICAL ERROR: Aegis AI failed to dispatch request. ${errorMessage}]`,
+      reasoning: null,
+      error: true,
+      errorDetails,
+    };
+  }
+}
+
+/**
+ * Sends one chat completion request and streams its reply. Streamed `tool_calls`
+ * deltas are merged by index into `turn.toolCalls` instead of being yielded, since
+ * their arguments arrive in fragments.
+ *
+ * @param {object} endpoint - The resolved endpoint ({ url, headers })
+ * @param {object} requestBody - The request body
+ * @param {AbortSignal} signal - Cancels the request
+ * @param {object} modelParameters - The model parameters
+ * @param {{content: string, toolCalls: object[]}} turn - Collects the reply's text and tool calls
+ * @yields {Object} Content, reasoning, finish reason, usage and retry chunks, as in handleIncomingMessage
+ * @throws {Error} If the request fails, the API sends an error in the stream, or the stream ends without [DONE]
+ */
+async function* streamResponse(endpoint, requestBody, signal, modelParameters, turn) {
+  let response;
+  for (let attempt = 0; ; attempt++) {
     // Make the API request using fetch
-    const response = await fetch("https://ai.hackclub.com/chat/completions", {
+    response = await fetch(endpoint.url, {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
+      headers: endpoint.headers,
       body: JSON.stringify(requestBody),
-      signal: controller.signal,
+      signal,
     });
 
-    // Check if the response is ok
-    if (!response.ok) {
+    if (response.ok) break;
+
+    // Rate limits and server errors are usually temporary, so they are retried
+    const retryable = response.status === 429 || response.status >= 500;
+    const delay = retryable && attempt < MAX_RETRIES
+      ? getRetryDelay(attempt, response.headers.get("Retry-After"))
+      : null;
+
+    if (delay === null) {
       const errorData = await response.json().catch(() => ({}));
       const errorMessage = errorData.error?.message || "Unknown error";
 
@@ -95,119 +313,145 @@ export async function* handleIncomingMessage(
       );
     }
 
-    // Process the streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = "";
+    await response.body?.cancel().catch(() => {});
+    yield { content: null, reasoning: null, retry: { attempt: attempt + 1, status: response.status, delay } };
+    await wait(delay, signal);
+  }
 
-    // Track reasoning timing
-    let reasoningStarted = false;
-    let reasoningStartTime = null;
+  // Process the streaming response
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
 
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
+  // Track reasoning timing
+  let reasoningStarted = false;
+  let reasoningStartTime = null;
 
-        if (done) {
-          break;
-        }
+  // Set on [DONE] so the outer read loop stops too, even if the server keeps the connection open
+  let streamDone = false;
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n");
-        buffer = lines.pop(); // Keep the last incomplete line in the buffer
+  try {
+    while (!streamDone) {
+      const { done, value } = await reader.read();
 
-        for (const line of lines) {
-          if (line.startsWith("data: ")) {
-            const data = line.slice(6); // Remove "data: " prefix
+      // On the final read, flush the decoder and process whatever is left,
+      // since the last line may not end with a newline
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = done ? "" : lines.pop(); // Keep the last incomplete line in the buffer
 
-            if (data === "[DONE]") {
-              // Stream is complete
-              break;
-            }
+      for (const rawLine of lines) {
+        const line = rawLine.trim(); // Servers may send CRLF line endings
+        if (line.startsWith("data:")) {
+          const data = line.slice(5).trim(); // Remove "data:" prefix
 
-            try {
-              const parsed = JSON.parse(data);
-
-              // Handle different types of responses
-              if (parsed.choices && parsed.choices[0]) {
-                const choice = parsed.choices[0];
-
-                // Handle content delta
-                if (choice.delta?.content) {
-                  // If we have reasoning enabled and we're getting text content,
-                  // this means the reasoning phase is complete
-                  if (
-                    modelParameters.reasoning?.enabled &&
-                    !reasoningStarted &&
-                    choice.delta.content
-                  ) {
-                    reasoningStarted = true;
-                  }
-
-                  yield {
-                    content: choice.delta.content,
-                    reasoning: null,
-                  };
-                }
+          if (data === "[DONE]") {
+            // Stream is complete
+            streamDone = true;
+            break;
+          }
 
-                // Handle reasoning delta (if available in the response format)
-                if (choice.delta?.reasoning) {
-                  // Track when reasoning starts
-                  if (!reasoningStartTime) {
-                    reasoningStartTime = new Date();
-                  }
-
-                  yield {
-                    content: null,
-                    reasoning: choice.delta.reasoning,
-                  };
+          try {
+            const parsed = JSON.parse(data);
+
+            // Handle different types of responses
+            if (parsed.choices && parsed.choices[0]) {
+              const choice = parsed.choices[0];
+
+              // Handle content delta
+              if (choice.delta?.content) {
+                // If we have reasoning enabled and we're getting text content,
+                // this means the reasoning phase is complete
+                if (
+                  modelParameters.reasoning?.enabled &&
+                  !reasoningStarted &&
+                  choice.delta.content
+                ) {
+                  reasoningStarted = true;
                 }
 
-                // Handle finish reason
-                if (choice.finish_reason) {
-                  // Handle finish event if needed
+                turn.content += choice.delta.content;
+                yield {
+                  content: choice.delta.content,
+                  reasoning: null,
+                };
+              }
+
+              // Handle reasoning delta (if available in the response format)
+              if (choice.delta?.reasoning) {
+                // Track when reasoning starts
+                if (!reasoningStartTime) {
+                  reasoningStartTime = new Date();
                 }
+
+                yield {
+                  content: null,
+                  reasoning: choice.delta.reasoning,
+                };
               }
 
-              // Handle error in response
-              if (parsed.error) {
+              // Handle tool call deltas: the first one for each index carries the
+              // id and name, later ones append to the arguments string
+              for (const delta of choice.delta?.tool_calls || []) {
+                const index = delta.index ?? turn.toolCalls.length;
+                const call = (turn.toolCalls[index] ??= { id: "", name: "", arguments: "" });
+                if (delta.id) call.id = delta.id;
+                if (delta.function?.name) call.name += delta.function.name;
+                if (delta.function?.arguments) call.arguments += delta.function.arguments;
+              }
+
+              // Handle finish reason
+              if (choice.finish_reason) {
                 yield {
-                  content: `\n\n[ERROR: ${parsed.error.message}]`,
+                  content: null,
                   reasoning: null,
-                  error: true,
-                  errorDetails: {
-                    name: parsed.error.type || "APIError",
-                    message: parsed.error.message,
-                  },
+                  finishReason: choice.finish_reason,
                 };
               }
-            } catch (parseError) {
-              // Skip lines that aren't valid JSON
-              console.warn("Failed to parse stream data:", data);
             }
+
+            // Handle token usage, sent with the last chunk (Groq nests it in x_groq)
+            const usage = parsed.usage || parsed.x_groq?.usage;
+            if (usage) {
+              yield { content: null, reasoning: null, usage };
+            }
+
+            // Handle error in response; thrown so handleIncomingMessage can keep
+            // a reply that had already started and mark it interrupted
+            if (parsed.error) {
+              const apiError = new Error(parsed.error.message);
+              apiError.name = parsed.error.type || "APIError";
+              throw apiError;
+            }
+          } catch (parseError) {
+            if (!(parseError instanceof SyntaxError)) throw parseError;
+            // Skip lines that aren't valid JSON
+            console.warn("Failed to parse stream data:", data);
           }
         }
       }
-    } finally {
-      reader.releaseLock();
+
+      if (done) {
+        break;
+      }
     }
-  } catch (error) {
-    // Handle abort errors specifically
-    if (error.name === "AbortError") {
-      yield { content: "\n\n[STREAM CANCELED]", reasoning: null };
-      return;
+  } finally {
+    if (streamDone) {
+      // Close the connection instead of waiting for the server to end it
+      await reader.cancel().catch(() => {});
     }
+    reader.releaseLock();
+  }
 
-    const errorMessage = error.message || "No detailed information";
-    yield {
-      content: `\n\n[CRITICAL ERROR: Aegis AI failed to dispatch request. ${errorMessage}]`,
-      reasoning: null,
-      error: true,
-      errorDetails: {
-        name: error.name || "UnknownError",
-        message: errorMessage,
-        rawError: error.toString(),
-      },
-    };
+  // The server closed the connection cleanly but never finished the reply
+  if (!streamDone) {
+    const incomplete = new Error("The connection closed before the reply was complete.");
+    incomplete.name = "IncompleteStreamError";
+    throw incomplete;
   }
+
+  // Some providers omit ids on streamed tool calls; the tool messages still need one
+  turn.toolCalls.forEach((call, index) => {
+    if (call && !call.id) call.id = `call_${index}`;
+  });
 }
@@ -0,0 +1,86 @@
+/**
+ * @file messageTree.js
+ * @description Helpers for branching conversations. Every message stores the id
+ * of the message it replies to in `parentId` (null for the first message), so
+ * regenerating or editing creates a sibling instead of overwriting history.
+ * The visible conversation is the path from the root to the current leaf.
+ */
+
+/**
+ * Orders messages by creation time, oldest first.
+ * @param {object} a - A message.
+ * @param {object} b - Another message.
+ * @returns {number} The sort order.
+ */
+function byTimestamp(a, b) {
+  return new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+}
+
+/**
+ * Returns the direct replies to a message, oldest first.
+ * @param {object[]} nodes - All messages in the conversation.
+ * @param {string|null} parentId - The parent id, or null for root messages.
+ * @returns {object[]} The children.
+ */
+export function getChildren(nodes, parentId) {
+  return nodes
+    .filter((node) => (node.parentId ?? null) === parentId)
+    .sort(byTimestamp);
+}
+
+/**
+ * Returns a message together with its alternative branches, oldest first.
+ * @param {object[]} nodes - All messages in the conversation.
+ * @param {object} message - The message.
+ * @returns {object[]} The siblings, including the message itself.
+ */
+export function getSiblings(nodes, message) {
+  return getChildren(nodes, message.parentId ?? null);
+}
+
+/**
+ * Follows the newest reply at each step down from a message.
+ * @param {object[]} nodes - All messages in the conversation.
+ * @param {string} nodeId - The message to start from.
+ * @returns {string} The id of the newest leaf below it.
+ */
+export function getLatestLeaf(nodes, nodeId) {
+  let currentId = nodeId;
+  let children = getChildren(nodes, currentId);
+  while (children.length) {
+    currentId = children[children.length - 1].id;
+    children = getChildren(nodes, currentId);
+  }
+  return currentId;
+}
+
+/**
+ * Builds the visible conversation: the path from the root down to a leaf.
+ * @param {object[]} nodes - All messages in the conversation.
+ * @param {string|null} leafId - The current leaf.
+ * @returns {object[]} The messages on the path, root first.
+ */
+export function getPath(nodes, leafId) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const path = [];
+  let node = byId.get(leafId);
+  while (node) {
+    path.unshift(node);
+    node = node.parentId ? byId.get(node.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Upgrades conversations saved before branching existed. Their messages are a
+ * flat array, so each one is chained to the message before it.
+ * @param {object[]} messages - The stored messages.
+ * @returns {object[]} The messages, each with a `parentId`.
+ */
+export function migrateFlatMessages(messages = []) {
+  if (messages.every((msg) => msg.parentId !== undefined)) return messages;
+  return messages.map((msg, index) => ({
+    ...msg,
+    parentId: index === 0 ? null : messages[index - 1].id,
+  }));
+}
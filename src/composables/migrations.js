@@ -0,0 +1,60 @@
+/**
+ * @file migrations.js
+ * @description Upgrades stored records saved by older versions of the app.
+ *
+ * Records carry a `version` number. A migration chain is an ordered list of
+ * steps, each `{ version, description, up }`, where `up(record)` returns the
+ * record as that version stores it. Loading a record runs every step newer
+ * than its version, oldest first. Records without a version are treated as
+ * version 0, and records written by a newer version of the app are left alone.
+ *
+ * Used for the settings (see settings.js) and conversation records (see
+ * storeConversations.js).
+ */
+
+/**
+ * Checks a migration chain once, when it is declared.
+ * @param {{version: number, description: string, up: function(object): object}[]} steps - The steps, oldest first.
+ * @returns {object[]} The same steps.
+ * @throws {Error} If the versions aren't whole numbers in ascending order.
+ */
+export function defineMigrations(steps) {
+  steps.forEach((step, index) => {
+    if (!Number.isInteger(step.version) || step.version < 1) {
+      throw new Error(`Migration "${step.description}" needs a positive whole version number.`);
+    }
+    if (index > 0 && step.version <= steps[index - 1].version) {
+      throw new Error(`Migration to version ${step.version} is out of order.`);
+    }
+  });
+  return steps;
+}
+
+/**
+ * The version records are stored in once every step has run.
+ * @param {object[]} steps - A migration chain.
+ * @param {number} [baseVersion=0] - The version before the first step.
+ * @returns {number} The latest version.
+ */
+export function latestVersion(steps, baseVersion = 0) {
+  return steps.length ? steps[steps.length - 1].version : baseVersion;
+}
+
+/**
+ * Brings a record up to date. The record passed in isn't changed.
+ * @param {object} record - The stored record.
+ * @param {object[]} steps - A migration chain (see defineMigrations).
+ * @returns {{record: object, migrated: boolean}} The upgraded record, and whether
+ *   any step ran, in which case it should be saved again.
+ */
+export function runMigrations(record, steps) {
+  const fromVersion = Number.isInteger(record.version) ? record.version : 0;
+  let current = record;
+  let migrated = false;
+  for (const step of steps) {
+    if (step.version <= fromVersion) continue;
+    current = { ...step.up(current), version: step.version };
+    migrated = true;
+  }
+  return { record: current, migrated };
+}
@@ -0,0 +1,104 @@
+/**
+ * @file modelParameters.js
+ * @description Schema and request mapping for the per-model sampling parameters
+ * shown in the advanced-parameters popover. Values are saved per model id in
+ * `settings.model_parameters`; a missing value means "use the model's default".
+ */
+
+import { t, te } from "./i18n";
+
+// Sampling parameters every OpenAI-compatible model accepts.
+export const SAMPLING_PARAMETERS = [
+  { key: "temperature", label: "Temperature", type: "number", min: 0, max: 2, step: 0.05 },
+  { key: "top_p", label: "Top P", type: "number", min: 0, max: 1, step: 0.01 },
+  { key: "max_tokens", label: "Max tokens", type: "integer", min: 1, max: 131072, step: 1 },
+  { key: "seed", label: "Seed", type: "integer", min: 0, max: 2147483647, step: 1 },
+  { key: "presence_penalty", label: "Presence penalty", type: "number", min: -2, max: 2, step: 0.1 },
+  { key: "frequency_penalty", label: "Frequency penalty", type: "number", min: -2, max: 2, step: 0.1 },
+];
+
+// Display labels for the model-specific parameters in `extra_parameters`.
+const EXTRA_PARAMETER_LABELS = {
+  reasoning_effort: "Reasoning effort",
+};
+
+/**
+ * Builds the parameter schema for a model: the common sampling parameters,
+ * followed by the model's own `extra_parameters`. Extra parameters are declared
+ * in availableModels.js as `[[options], default]` tuples and become selects.
+ * @param {object} [model] - The model entry.
+ * @returns {object[]} The parameter definitions.
+ */
+export function getParameterSchema(model) {
+  const extras = Object.entries(model?.extra_parameters || {})
+    .filter(([, spec]) => Array.isArray(spec) && Array.isArray(spec[0]))
+    .map(([key, [options, defaultValue]]) => ({
+      key,
+      label: EXTRA_PARAMETER_LABELS[key] || key,
+      type: "select",
+      options,
+      default: defaultValue,
+    }));
+  return [...SAMPLING_PARAMETERS, ...extras];
+}
+
+/**
+ * The label to show for a parameter, in the UI's language when there is a
+ * translation for it (extra parameters a model declares may have none).
+ * @param {object} definition - The parameter definition.
+ * @returns {string} The label.
+ */
+export function getParameterLabel(definition) {
+  const key = `parameters.${definition.key}`;
+  return te(key) ? t(key) : definition.label;
+}
+
+/**
+ * Checks a value against its parameter definition.
+ * @param {object} definition - The parameter definition.
+ * @param {*} value - The value to check.
+ * @returns {boolean} Whether the value is valid.
+ */
+export function isValidParameter(definition, value) {
+  if (definition.type === "select") {
+    return definition.options.includes(value);
+  }
+  if (typeof value !== "number" || Number.isNaN(value)) return false;
+  if (definition.type === "integer" && !Number.isInteger(value)) return false;
+  return value >= definition.min && value <= definition.max;
+}
+
+/**
+ * Turns a model's saved parameter values into the `modelParameters` object
+ * that handleIncomingMessage expects. Unset sampling parameters are left out
+ * so the provider's defaults apply; `reasoning_effort` always resolves to the
+ * saved option or the model's declared default.
+ * @param {object} [model] - The model entry.
+ * @param {object} [values={}] - The saved values for this model.
+ * @returns {object} The parameters to send.
+ */
+export function buildModelParameters(model, values = {}) {
+  const parameters = {};
+
+  for (const definition of getParameterSchema(model)) {
+    const value = values[definition.key];
+    const hasValue = value != null && isValidParameter(definition, value);
+
+    if (definition.key === "reasoning_effort") {
+      const effort = hasValue ? value : definition.default;
+      parameters.reasoning = {
+        enabled: effort !== "none",
+        effort,
+      };
+    } else if (hasValue) {
+      parameters[definition.key] = value;
+    }
+  }
+
+  return parameters;
+}
+
+export default {
+  getParameterSchema,
+  buildModelParameters,
+};
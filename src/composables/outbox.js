@@ -0,0 +1,133 @@
+/**
+ * @file outbox.js
+ * @description Work that needs the network, queued while the app is offline.
+ *
+ * Jobs are stored in localforage so they survive a reload, and are run in the
+ * order they were queued once the connection is back (see flushOutbox). There
+ * are three kinds:
+ * - `message`: a user message waiting for its reply (`conversationId`, `messageId`).
+ * - `title`: a conversation still titled PENDING_TITLE (`conversationId`).
+ * - `memory`: a global memory update for a finished turn (`userPrompt`, `context`).
+ */
+
+import localforage from "localforage";
+
+const OUTBOX_KEY = "outbox";
+
+// Title and memory jobs that keep failing while online are given up on after this many tries
+const MAX_ATTEMPTS = 5;
+
+/**
+ * @typedef {object} OutboxJob
+ * @property {string} id - The job id.
+ * @property {'message'|'title'|'memory'} type - What to run.
+ * @property {string} [conversationId] - The conversation the job belongs to.
+ * @property {Date} createdAt - When it was queued.
+ * @property {number} attempts - How many times it failed.
+ */
+
+// The flush in progress, so reconnecting twice doesn't run a job twice
+let flushing = null;
+
+/**
+ * Whether the browser reports being offline. Where there is no `navigator`
+ * (e.g. in tests) the app is treated as online.
+ * @returns {boolean} True if offline.
+ */
+export function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Loads the queued jobs, oldest first.
+ * @returns {Promise<OutboxJob[]>} The jobs.
+ */
+export async function getOutbox() {
+  return (await localforage.getItem(OUTBOX_KEY)) || [];
+}
+
+/**
+ * Queues a job. A conversation only ever has one title job.
+ * @param {object} job - The job, with at least a `type`.
+ * @returns {Promise<OutboxJob>} The queued job.
+ */
+export async function enqueueJob(job) {
+  const jobs = await getOutbox();
+  const existing = job.type === "title" && jobs.find(
+    (other) => other.type === "title" && other.conversationId === job.conversationId,
+  );
+  if (existing) return existing;
+
+  const queued = { ...job, id: crypto.randomUUID(), createdAt: new Date(), attempts: 0 };
+  await localforage.setItem(OUTBOX_KEY, [...jobs, queued]);
+  return queued;
+}
+
+/**
+ * Removes queued jobs.
+ * @param {(job: OutboxJob) => boolean} predicate - Returns true for the jobs to remove.
+ */
+export async function removeJobs(predicate) {
+  const jobs = await getOutbox();
+  const kept = jobs.filter((job) => !predicate(job));
+  if (kept.length !== jobs.length) await localforage.setItem(OUTBOX_KEY, kept);
+}
+
+/**
+ * Removes every job of a conversation, e.g. when it is deleted.
+ * @param {string} conversationId - The conversation id.
+ */
+export async function removeConversationJobs(conversationId) {
+  await removeJobs((job) => job.conversationId === conversationId);
+}
+
+/**
+ * Counts a failed attempt, dropping title and memory jobs that ran out of tries.
+ * Message jobs are kept until they are sent or their conversation is deleted.
+ * @param {OutboxJob} failed - The job that failed.
+ */
+async function recordFailure(failed) {
+  const jobs = await getOutbox();
+  await localforage.setItem(
+    OUTBOX_KEY,
+    jobs
+      .map((job) => (job.id === failed.id ? { ...job, attempts: job.attempts + 1 } : job))
+      .filter((job) => job.type === "message" || job.attempts < MAX_ATTEMPTS),
+  );
+}
+
+/**
+ * Runs the queued jobs in order. A handler returns false to leave its job
+ * queued for later (e.g. a message whose conversation isn't open); if it throws,
+ * the failure is counted and the job is kept. Stops early when the app goes
+ * offline again.
+ * @param {Record<string, (job: OutboxJob) => Promise<boolean|void>>} handlers - Handlers by job type.
+ * @returns {Promise<number>} How many jobs were done.
+ */
+export function flushOutbox(handlers) {
+  if (!flushing) {
+    flushing = runJobs(handlers).finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+async function runJobs(handlers) {
+  let done = 0;
+  for (const job of await getOutbox()) {
+    if (isOffline()) break;
+    const handler = handlers[job.type];
+    if (!handler) continue;
+
+    try {
+      if ((await handler(job)) === false) continue;
+      await removeJobs((other) => other.id === job.id);
+      done++;
+    } catch (error) {
+      console.error(`Outbox ${job.type} job failed:`, error);
+      await recordFailure(job);
+    }
+  }
+  return done;
+}
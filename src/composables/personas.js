@@ -0,0 +1,171 @@
+/**
+ * @file personas.js
+ * @description Assistant personas. A persona has a name and avatar, can leave out
+ * or replace modules of the system prompt (see systemPrompt.js), adds its own
+ * instructions, and can bring a default model and default sampling parameters.
+ *
+ * Personas are stored in localforage and picked per conversation. The chosen one
+ * is also copied onto the conversation record as `persona`, so a reopened chat
+ * behaves the same even if the persona was deleted since.
+ */
+
+import localforage from "localforage";
+import { PROMPT_MODULES } from "./systemPrompt";
+import { SAMPLING_PARAMETERS, isValidParameter } from "./modelParameters";
+import { t } from "./i18n";
+
+const PERSONAS_KEY = "personas";
+
+export const PERSONAS_FORMAT = "zewro-personas";
+const PERSONAS_EXPORT_VERSION = 1;
+
+export const DEFAULT_AVATAR = "🤖";
+
+/**
+ * @typedef {object} Persona
+ * @property {string} id - The persona id.
+ * @property {string} name - Shown in the persona picker and the system prompt.
+ * @property {string} avatar - An emoji or a few characters.
+ * @property {Record<string, false|string>} modules - Prompt modules left out (false) or replaced (text),
+ *   by module key. Modules not listed are kept as they are.
+ * @property {string} instructions - Added to the system prompt.
+ * @property {{providerId: string, modelId: string}|null} model - Selected when the persona is picked.
+ * @property {Record<string, number>} parameters - Default sampling parameters.
+ * @property {Date} updatedAt - When it was last saved.
+ */
+
+/**
+ * Cleans up a persona from the settings form or an imported file: unknown
+ * modules and invalid parameters are dropped and missing fields filled in.
+ * @param {object} raw - The persona fields.
+ * @returns {Persona} The persona.
+ */
+export function normalizePersona(raw = {}) {
+  const modules = {};
+  for (const { key } of PROMPT_MODULES) {
+    const value = raw.modules?.[key];
+    if (value === false || (typeof value === "string" && value.trim())) modules[key] = value;
+  }
+
+  const parameters = {};
+  for (const definition of SAMPLING_PARAMETERS) {
+    const value = raw.parameters?.[definition.key];
+    if (value != null && isValidParameter(definition, value)) parameters[definition.key] = value;
+  }
+
+  return {
+    id: raw.id || crypto.randomUUID(),
+    name: String(raw.name || "").trim(),
+    avatar: String(raw.avatar || "").trim() || DEFAULT_AVATAR,
+    modules,
+    instructions: String(raw.instructions || "").trim(),
+    model: raw.model?.providerId && raw.model?.modelId
+      ? { providerId: raw.model.providerId, modelId: raw.model.modelId }
+      : null,
+    parameters,
+    updatedAt: raw.updatedAt ? new Date(raw.updatedAt) : new Date(),
+  };
+}
+
+/**
+ * Loads the saved personas, sorted by name.
+ * @returns {Promise<Persona[]>} The personas.
+ */
+export async function getPersonas() {
+  const personas = (await localforage.getItem(PERSONAS_KEY)) || [];
+  return [...personas].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Adds a persona or updates the one with the same id.
+ * @param {object} persona - The persona fields.
+ * @returns {Promise<Persona>} The saved persona.
+ * @throws {Error} If it has no name.
+ */
+export async function savePersona(persona) {
+  const saved = { ...normalizePersona(persona), updatedAt: new Date() };
+  if (!saved.name) throw new Error(t("errors.personas.nameMissing"));
+
+  const personas = await getPersonas();
+  await localforage.setItem(PERSONAS_KEY, [...personas.filter((other) => other.id !== saved.id), saved]);
+  return saved;
+}
+
+/**
+ * Deletes a saved persona. Conversations that used it keep their copy.
+ * @param {string} id - The persona id.
+ */
+export async function deletePersona(id) {
+  const personas = await getPersonas();
+  await localforage.setItem(
+    PERSONAS_KEY,
+    personas.filter((persona) => persona.id !== id),
+  );
+}
+
+/**
+ * Exports personas as a JSON file.
+ * @param {Persona[]} personas - The personas to export.
+ * @returns {{filename: string, content: string}} The export, ready for downloadFile.
+ */
+export function exportPersonas(personas) {
+  const slug = personas.length === 1
+    ? personas[0].name.toLowerCase().replace(/[^\w]+/g, "-").replace(/^-|-$/g, "") || "persona"
+    : "personas";
+  return {
+    filename: `zewro-${slug}.json`,
+    content: JSON.stringify(
+      { format: PERSONAS_FORMAT, version: PERSONAS_EXPORT_VERSION, personas },
+      null,
+      2,
+    ),
+  };
+}
+
+/**
+ * Cleans up imported entries, dropping anything that isn't a named persona.
+ * @param {*[]} entries - The imported entries.
+ * @returns {Persona[]} The personas.
+ */
+function parsePersonaEntries(entries) {
+  return entries
+    .filter((entry) => entry && typeof entry === "object")
+    .map(normalizePersona)
+    .filter((persona) => persona.name);
+}
+
+/**
+ * Adds personas from an import or backup. Personas already saved under the same
+ * id are skipped, so importing the same file twice changes nothing.
+ * @param {object[]} entries - The personas.
+ * @returns {Promise<number>} How many personas were added.
+ */
+export async function addPersonas(entries) {
+  const personas = await getPersonas();
+  const ids = new Set(personas.map((persona) => persona.id));
+  const added = parsePersonaEntries(entries).filter((persona) => !ids.has(persona.id));
+  if (added.length) await localforage.setItem(PERSONAS_KEY, [...personas, ...added]);
+  return added.length;
+}
+
+/**
+ * Imports personas from a file made by exportPersonas, or a bare persona or
+ * array of personas.
+ * @param {string} text - The file contents.
+ * @returns {Promise<number>} How many personas were added; 0 if they were all saved already.
+ * @throws {Error} If the file isn't valid JSON or has no named personas.
+ */
+export async function importPersonas(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("errors.import.invalidJson"));
+  }
+
+  const entries = data?.format === PERSONAS_FORMAT ? data.personas : Array.isArray(data) ? data : [data];
+  if (!Array.isArray(entries) || !parsePersonaEntries(entries).length) {
+    throw new Error(t("errors.personas.noneFound"));
+  }
+  return addPersonas(entries);
+}
@@ -0,0 +1,235 @@
+/**
+ * @file promptLibrary.js
+ * @description Saved prompts and the composer's slash commands.
+ *
+ * Prompts are stored in localforage and inserted by typing `/` followed by their
+ * name. Their text can contain `{{variables}}`: `{{selection}}` is the text last
+ * selected in the chat and `{{language}}` the language replies are written in
+ * (see getPromptLanguage in i18n.js). Any other variable is left in place for
+ * the user to fill in.
+ */
+
+import localforage from "localforage";
+import { t } from "./i18n";
+
+const PROMPT_LIBRARY_KEY = "prompt_library";
+
+// How many suggestions the slash menu shows at once
+const MAX_SUGGESTIONS = 8;
+
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Commands handled by the app rather than sent to the model.
+ */
+export const BUILTIN_COMMANDS = [
+  { name: "new", description: "Start a new chat" },
+  { name: "model", args: "<id>", description: "Switch to another model" },
+  { name: "clear-memory", description: "Forget everything remembered about you" },
+  { name: "export", args: "[markdown|json]", description: "Download this chat" },
+];
+
+/**
+ * @typedef {object} SavedPrompt
+ * @property {string} id - The prompt id.
+ * @property {string} name - What is typed after `/` to insert it.
+ * @property {string} description - Shown in the slash menu.
+ * @property {string} content - The prompt text, possibly with `{{variables}}`.
+ * @property {Date} updatedAt - When it was last saved.
+ */
+
+/**
+ * Loads the saved prompts, sorted by name.
+ * @returns {Promise<SavedPrompt[]>} The prompts.
+ */
+export async function getPrompts() {
+  const prompts = (await localforage.getItem(PROMPT_LIBRARY_KEY)) || [];
+  return [...prompts].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Turns a prompt name into its slash command form: lowercase words joined by dashes.
+ * @param {string} name - The name as typed.
+ * @returns {string} The command name.
+ */
+export function normalizePromptName(name) {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/^\/+/, "")
+    .replace(/\s+/g, "-")
+    .replace(/[^\w-]/g, "");
+}
+
+/**
+ * Adds a prompt or updates the one with the same id.
+ * @param {object} prompt - The prompt; a new id is assigned if it has none.
+ * @returns {Promise<SavedPrompt>} The saved prompt.
+ * @throws {Error} If the name or text is missing, or the name is already taken.
+ */
+export async function savePrompt(prompt) {
+  const name = normalizePromptName(prompt.name || "");
+  const content = (prompt.content || "").trim();
+  if (!name) throw new Error(t("errors.prompts.nameMissing"));
+  if (!content) throw new Error(t("errors.prompts.empty"));
+  if (BUILTIN_COMMANDS.some((command) => command.name === name)) {
+    throw new Error(t("errors.prompts.builtin", { name }));
+  }
+
+  const prompts = await getPrompts();
+  if (prompts.some((other) => other.name === name && other.id !== prompt.id)) {
+    throw new Error(t("errors.prompts.taken", { name }));
+  }
+
+  const saved = {
+    id: prompt.id || crypto.randomUUID(),
+    name,
+    description: (prompt.description || "").trim(),
+    content,
+    updatedAt: new Date(),
+  };
+  await localforage.setItem(PROMPT_LIBRARY_KEY, [...prompts.filter((other) => other.id !== saved.id), saved]);
+  return saved;
+}
+
+/**
+ * Deletes a saved prompt.
+ * @param {string} id - The prompt id.
+ */
+export async function deletePrompt(id) {
+  const prompts = await getPrompts();
+  await localforage.setItem(
+    PROMPT_LIBRARY_KEY,
+    prompts.filter((prompt) => prompt.id !== id),
+  );
+}
+
+/**
+ * Adds prompts from a backup. Prompts whose name is already taken are skipped,
+ * so importing the same backup twice changes nothing.
+ * @param {SavedPrompt[]} imported - The prompts from the backup.
+ * @returns {Promise<number>} How many prompts were added.
+ */
+export async function importPrompts(imported) {
+  const prompts = await getPrompts();
+  const taken = new Set([...prompts.map((prompt) => prompt.name), ...BUILTIN_COMMANDS.map((command) => command.name)]);
+  const added = [];
+  for (const prompt of imported) {
+    const name = normalizePromptName(prompt?.name || "");
+    if (!name || taken.has(name) || !prompt.content?.trim()) continue;
+    taken.add(name);
+    added.push({
+      id: crypto.randomUUID(),
+      name,
+      description: prompt.description || "",
+      content: prompt.content,
+      updatedAt: new Date(prompt.updatedAt || Date.now()),
+    });
+  }
+  if (added.length) await localforage.setItem(PROMPT_LIBRARY_KEY, [...prompts, ...added]);
+  return added.length;
+}
+
+/**
+ * Lists the variables used in a prompt, in order of first use.
+ * @param {string} content - The prompt text.
+ * @returns {string[]} The variable names.
+ */
+export function getPromptVariables(content) {
+  return [...new Set([...content.matchAll(VARIABLE_PATTERN)].map(([, name]) => name))];
+}
+
+/**
+ * Replaces the variables that have a value. The others are left as `{{name}}`.
+ * @param {string} content - The prompt text.
+ * @param {Record<string, string>} values - Variable values by name.
+ * @returns {string} The filled-in text.
+ */
+export function fillPromptVariables(content, values) {
+  return content.replace(VARIABLE_PATTERN, (match, name) => (values[name] ? values[name] : match));
+}
+
+/**
+ * Splits composer input into a slash command and its arguments.
+ * @param {string} text - The composer input.
+ * @returns {{name: string, args: string|null}|null} The command, or null if the
+ *   input isn't one. `args` is null until a space follows the name.
+ */
+export function parseSlashCommand(text) {
+  const match = text.match(/^\/([\w-]*)(?:[ \t]+([^\n]*))?$/);
+  if (!match) return null;
+  const hasSpace = /^\/[\w-]*[ \t]/.test(text);
+  return { name: match[1].toLowerCase(), args: hasSpace ? (match[2] ?? "").trim() : null };
+}
+
+/**
+ * Builds the slash menu for the composer input: built-in commands and saved
+ * prompts while the command name is typed, then models for `/model <id>`.
+ * @param {string} text - The composer input.
+ * @param {SavedPrompt[]} prompts - The saved prompts.
+ * @param {object[]} providers - Providers with their models.
+ * @returns {object[]} The suggestions, each with a `kind` of 'command', 'prompt' or 'model'.
+ */
+export function getSlashSuggestions(text, prompts, providers) {
+  const command = parseSlashCommand(text);
+  if (!command) return [];
+
+  if (command.args !== null) {
+    if (command.name !== "model") return [];
+    const query = command.args.toLowerCase();
+    return providers
+      .flatMap((provider) => provider.models.map((model) => ({ provider, model })))
+      .filter(({ model }) => model.id.toLowerCase().includes(query) || model.name?.toLowerCase().includes(query))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ provider, model }) => ({
+        kind: "model",
+        key: `model:${provider.id}:${model.id}`,
+        name: model.id,
+        description: providers.length > 1 ? `${model.name} · ${provider.name}` : model.name,
+        providerId: provider.id,
+        modelId: model.id,
+      }));
+  }
+
+  const matches = (name) => name.includes(command.name);
+  // Names starting with what was typed come first
+  const rank = (item) => (item.name.startsWith(command.name) ? 0 : 1);
+  return [
+    ...BUILTIN_COMMANDS.filter((builtin) => matches(builtin.name)).map((builtin) => ({
+      kind: "command",
+      key: `command:${builtin.name}`,
+      ...builtin,
+    })),
+    ...prompts
+      .filter((prompt) => matches(prompt.name))
+      .map((prompt) => ({
+        kind: "prompt",
+        key: `prompt:${prompt.id}`,
+        name: prompt.name,
+        description: prompt.description || prompt.content.split("\n")[0],
+        prompt,
+      })),
+  ]
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Finds the model a `/model` argument refers to: an exact id first, then the
+ * only model whose id or name contains it.
+ * @param {string} query - The argument.
+ * @param {object[]} providers - Providers with their models.
+ * @returns {{providerId: string, modelId: string}|null} The model, or null if none or several match.
+ */
+export function findModelByQuery(query, providers) {
+  const models = providers.flatMap((provider) => provider.models.map((model) => ({ provider, model })));
+  const needle = query.trim().toLowerCase();
+  if (!needle) return null;
+
+  const exact = models.find(({ model }) => model.id.toLowerCase() === needle);
+  const partial = models.filter(
+    ({ model }) => model.id.toLowerCase().includes(needle) || model.name?.toLowerCase().includes(needle),
+  );
+  const found = exact || (partial.length === 1 ? partial[0] : null);
+  return found ? { providerId: found.provider.id, modelId: found.model.id } : null;
+}
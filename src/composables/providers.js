@@ -0,0 +1,150 @@
+/**
+ * @file providers.js
+ * @description LLM provider registry for the Aegis AI Interface.
+ * The built-in Hack Club provider is always available; users can add any
+ * OpenAI-compatible endpoint (their own gateway, llama.cpp, Ollama, etc.)
+ * from the Providers settings tab. Custom providers live in `settings.providers`.
+ */
+
+import { availableModels } from "./availableModels";
+
+export const DEFAULT_PROVIDER_ID = "hackclub";
+
+// Context window assumed for custom models that don't declare one
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// The built-in provider. Its models are the entries in availableModels.js.
+export const defaultProvider = {
+  id: DEFAULT_PROVIDER_ID,
+  name: "Hack Club",
+  base_url: "https://ai.hackclub.com",
+  api_key: "",
+  models: availableModels,
+  builtin: true,
+};
+
+/**
+ * Normalizes a user-defined model entry so it has the same shape as the
+ * entries in availableModels.js.
+ * @param {object|string} model - A model object or a bare model id.
+ * @returns {object} The normalized model.
+ */
+export function normalizeModel(model) {
+  const entry = typeof model === "string" ? { id: model } : model;
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    reasoning: !!entry.reasoning,
+    vision: !!entry.vision, // Accepts image_url content parts
+    // Accepts the tools array (tools.js). Off unless turned on, since many
+    // OpenAI-compatible servers reject requests that include tools
+    tool_calling: !!entry.tool_calling,
+    extra_functions: entry.extra_functions || [],
+    extra_parameters: entry.extra_parameters || {},
+    // Maximum prompt + completion tokens; unknown for many custom models
+    context_window: entry.context_window || DEFAULT_CONTEXT_WINDOW,
+    // USD per million tokens ({ prompt, completion }), used for cost estimates
+    pricing: entry.pricing || null,
+  };
+}
+
+/**
+ * Returns every provider: the built-in default first, then the user's custom ones.
+ * @param {object} [settings={}] - User settings object.
+ * @returns {object[]} The list of providers.
+ */
+export function getProviders(settings = {}) {
+  const custom = (settings.providers || []).map((provider) => ({
+    ...provider,
+    models: (provider.models || []).map(normalizeModel),
+    builtin: false,
+  }));
+  return [defaultProvider, ...custom];
+}
+
+/**
+ * Finds a provider by its id, falling back to the built-in provider.
+ * @param {object} settings - User settings object.
+ * @param {string} providerId - The id of the provider.
+ * @returns {object} The provider.
+ */
+export function getProvider(settings, providerId) {
+  return (
+    getProviders(settings).find((provider) => provider.id === providerId) ||
+    defaultProvider
+  );
+}
+
+/**
+ * Looks up a model and the provider that serves it. The given provider is
+ * searched first; otherwise the first provider listing the model id wins.
+ * @param {object} settings - User settings object.
+ * @param {string} modelId - The id of the model.
+ * @param {string} [providerId] - Preferred provider id, defaults to the selected provider.
+ * @returns {{provider: object, model: object}|null} The match, or null if no provider has the model.
+ */
+export function findModel(
+  settings,
+  modelId,
+  providerId = settings?.selected_provider_id
+) {
+  const providers = getProviders(settings);
+  const preferred = providers.find((provider) => provider.id === providerId);
+  const ordered = preferred
+    ? [preferred, ...providers.filter((provider) => provider !== preferred)]
+    : providers;
+
+  for (const provider of ordered) {
+    const model = provider.models.find((m) => m.id === modelId);
+    if (model) return { provider, model };
+  }
+  return null;
+}
+
+/**
+ * Builds the chat completions URL for a provider's OpenAI-compatible base URL.
+ * @param {object} provider - The provider.
+ * @returns {string} The full endpoint URL.
+ */
+export function getCompletionsUrl(provider) {
+  return `${provider.base_url.trim().replace(/\/+$/, "")}/chat/completions`;
+}
+
+/**
+ * Builds the request headers for a provider, including its API key if set.
+ * @param {object} provider - The provider.
+ * @returns {object} The headers object.
+ */
+export function getRequestHeaders(provider) {
+  const headers = { "Content-Type": "application/json" };
+  if (provider.api_key) {
+    headers.Authorization = `Bearer ${provider.api_key}`;
+  }
+  return headers;
+}
+
+/**
+ * Resolves where a chat completion request should go.
+ * The built-in provider picks its own model when none is given, so `model`
+ * is only set for custom providers or when a model id is passed explicitly.
+ * @param {object} [settings={}] - User settings object.
+ * @param {string} [modelId] - The model to use, defaults to the selected model.
+ * @returns {{url: string, headers: object, provider: object, model: object|null}}
+ */
+export function resolveEndpoint(settings = {}, modelId = settings.selected_model_id) {
+  const match = modelId ? findModel(settings, modelId) : null;
+  const provider = match?.provider || getProvider(settings, settings.selected_provider_id);
+  return {
+    url: getCompletionsUrl(provider),
+    headers: getRequestHeaders(provider),
+    provider,
+    model: match?.model || null,
+  };
+}
+
+export default {
+  getProviders,
+  getProvider,
+  findModel,
+  resolveEndpoint,
+};
@@ -0,0 +1,89 @@
+/**
+ * @file sandbox.js
+ * @description Runs model-written JavaScript for the run_javascript tool.
+ *
+ * The code runs in a worker started inside a hidden `<iframe sandbox="allow-scripts">`.
+ * The frame has an opaque origin, so neither it nor its workers can open the
+ * app's IndexedDB (conversations, API keys) or read its other storage, and its
+ * Content Security Policy blocks every network request (`connect-src 'none'`)
+ * and every script URL, which rules out `import()` and `importScripts`.
+ * sandbox.worker.js also removes the network and worker APIs before the code runs.
+ *
+ * Under the app's own CSP build the frame inherits the stricter policy, which
+ * doesn't allow inline scripts, so the tool can't run there.
+ */
+
+import SANDBOX_WORKER_SOURCE from "./sandbox.worker.js?raw";
+
+// The frame's policy. Workers it starts from blob: URLs inherit it.
+export const SANDBOX_POLICY = [
+  "default-src 'none'",
+  // Inline for the frame's own script, eval for the code; no URLs, so no import()
+  "script-src 'unsafe-inline' 'unsafe-eval'",
+  "worker-src blob:",
+  "connect-src 'none'",
+].join("; ");
+
+/**
+ * Builds the sandboxed frame's document. Its script starts the worker and
+ * passes messages between it and the app.
+ * @returns {string} The HTML for `srcdoc`.
+ */
+export function buildSandboxDocument() {
+  // "<" is escaped so the source can't close the script element
+  const source = JSON.stringify(SANDBOX_WORKER_SOURCE).replace(/</g, "\\u003c");
+  return `<!doctype html>
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_POLICY}">
+<script>
+  const worker = new Worker(URL.createObjectURL(new Blob([${source}], { type: "text/javascript" })));
+  worker.onmessage = ({ data }) => parent.postMessage(data, "*");
+  worker.onerror = (event) => {
+    event.preventDefault();
+    parent.postMessage({ error: event.message || "The code could not be run.", logs: [] }, "*");
+  };
+  onmessage = ({ source, data }) => {
+    if (source === parent) worker.postMessage(data);
+  };
+</script>`;
+}
+
+/**
+ * Runs code in a fresh sandbox, which is removed afterwards.
+ * @param {string} code - The body of an async function.
+ * @param {object} options
+ * @param {number} options.timeoutMs - How long the code may run.
+ * @param {AbortSignal} [options.signal] - Stops the code early.
+ * @returns {Promise<{result?: string, error?: string, logs: string[]}>} What the code returned or threw, and its console output.
+ * @throws {Error} If it runs too long.
+ * @throws {DOMException} AbortError if it is cancelled.
+ */
+export function runInSandbox(code, { timeoutMs, signal }) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-scripts");
+    frame.hidden = true;
+    frame.srcdoc = buildSandboxDocument();
+
+    const onMessage = (event) => {
+      if (event.source === frame.contentWindow) finish(() => resolve(event.data));
+    };
+    const onAbort = () => finish(() => reject(new DOMException("Tool call cancelled", "AbortError")));
+    const timer = setTimeout(
+      () => finish(() => reject(new Error(`Execution timed out after ${timeoutMs / 1000} seconds.`))),
+      timeoutMs,
+    );
+    // Removing the frame also stops its worker
+    const finish = (callback) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      window.removeEventListener("message", onMessage);
+      frame.remove();
+      callback();
+    };
+
+    signal?.addEventListener("abort", onAbort);
+    window.addEventListener("message", onMessage);
+    frame.addEventListener("load", () => frame.contentWindow.postMessage({ code }, "*"), { once: true });
+    document.body.appendChild(frame);
+  });
+}
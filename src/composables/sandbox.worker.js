@@ -0,0 +1,74 @@
+/**
+ * @file sandbox.worker.js
+ * @description Runs JavaScript for the run_javascript tool. sandbox.js starts
+ * this script as a worker inside an opaque-origin sandboxed frame, whose policy
+ * blocks network requests and imports; the frame's origin has no access to the
+ * app's storage. Network, import and worker APIs are also removed here before
+ * the code runs, so it can't start a fresh worker to get them back.
+ *
+ * Loaded as source text, so it must stay a plain script without imports.
+ * Receives { code } and posts back { result, logs } or { error, logs }.
+ */
+
+const BLOCKED_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "EventSource",
+  "importScripts",
+  "indexedDB",
+  "caches",
+  "BroadcastChannel",
+  "WebTransport",
+  "Worker",
+  "SharedWorker",
+];
+
+for (const name of BLOCKED_GLOBALS) {
+  try {
+    Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+  } catch {
+    // Some globals can't be redefined in every browser; the frame's policy and origin still apply
+  }
+}
+
+/**
+ * Turns any value into readable text for the model.
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+function format(value) {
+  if (typeof value === "string") return value;
+  if (value === undefined) return "undefined";
+  if (typeof value === "function") return value.toString();
+  if (typeof value === "bigint") return `${value}n`;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  try {
+    return JSON.stringify(value, null, 2) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  const logs = [];
+  const capture = (level) => (...args) => {
+    logs.push(`${level === "log" ? "" : `[${level}] `}${args.map(format).join(" ")}`);
+  };
+  self.console = {
+    log: capture("log"),
+    info: capture("info"),
+    warn: capture("warn"),
+    error: capture("error"),
+    debug: capture("debug"),
+  };
+
+  try {
+    // The code runs as an async function body, so it can use await and return a value
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    const result = await new AsyncFunction(`"use strict";\n${data.code}`)();
+    self.postMessage({ result: format(result), logs });
+  } catch (error) {
+    self.postMessage({ error: format(error), logs });
+  }
+};
@@ -0,0 +1,326 @@
+/**
+ * @file searchIndex.js
+ * @description Local full-text search across all stored conversations.
+ * An inverted index maps each word to the messages containing it. Each
+ * conversation's part of the index is stored under its own key next to the
+ * conversation, so saving one chat only rewrites that chat's entries.
+ * storeConversations.js updates it whenever a conversation is created, saved
+ * or deleted; replies are indexed once they are complete, not while they stream.
+ */
+
+import localforage from "localforage";
+
+const SEARCH_INDEX_KEY = "search_index";
+const INDEX_VERSION = 2;
+
+// Characters of context shown on each side of a match
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Storage layout:
+ *   search_index: { version: 2, conversations: conversationId[] }
+ *   search_index_<conversationId>: { [messageId]: { hash, terms: term[] } }
+ *
+ * In memory, the stored entries are combined into:
+ * {
+ *   terms: { [term]: { [conversationId]: messageId[] } },
+ *   conversations: { [conversationId]: { [messageId]: { hash, terms } } }
+ * }
+ */
+let indexCache = null;
+
+// Index writes are chained so concurrent saves can't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Splits text into unique lowercase words of two or more characters.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The words.
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const words = text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [];
+  return [...new Set(words)];
+}
+
+/**
+ * The text of a message that is searchable.
+ * @param {object} msg - The message.
+ * @returns {string} Its content and reasoning.
+ */
+function searchableText(msg) {
+  return `${msg.content || ""} ${msg.reasoning || ""}`;
+}
+
+/**
+ * A cheap fingerprint of a message's text (FNV-1a), to tell whether it changed
+ * since it was indexed without tokenizing it again.
+ * @param {string} text - The text.
+ * @returns {number} The hash.
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function conversationKey(conversationId) {
+  return `${SEARCH_INDEX_KEY}_${conversationId}`;
+}
+
+function addPostings(index, conversationId, messageId, terms) {
+  for (const term of terms) {
+    const postings = (index.terms[term] ||= {});
+    (postings[conversationId] ||= []).push(messageId);
+  }
+}
+
+function removePostings(index, conversationId, messageId, terms) {
+  for (const term of terms) {
+    const postings = index.terms[term];
+    if (!postings?.[conversationId]) continue;
+    postings[conversationId] = postings[conversationId].filter((id) => id !== messageId);
+    if (!postings[conversationId].length) delete postings[conversationId];
+    if (Object.keys(postings).length === 0) delete index.terms[term];
+  }
+}
+
+/**
+ * Brings a conversation's entries in line with its messages. Messages still
+ * streaming are skipped, and ones indexed with the same text are left alone.
+ * @param {object} index - The in-memory index.
+ * @param {string} conversationId - The conversation id.
+ * @param {object[]} messages - The conversation's messages.
+ * @returns {boolean} Whether anything changed.
+ */
+function updateEntries(index, conversationId, messages) {
+  const entries = (index.conversations[conversationId] ||= {});
+  const messageIds = new Set(messages.map((msg) => msg.id));
+  let changed = false;
+
+  for (const msg of messages) {
+    if (msg.complete === false) continue;
+    const text = searchableText(msg);
+    const hash = hashText(text);
+    if (entries[msg.id]?.hash === hash) continue;
+
+    if (entries[msg.id]) removePostings(index, conversationId, msg.id, entries[msg.id].terms);
+    const terms = tokenize(text);
+    entries[msg.id] = { hash, terms };
+    addPostings(index, conversationId, msg.id, terms);
+    changed = true;
+  }
+
+  // A reply being continued keeps its old entry until it is complete again
+  for (const messageId of Object.keys(entries)) {
+    if (messageIds.has(messageId)) continue;
+    removePostings(index, conversationId, messageId, entries[messageId].terms);
+    delete entries[messageId];
+    changed = true;
+  }
+  return changed;
+}
+
+function removeEntries(index, conversationId) {
+  for (const [messageId, entry] of Object.entries(index.conversations[conversationId] || {})) {
+    removePostings(index, conversationId, messageId, entry.terms);
+  }
+  delete index.conversations[conversationId];
+}
+
+function saveManifest(index) {
+  return localforage.setItem(SEARCH_INDEX_KEY, {
+    version: INDEX_VERSION,
+    conversations: Object.keys(index.conversations),
+  });
+}
+
+/**
+ * Loads the index, building it from every stored conversation the first time
+ * (e.g. for chats saved before search existed, or by an older index version).
+ * @returns {Promise<object>} The index.
+ */
+async function loadIndex() {
+  if (indexCache) return indexCache;
+
+  const index = { terms: {}, conversations: {} };
+  const stored = await localforage.getItem(SEARCH_INDEX_KEY);
+  if (stored?.version === INDEX_VERSION) {
+    for (const conversationId of stored.conversations) {
+      const entries = (await localforage.getItem(conversationKey(conversationId))) || {};
+      index.conversations[conversationId] = entries;
+      for (const [messageId, entry] of Object.entries(entries)) {
+        addPostings(index, conversationId, messageId, entry.terms);
+      }
+    }
+    indexCache = index;
+    return indexCache;
+  }
+
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  for (const { id } of metadata) {
+    const conversation = await localforage.getItem(`conversation_${id}`);
+    if (!conversation) continue;
+    updateEntries(index, id, conversation.messages || []);
+    await localforage.setItem(conversationKey(id), index.conversations[id]);
+  }
+  await saveManifest(index);
+  indexCache = index;
+  return indexCache;
+}
+
+/**
+ * Runs an index update after any pending ones.
+ * @param {function(object): Promise<void>} update - Changes the index and saves what it changed.
+ * @returns {Promise<void>}
+ */
+function queueUpdate(update) {
+  writeQueue = writeQueue
+    .then(async () => update(await loadIndex()))
+    .catch((err) => {
+      console.error("Failed to update search index:", err);
+    });
+  return writeQueue;
+}
+
+/**
+ * Indexes the complete messages of a conversation, including all branches.
+ * Only messages that are new or changed since the last call are tokenized,
+ * and nothing is written if none are.
+ * @param {string} conversationId - The conversation id.
+ * @param {object[]} messages - The conversation's messages.
+ * @returns {Promise<void>}
+ */
+export function indexConversation(conversationId, messages) {
+  return queueUpdate(async (index) => {
+    const isNew = !(conversationId in index.conversations);
+    if (!updateEntries(index, conversationId, messages) && !isNew) return;
+    await localforage.setItem(conversationKey(conversationId), index.conversations[conversationId]);
+    if (isNew) await saveManifest(index);
+  });
+}
+
+/**
+ * Drops a deleted conversation from the index.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<void>}
+ */
+export function removeConversationFromIndex(conversationId) {
+  return queueUpdate(async (index) => {
+    removeEntries(index, conversationId);
+    await localforage.removeItem(conversationKey(conversationId));
+    await saveManifest(index);
+  });
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds an HTML-escaped snippet around the first match, with every
+ * query word wrapped in <mark>.
+ * @param {string} text - The message text.
+ * @param {string[]} queryTerms - The query words.
+ * @returns {string|null} The snippet HTML, or null if nothing matched.
+ */
+export function buildSnippet(text, queryTerms) {
+  if (!text || !queryTerms.length) return null;
+
+  const pattern = new RegExp(queryTerms.map(escapeRegExp).join("|"), "giu");
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end).replace(/\s+/g, " ");
+
+  // Escape the text between matches separately so marks never land inside an entity
+  let highlighted = "";
+  let last = 0;
+  for (const found of excerpt.matchAll(new RegExp(pattern.source, "giu"))) {
+    highlighted += `${escapeHtml(excerpt.slice(last, found.index))}<mark>${escapeHtml(found[0])}</mark>`;
+    last = found.index + found[0].length;
+  }
+  highlighted += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Searches message content and reasoning across all conversations.
+ * Every query word must match the start of a word in the message.
+ * @param {string} query - The search text.
+ * @param {number} [limit=50] - Maximum number of results.
+ * @returns {Promise<{conversationId: string, title: string, messageId: string, role: string, snippet: string}[]>}
+ *   Matching messages, most recently updated conversations first.
+ */
+export async function searchConversations(query, limit = 50) {
+  const queryTerms = tokenize(query);
+  if (!queryTerms.length) return [];
+
+  await writeQueue;
+  const index = await loadIndex();
+  const allTerms = Object.keys(index.terms);
+
+  // Intersect the matches of each query word, keyed by "conversationId messageId"
+  let matches = null;
+  for (const queryTerm of queryTerms) {
+    const termMatches = new Set();
+    for (const term of allTerms) {
+      if (!term.startsWith(queryTerm)) continue;
+      for (const [conversationId, messageIds] of Object.entries(index.terms[term])) {
+        messageIds.forEach((messageId) => termMatches.add(`${conversationId} ${messageId}`));
+      }
+    }
+    matches = matches ? new Set([...matches].filter((key) => termMatches.has(key))) : termMatches;
+    if (!matches.size) return [];
+  }
+
+  // Group by conversation so each one is loaded once
+  const byConversation = new Map();
+  for (const key of matches) {
+    const [conversationId, messageId] = key.split(" ");
+    if (!byConversation.has(conversationId)) byConversation.set(conversationId, new Set());
+    byConversation.get(conversationId).add(messageId);
+  }
+
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  const order = [...metadata].reverse().filter((m) => !m.deletedAt).map((m) => m.id);
+  // Soft-deleted conversations are left out until they are restored
+  const conversationIds = [...byConversation.keys()]
+    .filter((id) => order.includes(id))
+    .sort((a, b) => order.indexOf(a) - order.indexOf(b));
+
+  const results = [];
+  for (const conversationId of conversationIds) {
+    const conversation = await localforage.getItem(`conversation_${conversationId}`);
+    if (!conversation) continue;
+    const messageIds = byConversation.get(conversationId);
+
+    for (const msg of conversation.messages || []) {
+      if (!messageIds.has(msg.id)) continue;
+      const snippet =
+        buildSnippet(msg.content, queryTerms) || buildSnippet(msg.reasoning, queryTerms);
+      results.push({
+        conversationId,
+        title: conversation.title || "Untitled",
+        messageId: msg.id,
+        role: msg.role,
+        snippet: snippet || escapeHtml((msg.content || "").slice(0, SNIPPET_RADIUS * 2)),
+      });
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
@@ -1,91 +1,225 @@
 import localforage from "localforage";
 import { reactive } from "vue";
+import { defineMigrations, latestVersion, runMigrations } from "./migrations";
+import { LOCALES, t } from "./i18n";
+import { DEFAULT_BRANCH_COUNT, MIN_BRANCH_COUNT, MAX_BRANCH_COUNT } from "./deepThink";
+import { DEFAULT_SPEECH_RATE, MIN_SPEECH_RATE, MAX_SPEECH_RATE } from "./speech";
+import { DEFAULT_PROVIDER_ID } from "./providers";
 
 /**
- * Manages application settings for the Aegis AI Interface.
+ * @typedef {object} SettingDefinition
+ * @property {"string"|"number"|"boolean"|"array"|"object"} type - The type of the value.
+ * @property {*} default - The value until the user changes it.
+ * @property {boolean} [nullable] - Whether null is allowed.
+ * @property {boolean} [integer] - Numbers must be whole.
+ * @property {number} [min] - The smallest number allowed.
+ * @property {number} [max] - The largest number allowed.
+ * @property {Array} [values] - The only values allowed.
+ * @property {function(*): (SettingProblem|null)} [validate] - Further checks, returning what's wrong or null.
  */
-class Settings {
-  constructor() {
-    // Use a reactive reference for settings to improve reactivity
-    const settings = reactive({
-      // Version marker for future migrations
-      version: 2,
 
-      // --- User Profile Settings ---
-      user_name: null, // User's name
-      occupation: null, // User's occupation
-      custom_instructions: null, // Custom instructions for Aegis
-    });
+/**
+ * What's wrong with a setting's value. The code names the message in the
+ * `settings.problems` locale keys; the other fields fill in its placeholders.
+ * @typedef {object} SettingProblem
+ * @property {string} code - E.g. "tooLarge".
+ * @property {string} [type] - The type the value should have, for "wrongType".
+ * @property {number} [min] - The smallest number allowed, for "tooSmall".
+ * @property {number} [max] - The largest number allowed, for "tooLarge".
+ * @property {string} [values] - The values allowed, for "notAllowed".
+ */
+
+/**
+ * Every setting, with its type and default. Settings can't be set to anything
+ * that doesn't match (see validateSetting).
+ * @type {Object<string, SettingDefinition>}
+ */
+export const SETTINGS_SCHEMA = {
+  // --- User Profile Settings ---
+  user_name: { type: "string", nullable: true, default: null }, // User's name
+  occupation: { type: "string", nullable: true, default: null }, // User's occupation
+  custom_instructions: { type: "string", nullable: true, default: null }, // Custom instructions for Aegis
+
+  // --- Language Settings ---
+  // UI and reply language ("en", "id"), empty to follow the browser (see i18n.js)
+  language: { type: "string", default: "", values: ["", ...LOCALES.map((entry) => entry.code)] },
 
-    // Add type information for better type safety
-    this.settings = reactive(settings);
+  // --- Memory Settings ---
+  global_memory_enabled: { type: "boolean", default: false }, // Remember facts about the user across conversations
 
-    // Create a non-reactive copy of default settings to avoid circular references
-    this.defaultSettings = {
-      version: 2,
-    };
+  // --- Tool Settings ---
+  tools_enabled: { type: "boolean", default: true }, // Let models call the client-side tools in tools.js
 
-    // Load settings asynchronously
-    this.loadSettings();
+  // --- Deep Think Settings ---
+  // Parallel lanes per deep think reply (see deepThink.js)
+  deep_think_branches: {
+    type: "number",
+    integer: true,
+    min: MIN_BRANCH_COUNT,
+    max: MAX_BRANCH_COUNT,
+    default: DEFAULT_BRANCH_COUNT,
+  },
+
+  // --- Speech Settings ---
+  speech_voice: { type: "string", default: "" }, // voiceURI replies are read with, empty for the browser's default (see speech.js)
+  speech_rate: { type: "number", min: MIN_SPEECH_RATE, max: MAX_SPEECH_RATE, default: DEFAULT_SPEECH_RATE }, // Read-aloud speed
+  speech_language: { type: "string", default: "" }, // Dictation and read-aloud language, empty to follow the app's language
+  speech_auto_read: { type: "boolean", default: false }, // Read replies aloud while they stream in
+
+  // --- Provider Settings ---
+  // Custom OpenAI-compatible providers ({ id, name, base_url, api_key, models })
+  providers: {
+    type: "array",
+    default: [],
+    validate: (providers) =>
+      providers.every(
+        (provider) =>
+          typeof provider?.id === "string" && typeof provider.base_url === "string" && Array.isArray(provider.models),
+      )
+        ? null
+        : { code: "invalidProviders" },
+  },
+
+  // --- Model Settings ---
+  selected_provider_id: { type: "string", default: DEFAULT_PROVIDER_ID }, // Provider serving the selected model
+  selected_model_id: { type: "string", default: "qwen/qwen3-32b" }, // Model new messages are sent to
+  selected_model_name: { type: "string", default: "Qwen 3 32B" }, // Shown in the model picker
+
+  // --- Model Parameter Settings ---
+  // Saved sampling parameters, keyed by model id
+  model_parameters: {
+    type: "object",
+    default: {},
+    validate: (parameters) =>
+      Object.values(parameters).every((values) => typeOf(values) === "object")
+        ? null
+        : { code: "invalidModelParameters" },
+  },
+};
+
+/**
+ * Upgrades settings saved by older versions, oldest step first (see migrations.js).
+ * Version 2 is the first version settings were saved with.
+ */
+export const SETTINGS_MIGRATIONS = defineMigrations([
+  {
+    version: 3,
+    // App.vue cleared selected_model_name to null before filling it in, and
+    // resetting cleared the profile; the schema's defaults now apply instead
+    description: "Drop nulls saved for settings that can't be null",
+    up: (settings) =>
+      Object.fromEntries(
+        Object.entries(settings).filter(
+          ([key, value]) => !(value === null && key in SETTINGS_SCHEMA && !SETTINGS_SCHEMA[key].nullable),
+        ),
+      ),
+  },
+]);
+
+export const SETTINGS_VERSION = latestVersion(SETTINGS_MIGRATIONS, 2);
+
+/**
+ * Names the type of a value the way the schema does.
+ * @param {*} value - Any value.
+ * @returns {string} E.g. "array" or "object".
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Builds a fresh copy of the default settings.
+ * @returns {object} Every setting at its default, with the current version.
+ */
+export function createDefaultSettings() {
+  const settings = { version: SETTINGS_VERSION };
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    settings[key] = structuredClone(definition.default);
   }
+  return settings;
+}
 
-  /**
-   * Helper to deep merge objects, ensuring reactivity is maintained where possible.
-   * This version handles merging into an existing reactive object.
-   * @param {object} target - The reactive object to merge into.
-   * @param {object} source - The object to merge from.
-   * @returns {object} The merged object.
-   */
-  _deepMergeReactive(target, source) {
-    for (const key in source) {
-      if (Object.prototype.hasOwnProperty.call(source, key)) {
-        const sourceValue = source[key];
-        const targetValue = target[key];
-
-        if (
-          typeof sourceValue === "object" &&
-          sourceValue !== null &&
-          !Array.isArray(sourceValue) &&
-          !(sourceValue instanceof Date)
-        ) {
-          // Initialize as reactive if needed
-          if (
-            !targetValue ||
-            typeof targetValue !== "object" ||
-            Array.isArray(targetValue) ||
-            targetValue instanceof Date
-          ) {
-            target[key] = reactive({});
-          }
-
-          // Recursively merge objects
-          this._deepMergeReactive(target[key], sourceValue);
-        } else {
-          // Direct assignment for primitives
-          target[key] = sourceValue;
-        }
-      }
+/**
+ * Checks a value against the schema.
+ * @param {string} key - The setting.
+ * @param {*} value - The value to check.
+ * @returns {SettingProblem|null} What's wrong with the value, or null if it is valid.
+ */
+export function validateSetting(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) return { code: "unknown" };
+  if (value === null) return definition.nullable ? null : { code: "empty" };
+  if (typeOf(value) !== definition.type) return { code: "wrongType", type: definition.type };
+  if (definition.type === "number" && !Number.isFinite(value)) return { code: "wrongType", type: "number" };
+  if (definition.integer && !Number.isInteger(value)) return { code: "notWhole" };
+  if (definition.min !== undefined && value < definition.min) return { code: "tooSmall", min: definition.min };
+  if (definition.max !== undefined && value > definition.max) return { code: "tooLarge", max: definition.max };
+  if (definition.values && !definition.values.includes(value)) {
+    return { code: "notAllowed", values: definition.values.map((allowed) => JSON.stringify(allowed)).join(", ") };
+  }
+  return definition.validate?.(value) ?? null;
+}
+
+/**
+ * Describes a problem found by validateSetting in the UI's language.
+ * @param {SettingProblem} problem - The problem.
+ * @returns {string} E.g. "must be at most 2".
+ */
+export function describeProblem({ code, ...params }) {
+  if (params.type) params.type = t(`settings.problems.types.${params.type}`);
+  return t(`settings.problems.${code}`, params);
+}
+
+/**
+ * Brings saved settings up to date: runs the migrations, then replaces missing
+ * or invalid values with their defaults. Settings this version doesn't know,
+ * e.g. ones a newer version added, are kept as they are.
+ * @param {object} saved - Settings as stored or imported.
+ * @returns {object} Settings that match the schema.
+ */
+export function migrateSettings(saved) {
+  const { record } = runMigrations(saved, SETTINGS_MIGRATIONS);
+  const settings = createDefaultSettings();
+  for (const [key, value] of Object.entries(record)) {
+    if (key === "version" || !(key in SETTINGS_SCHEMA)) {
+      settings[key] = value;
+      continue;
+    }
+    const problem = validateSetting(key, value);
+    if (problem) {
+      console.warn(`Ignoring the saved "${key}" setting, which ${describeProblem(problem)}.`);
+    } else {
+      settings[key] = value;
     }
-    return target;
+  }
+  return settings;
+}
+
+/**
+ * Manages application settings for the Aegis AI Interface.
+ */
+class Settings {
+  constructor() {
+    // Use a reactive reference for settings to improve reactivity
+    this.settings = reactive(createDefaultSettings());
+
+    // Load settings asynchronously
+    this.loadSettings();
   }
 
   /**
    * Asynchronously loads settings from localforage.
-   * Merges saved settings with default settings to handle new fields in updates.
+   * Migrates settings saved by older versions and fills in new fields.
    */
   async loadSettings() {
     try {
       const savedSettings = await localforage.getItem("settings");
       if (savedSettings != null) {
-        // Start with a fresh deep copy of default settings
-        const mergedSettings = { ...this.defaultSettings };
-
-        // Then deep merge saved settings over it to apply user's preferences
-        this._deepMergeReactive(mergedSettings, savedSettings);
-
         // Directly assign to the reactive settings object
         // This will update the reactivity system
-        Object.assign(this.settings, mergedSettings);
+        Object.assign(this.settings, migrateSettings(savedSettings));
 
         // IMPORTANT: Save back any changes made during the load (e.g., new defaults applied, or migrations)
         // Store a deep copy of the settings object to prevent DataCloneError with reactive arrays.
@@ -109,20 +243,17 @@ class Settings {
 
   /**
    * Asynchronously saves the current settings to localforage.
+   * @throws {Error} If they couldn't be stored, e.g. when storage is full.
    */
   async saveSettings() {
-    try {
-      // IMPORTANT: Store a deep copy of the settings object using JSON.parse(JSON.stringify())
-      // This ensures no reactive proxies or non-clonable elements are passed to localforage.
-      await localforage.setItem(
-        "settings",
-        JSON.parse(JSON.stringify(this.settings))
-      );
-
-      console.log("Settings saved to localForage.");
-    } catch (err) {
-      console.error("Failed to save settings to localForage:", err);
-    }
+    // IMPORTANT: Store a deep copy of the settings object using JSON.parse(JSON.stringify())
+    // This ensures no reactive proxies or non-clonable elements are passed to localforage.
+    await localforage.setItem(
+      "settings",
+      JSON.parse(JSON.stringify(this.settings))
+    );
+
+    console.log("Settings saved to localForage.");
   }
 
   /**
@@ -138,8 +269,13 @@ class Settings {
    * Sets a specific setting by key. Useful for UI bindings.
    * @param {string} key - The key of the setting to set.
    * @param {*} value - The new value for the setting.
+   * @throws {Error} If the value doesn't match the schema (see validateSetting).
    */
   setSetting(key, value) {
+    const problem = validateSetting(key, value);
+    if (problem) {
+      throw new Error(`Can't set "${key}" to ${JSON.stringify(value)}: it ${describeProblem(problem)}.`);
+    }
     this.settings[key] = value;
     // We don't save here automatically to avoid excessive writes.
     // saveSettings() should be called explicitly by the UI logic after changes,
@@ -150,10 +286,8 @@ class Settings {
    * Resets all settings to their default values and persists them.
    */
   async resetSettings() {
-    // Perform a deep copy of default settings to avoid reference issues
-    // and assign it directly to the existing reactive settings object.
-    const newDefaults = this._deepMergeReactive({}, this.defaultSettings);
-    Object.assign(this.settings, newDefaults);
+    // A fresh copy, so later changes don't reach the schema's defaults
+    Object.assign(this.settings, createDefaultSettings());
 
     console.log("Settings reset to default.");
     await this.saveSettings();
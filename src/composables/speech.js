@@ -0,0 +1,311 @@
+/**
+ * @file speech.js
+ * @description Read-aloud and dictation through the Web Speech API.
+ *
+ * Replies are spoken one sentence at a time: long utterances get cut off in
+ * some browsers, and a streamed reply can be read while it is still being
+ * written (see createSpeechReader). Markdown markup, code blocks and math are
+ * left out of what is spoken (see markdownToSpeech).
+ *
+ * The speech settings are `speech_voice` (a voiceURI, empty for the browser's
+ * default), `speech_rate`, `speech_language` (empty to follow the app's
+ * language) and `speech_auto_read`.
+ */
+
+export const DEFAULT_SPEECH_RATE = 1;
+export const MIN_SPEECH_RATE = 0.5;
+export const MAX_SPEECH_RATE = 2;
+
+// How long to wait for the browser to list its voices, in milliseconds
+const VOICES_TIMEOUT_MS = 2000;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// The end of a sentence: punctuation, maybe closing quotes or brackets, then whitespace
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s)/g;
+
+/**
+ * Whether the browser can read text aloud.
+ * @returns {boolean} True if speech synthesis is available.
+ */
+export function isSpeechSupported() {
+  return typeof window !== "undefined" && "speechSynthesis" in window;
+}
+
+/**
+ * The browser's speech recognition class, if it has one.
+ * @returns {Function|null} The SpeechRecognition constructor.
+ */
+function getRecognitionClass() {
+  if (typeof window === "undefined") return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+/**
+ * Whether the browser can transcribe speech.
+ * @returns {boolean} True if speech recognition is available.
+ */
+export function isDictationSupported() {
+  return Boolean(getRecognitionClass());
+}
+
+/**
+ * The language to speak and listen in: the one chosen in settings, or else the
+ * app's own language.
+ * @param {object} settings - The app settings.
+ * @returns {string} A BCP 47 language tag, e.g. "en-US".
+ */
+export function getSpeechLanguage(settings) {
+  if (settings?.speech_language) return settings.speech_language;
+  if (typeof document !== "undefined" && document.documentElement.lang) return document.documentElement.lang;
+  return typeof navigator !== "undefined" ? navigator.language : "en";
+}
+
+/**
+ * Lists the browser's voices. Some browsers load them asynchronously, so this
+ * waits briefly for them to arrive.
+ * @returns {Promise<SpeechSynthesisVoice[]>} The voices, empty if there are none.
+ */
+export function getVoices() {
+  if (!isSpeechSupported()) return Promise.resolve([]);
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length) return Promise.resolve(voices);
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      window.speechSynthesis.removeEventListener("voiceschanged", done);
+      resolve(window.speechSynthesis.getVoices());
+    };
+    const timer = setTimeout(done, VOICES_TIMEOUT_MS);
+    window.speechSynthesis.addEventListener("voiceschanged", done);
+  });
+}
+
+/**
+ * Removes fenced code blocks, which aren't worth listening to.
+ * @param {string} text - Markdown.
+ * @returns {string} The Markdown without fenced code.
+ */
+function stripCodeBlocks(text) {
+  const kept = [];
+  let fence = null;
+  for (const line of text.split("\n")) {
+    if (fence) {
+      const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length) fence = null;
+      continue;
+    }
+    const open = line.match(FENCE);
+    if (open) fence = open[1];
+    else kept.push(line);
+  }
+  return kept.join("\n");
+}
+
+/**
+ * Turns Markdown into plain text to be spoken: markup, code blocks, math,
+ * raw HTML and link targets are dropped, keeping the words around them.
+ * @param {string} text - Markdown, e.g. a reply.
+ * @returns {string} The text to speak.
+ */
+export function markdownToSpeech(text) {
+  return stripCodeBlocks(text)
+    .replace(/\$\$[\s\S]*?\$\$/g, " ")
+    .replace(/\$(?=\S)[^$\n]*?\S\$(?!\d)/g, " ")
+    .replace(/<[^>\n]+>/g, " ")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[\^[^\]]+\]:?/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/`+([^`]+)`+/g, "$1")
+    .replace(/^ {0,3}#{1,6}\s+/gm, "")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm, "")
+    .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, "")
+    .replace(/^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, "")
+    .replace(/^[ \t]*\||\|[ \t]*$/gm, "")
+    .replace(/[ \t]*\|[ \t]*/g, ", ")
+    .replace(/(\*{1,3}|_{1,3}|~~)(?=\S)([^\n]*?\S)\1/g, "$2")
+    .replace(/&(amp|lt|gt|quot|#39);/g, (_, entity) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[entity])
+    .replace(/[ \t]+/g, " ")
+    .replace(/^ | $/gm, "")
+    .trim();
+}
+
+/**
+ * Takes the finished sentences from the start of some Markdown. Line breaks
+ * end a sentence too, and code blocks are skipped whole. Unless `final` is
+ * set, the last unfinished sentence and an unclosed code block are left for
+ * later, since more text may still come.
+ * @param {string} text - Markdown that hasn't been spoken yet.
+ * @param {boolean} [final=false] - Whether the text is complete.
+ * @returns {{sentences: string[], consumed: number}} The sentences to speak, as plain
+ *   text, and how many characters of `text` they came from.
+ */
+export function takeSentences(text, final = false) {
+  const sentences = [];
+  let consumed = 0;
+  let offset = 0;
+
+  const addSentence = (end) => {
+    const sentence = markdownToSpeech(text.slice(consumed, end));
+    if (sentence) sentences.push(sentence);
+    consumed = end;
+  };
+
+  while (offset < text.length) {
+    const newline = text.indexOf("\n", offset);
+    const lineEnd = newline === -1 ? text.length : newline + 1;
+    const line = text.slice(offset, lineEnd);
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      // Skip to the closing fence, or wait for it
+      const close = new RegExp(`^ {0,3}${fence[1][0] === "`" ? "`" : "~"}{${fence[1].length},}\\s*$`, "m");
+      const rest = text.slice(lineEnd);
+      const match = rest.match(close);
+      if (!match) {
+        if (final) addSentence(text.length);
+        return { sentences, consumed };
+      }
+      const closeEnd = rest.indexOf("\n", match.index);
+      if (closeEnd === -1 && !final) return { sentences, consumed };
+      offset = closeEnd === -1 ? text.length : lineEnd + closeEnd + 1;
+      consumed = offset;
+      continue;
+    }
+
+    for (const match of line.matchAll(SENTENCE_END)) {
+      addSentence(offset + match.index + match[0].length);
+    }
+    if (newline !== -1 || final) addSentence(lineEnd);
+    offset = lineEnd;
+  }
+
+  return { sentences, consumed };
+}
+
+/**
+ * Speaks sentences one after another.
+ * @param {string[]} sentences - Plain text sentences.
+ * @param {object} settings - The app settings, for the voice, rate and language.
+ * @param {SpeechSynthesisVoice[]} voices - The browser's voices (see getVoices).
+ * @returns {Promise<void>} Resolves when the last sentence was spoken or speech was stopped.
+ */
+function queueSentences(sentences, settings, voices) {
+  const voice = voices.find((candidate) => candidate.voiceURI === settings.speech_voice);
+  const rate = settings.speech_rate || DEFAULT_SPEECH_RATE;
+  const lang = voice?.lang || getSpeechLanguage(settings);
+
+  return Promise.all(
+    sentences.map(
+      (sentence) =>
+        new Promise((resolve) => {
+          const utterance = new SpeechSynthesisUtterance(sentence);
+          if (voice) utterance.voice = voice;
+          utterance.lang = lang;
+          utterance.rate = rate;
+          utterance.onend = resolve;
+          utterance.onerror = resolve;
+          window.speechSynthesis.speak(utterance);
+        }),
+    ),
+  );
+}
+
+/**
+ * Reads Markdown aloud, stopping whatever was being read before.
+ * @param {string} text - Markdown, e.g. a reply.
+ * @param {object} settings - The app settings.
+ * @returns {Promise<void>} Resolves when it has been read or reading was stopped.
+ */
+export async function speakMarkdown(text, settings) {
+  if (!isSpeechSupported()) return;
+  stopSpeaking();
+  const voices = await getVoices();
+  await queueSentences(takeSentences(text, true).sentences, settings, voices);
+}
+
+/**
+ * Stops reading aloud.
+ */
+export function stopSpeaking() {
+  if (isSpeechSupported()) window.speechSynthesis.cancel();
+}
+
+/**
+ * Reads a reply aloud while it streams in, a sentence as soon as it is finished.
+ * @param {object} settings - The app settings.
+ * @param {number} [from=0] - Where in the reply to start, e.g. after the part
+ *   of an interrupted reply that was already there.
+ * @returns {{update: (text: string) => void, finish: (text: string) => Promise<void>, cancel: () => void}}
+ *   `update` takes the reply so far; `finish` the complete reply, resolving once
+ *   everything was spoken; `cancel` stops reading.
+ */
+export function createSpeechReader(settings, from = 0) {
+  let spoken = from;
+  let cancelled = false;
+  const pending = [];
+  const voicesReady = getVoices();
+
+  const read = (text, final) => {
+    if (cancelled) return;
+    const { sentences, consumed } = takeSentences(text.slice(spoken), final);
+    spoken += consumed;
+    if (sentences.length) {
+      pending.push(voicesReady.then((voices) => !cancelled && queueSentences(sentences, settings, voices)));
+    }
+  };
+
+  stopSpeaking();
+  return {
+    update: (text) => read(text, false),
+    finish: async (text) => {
+      read(text, true);
+      await Promise.all(pending);
+    },
+    cancel: () => {
+      cancelled = true;
+      stopSpeaking();
+    },
+  };
+}
+
+/**
+ * Transcribes speech, with interim results while the user is still talking.
+ * @param {object} options
+ * @param {string} options.lang - The language spoken, e.g. "en-US".
+ * @param {(transcript: string, interim: string) => void} options.onResult - Called with
+ *   everything recognized so far, and the part that may still change.
+ * @param {(error: string|null) => void} options.onEnd - Called when listening stops,
+ *   with the error code if it failed (e.g. "not-allowed").
+ * @returns {{stop: () => void}|null} The running dictation, or null if unsupported.
+ */
+export function startDictation({ lang, onResult, onEnd }) {
+  const Recognition = getRecognitionClass();
+  if (!Recognition) return null;
+
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.continuous = true;
+  recognition.interimResults = true;
+
+  let error = null;
+  recognition.onresult = (event) => {
+    let transcript = "";
+    let interim = "";
+    for (const result of event.results) {
+      if (result.isFinal) transcript += result[0].transcript;
+      else interim += result[0].transcript;
+    }
+    onResult(transcript + interim, interim);
+  };
+  recognition.onerror = (event) => {
+    // "no-speech" and "aborted" just end the dictation
+    if (event.error !== "no-speech" && event.error !== "aborted") error = event.error;
+  };
+  recognition.onend = () => onEnd(error);
+  recognition.start();
+
+  return { stop: () => recognition.stop() };
+}
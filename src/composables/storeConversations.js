@@ -1,66 +1,357 @@
 import localforage from "localforage";
 import { toRaw } from "vue";
 import { emitter } from "@/emitter";
+import { resolveEndpoint } from "./providers";
+import { indexConversation, removeConversationFromIndex } from "./searchIndex";
+import { deleteAttachments } from "./attachments";
+import { enqueueJob, isOffline, removeConversationJobs } from "./outbox";
+import { getPromptLanguage } from "./i18n";
+import { migrateFlatMessages } from "./messageTree";
+import { defineMigrations, latestVersion, runMigrations } from "./migrations";
 
-export async function createConversation(plainMessages, lastUpdated) {
-  const conversationId = crypto.randomUUID();
+/**
+ * Upgrades conversation records saved by older versions, oldest step first
+ * (see migrations.js). Records saved before versioning have no version.
+ */
+export const CONVERSATION_MIGRATIONS = defineMigrations([
+  {
+    version: 1,
+    description: "Chain flat message lists into a tree",
+    up: (record) => {
+      // Conversations saved before branching are flat arrays
+      const messages = migrateFlatMessages(record.messages || []);
+      return {
+        ...record,
+        messages,
+        currentLeafId: record.currentLeafId ?? messages[messages.length - 1]?.id ?? null,
+      };
+    },
+  },
+]);
 
-  const systemPrompt = `You are an AI with the task of shortening and summarising messages into a short title. You must summarise the given messages based on their content into a 20 character title. Each conversation is between a user and an AI. The messages provided to you are not the only messages of the conversation. The title must be general enough to apply to what you think the conversation will be about. Do not return any filler or extra words or characters.`;
+export const CONVERSATION_VERSION = latestVersion(CONVERSATION_MIGRATIONS);
 
-  // Ensure that the messages are in a format suitable for storage,
-  // Without this, an error occurs.
-  let rawMessages = plainMessages.map((msg) => ({
+/**
+ * Converts messages into plain objects suitable for localforage.
+ * Messages form a tree through `parentId`, so every branch is kept.
+ * @param {object[]} plainMessages - All messages in the conversation.
+ * @returns {object[]} The storable messages.
+ */
+function serializeMessages(plainMessages) {
+  return plainMessages.map((msg) => ({
     id: msg.id, // Include all necessary properties
+    parentId: msg.parentId ?? null,
     role: msg.role,
     content: msg.content,
     timestamp: msg.timestamp, // Date objects are fine here
     complete: msg.complete,
+    // User messages sent in deep think mode (see deepThink.js)
+    ...(msg.deepThink && { deepThink: true }),
+    // User messages waiting in the outbox to be sent (see outbox.js)
+    ...(msg.queued && { queued: true }),
+    // Attachment metadata; the file contents are stored separately (see attachments.js)
+    ...(msg.attachments?.length && {
+      attachments: msg.attachments.map((attachment) => ({ ...attachment })),
+    }),
     // Add reasoning properties for assistant messages
     ...(msg.role === "assistant" && {
       reasoning: msg.reasoning,
       reasoningStartTime: msg.reasoningStartTime,
       reasoningEndTime: msg.reasoningEndTime,
       reasoningDuration: msg.reasoningDuration,
+      stats: msg.stats ?? null, // Token usage, latency and cost (see usageStats.js)
+      // The model that wrote the reply
+      model: msg.model ?? null,
+      providerId: msg.providerId ?? null,
+      // Replies whose stream broke off, which can be continued
+      ...(msg.interrupted && { interrupted: true }),
+    }),
+    // Replies written side by side by several models share a group id
+    ...(msg.compareGroupId && { compareGroupId: msg.compareGroupId }),
+    // Client-side tool calls made while answering (see tools.js)
+    ...(msg.toolCalls?.length && {
+      toolCalls: msg.toolCalls.map((call) => ({ ...call })),
+    }),
+    // Outcome of the canvas edits in the reply (see canvas.js)
+    ...(msg.canvasEdit && { canvasEdit: { ...msg.canvasEdit } }),
+    // Deep think lanes, kept for review after the merged answer
+    ...(msg.branches?.length && {
+      branches: msg.branches.map((lane) => ({ ...lane })),
     }),
     // Add any other properties your message objects might have
   }));
+}
 
-  try {
-    const response = await fetch("https://ai.hackclub.com/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        messages: [
-          { role: "system", content: systemPrompt },
-          ...rawMessages.map((msg) => ({
-            role: msg.role,
-            content: msg.content,
-          })),
-        ],
-        stream: false,
-        reasoning_effort: "none",
-      }),
-    });
+/**
+ * Fills in metadata fields added after a conversation was first saved.
+ * @param {object} entry - A metadata entry.
+ * @returns {object} The entry with every field present.
+ */
+function migrateMetadataEntry(entry) {
+  return {
+    id: entry.id,
+    title: entry.title || "Untitled",
+    lastUpdated: entry.lastUpdated,
+    pinned: entry.pinned ?? false, // Shown above everything else
+    folder: entry.folder ?? null, // User-defined folder name, or null
+    deletedAt: entry.deletedAt ?? null, // Set while a delete can still be undone
+  };
+}
+
+// Pending work on each conversation record, keyed by conversation id. Messages,
+// summaries, canvases and the persona are saved into the same record at
+// different times (streamed replies every few seconds, canvases debounced), so
+// each read-modify-write waits for the previous one instead of overwriting it.
+const conversationLocks = new Map();
+
+/**
+ * Runs a task once every earlier task on the same conversation has finished.
+ * @param {string} conversationId - The conversation id.
+ * @param {function(): Promise<*>} task - Reads and writes the record.
+ * @returns {Promise<*>} What the task returns.
+ */
+function withConversationLock(conversationId, task) {
+  const previous = conversationLocks.get(conversationId) || Promise.resolve();
+  const run = previous.then(task);
+  // A failed task doesn't block the ones after it
+  const settled = run.catch(() => {});
+  conversationLocks.set(conversationId, settled);
+  settled.then(() => {
+    if (conversationLocks.get(conversationId) === settled) conversationLocks.delete(conversationId);
+  });
+  return run;
+}
+
+/**
+ * Reads a record and migrates it if an older version saved it. Callers hold
+ * the conversation's lock.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<object|null>} The record, or null if there is none.
+ */
+async function readConversation(conversationId) {
+  const data = await localforage.getItem(`conversation_${conversationId}`);
+  if (!data) return null;
+
+  const { record, migrated } = runMigrations(data, CONVERSATION_MIGRATIONS);
+  if (migrated) await localforage.setItem(`conversation_${conversationId}`, record);
+  return record;
+}
+
+/**
+ * Loads a conversation record, migrating it if an older version saved it.
+ * Saves already under way are finished first.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<object|null>} The record, or null if there is none.
+ */
+export function getConversation(conversationId) {
+  return withConversationLock(conversationId, () => readConversation(conversationId));
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+/**
+ * Changes a stored conversation record, one change at a time per conversation.
+ * @param {string} conversationId - The conversation id.
+ * @param {function(object): object} update - Returns the new record from the stored one.
+ * @returns {Promise<object|null>} The saved record, or null if there is none.
+ */
+function updateConversation(conversationId, update) {
+  return withConversationLock(conversationId, async () => {
+    const data = await readConversation(conversationId);
+    if (!data) {
+      console.warn(`No conversation found for id ${conversationId}.`);
+      return null;
     }
+    const record = update(data);
+    await localforage.setItem(`conversation_${conversationId}`, record);
+    return record;
+  });
+}
+
+// Pending work on the metadata list. Every conversation shares it, and it is
+// rewritten on each streamed save as well as on renames, pins and moves, so
+// those wait for each other the same way saves to one record do.
+let metadataLock = Promise.resolve();
+
+/**
+ * Runs a task once every earlier task on the metadata list has finished.
+ * @param {function(): Promise<*>} task - Reads and writes the list.
+ * @returns {Promise<*>} What the task returns.
+ */
+function withMetadataLock(task) {
+  const run = metadataLock.then(task);
+  // A failed task doesn't block the ones after it
+  metadataLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Reads the metadata list, migrating entries saved by older versions. Callers
+ * hold the metadata lock.
+ * @returns {Promise<object[]>} The metadata entries.
+ */
+async function readMetadata() {
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  const migrated = metadata.map(migrateMetadataEntry);
+  if (metadata.some((entry) => !("deletedAt" in entry))) {
+    await localforage.setItem("conversations_metadata", migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Loads the conversation metadata list, migrating entries saved by older versions.
+ * Changes already under way are finished first.
+ * @returns {Promise<object[]>} The metadata entries.
+ */
+export function getConversationsMetadata() {
+  return withMetadataLock(readMetadata);
+}
+
+/**
+ * Changes the stored metadata list, one change at a time.
+ * @param {function(object[]): object[]} update - Returns the new list from the stored one.
+ * @returns {Promise<object[]>} The saved list.
+ */
+function updateMetadata(update) {
+  return withMetadataLock(async () => {
+    const metadata = update(await readMetadata());
+    await localforage.setItem("conversations_metadata", metadata);
+    return metadata;
+  });
+}
+
+/**
+ * Updates fields of a conversation's metadata entry and refreshes the sidebar.
+ * @param {string} conversationId - The conversation id.
+ * @param {object} changes - The fields to change (e.g. { pinned: true }).
+ */
+export async function updateConversationMetadata(conversationId, changes) {
+  await updateMetadata((metadata) =>
+    metadata.map((m) => (m.id === conversationId ? { ...m, ...changes } : m)),
+  );
+  emitter.emit("updateConversations");
+}
+
+/**
+ * Renames a conversation in both its record and the metadata list.
+ * @param {string} conversationId - The conversation id.
+ * @param {string} title - The new title.
+ */
+export async function renameConversation(conversationId, title) {
+  const trimmed = title.trim();
+  if (!trimmed) return;
+
+  await updateConversation(conversationId, (data) => ({ ...data, title: trimmed }));
+  await updateConversationMetadata(conversationId, { title: trimmed });
+}
+
+/**
+ * Hides a conversation until it is restored or purged, so a delete can be undone.
+ * @param {string} conversationId - The conversation id.
+ */
+export async function softDeleteConversation(conversationId) {
+  await updateConversationMetadata(conversationId, {
+    deletedAt: new Date(),
+  });
+}
+
+/**
+ * Brings back a soft-deleted conversation.
+ * @param {string} conversationId - The conversation id.
+ */
+export async function restoreConversation(conversationId) {
+  await updateConversationMetadata(conversationId, { deletedAt: null });
+}
+
+/**
+ * Permanently deletes every soft-deleted conversation, e.g. ones left over
+ * when the app was closed before the undo window ran out.
+ */
+export async function purgeDeletedConversations() {
+  const metadata = await getConversationsMetadata();
+  for (const entry of metadata.filter((m) => m.deletedAt)) {
+    await deleteConversation(entry.id);
+  }
+}
+
+// Title of a conversation created while its title couldn't be generated,
+// e.g. offline. A title job in the outbox replaces it later.
+export const PENDING_TITLE = "New chat";
+
+/**
+ * Asks the model for a short title summarising the given messages.
+ * @param {object[]} rawMessages - The stored messages.
+ * @param {object} settings - User settings, used to pick the provider and the title's language.
+ * @returns {Promise<string>} The title.
+ * @throws {Error} If the request fails.
+ */
+async function generateTitle(rawMessages, settings) {
+  const systemPrompt = `You are an AI with the task of shortening and summarising messages into a short title. You must summarise the given messages based on their content into a 20 character title. Each conversation is between a user and an AI. The messages provided to you are not the only messages of the conversation. The title must be general enough to apply to what you think the conversation will be about. Do not return any filler or extra words or characters. Write the title in ${getPromptLanguage(settings)}.`;
+
+  // Title generation goes to the same provider as the selected model
+  const { url, headers, provider, model } = resolveEndpoint(settings);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      // The built-in provider picks its own model; custom providers need one
+      ...(!provider.builtin && model && { model: model.id }),
+      messages: [
+        { role: "system", content: systemPrompt },
+        ...rawMessages.map((msg) => ({
+          role: msg.role,
+          content: msg.content,
+        })),
+      ],
+      stream: false,
+      ...(provider.builtin && { reasoning_effort: "none" }),
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || "Untitled";
+}
+
+export async function createConversation(plainMessages, lastUpdated, settings = {}) {
+  const conversationId = crypto.randomUUID();
+
+  // Ensure that the messages are in a format suitable for storage,
+  // Without this, an error occurs.
+  let rawMessages = serializeMessages(plainMessages);
 
-    const data = await response.json();
-    const title = data.choices?.[0]?.message?.content || "Untitled";
+  // Without a title the chat is still saved, and titled once the connection is back
+  let title = PENDING_TITLE;
+  if (isOffline()) {
+    await enqueueJob({ type: "title", conversationId });
+  } else {
+    try {
+      title = await generateTitle(rawMessages, settings);
+    } catch (error) {
+      console.error("Error generating conversation title:", error);
+      await enqueueJob({ type: "title", conversationId });
+    }
+  }
 
+  try {
     // Store full conversation
     await localforage.setItem(`conversation_${conversationId}`, {
+      version: CONVERSATION_VERSION,
       title,
       lastUpdated,
       messages: rawMessages,
+      currentLeafId: rawMessages[rawMessages.length - 1]?.id ?? null,
     });
 
-    // Store metadata separately (only ID, title, and timestamp)
-    const metadata =
-      (await localforage.getItem("conversations_metadata")) || [];
-    metadata.push({ id: conversationId, title, lastUpdated });
-    await localforage.setItem("conversations_metadata", metadata);
+    // Store metadata separately (ID, title, timestamp and organization fields)
+    await updateMetadata((metadata) => [
+      ...metadata,
+      migrateMetadataEntry({ id: conversationId, title, lastUpdated }),
+    ]);
+    await indexConversation(conversationId, rawMessages);
 
     emitter.emit("updateConversations");
 
@@ -71,65 +362,156 @@ export async function createConversation(plainMessages, lastUpdated) {
   }
 }
 
+/**
+ * Generates the title of a conversation saved with PENDING_TITLE. Chats the
+ * user renamed in the meantime keep their name.
+ * @param {string} conversationId - The conversation id.
+ * @param {object} settings - User settings, used to pick the provider.
+ * @returns {Promise<string|null>} The new title, or null if it was left alone.
+ * @throws {Error} If the request fails.
+ */
+export async function retitleConversation(conversationId, settings = {}) {
+  const data = await getConversation(conversationId);
+  if (!data || data.title !== PENDING_TITLE) return null;
+
+  const title = await generateTitle(data.messages, settings);
+  await renameConversation(conversationId, title);
+  return title;
+}
+
+/**
+ * Saves every message of a conversation, including all branches.
+ * @param {string} conversationId - The conversation id.
+ * @param {object[]} plainMessages - All messages in the conversation tree.
+ * @param {Date} lastUpdated - When the conversation was last updated.
+ * @param {string|null} [currentLeafId] - The leaf of the branch being viewed, defaults to the last message.
+ */
 export async function storeMessages(
   conversationId,
   plainMessages,
   lastUpdated,
+  currentLeafId = plainMessages[plainMessages.length - 1]?.id ?? null,
 ) {
-  // Attempt to get the existing conversation data.
-  const data = await localforage.getItem(`conversation_${conversationId}`);
-  if (!data) {
-    console.warn(`No conversation found for id ${conversationId}.`);
-    return;
-  }
-
-  let rawMessages = plainMessages.map((msg) => ({
-    id: msg.id, // Include all necessary properties
-    role: msg.role,
-    content: msg.content,
-    timestamp: msg.timestamp, // Date objects are fine here
-    complete: msg.complete,
-    // Add reasoning properties for assistant messages
-    ...(msg.role === "assistant" && {
-      reasoning: msg.reasoning,
-      reasoningStartTime: msg.reasoningStartTime,
-      reasoningEndTime: msg.reasoningEndTime,
-      reasoningDuration: msg.reasoningDuration,
-    }),
-    // Add any other properties your message objects might have
-  }));
-
-  const title = data.title || "Untitled";
+  let rawMessages = serializeMessages(plainMessages);
 
-  // Store full conversation
-  await localforage.setItem(`conversation_${conversationId}`, {
-    title,
+  // Store full conversation, keeping any other fields already on the record
+  const record = await updateConversation(conversationId, (data) => ({
+    ...data,
+    title: data.title || "Untitled",
     lastUpdated,
     messages: rawMessages,
-  });
+    currentLeafId,
+  }));
+  if (!record) return;
+  const { title } = record;
 
-  // Optionally update metadata. If you want to replace existing metadata,
-  // you can filter out the old entry before pushing the new one.
-  const metadata = (await localforage.getItem("conversations_metadata")) || [];
-  // Remove any existing entry with the same id:
-  const updatedMetadata = metadata.filter((m) => m.id !== conversationId);
-  updatedMetadata.push({ id: conversationId, title, lastUpdated });
-  await localforage.setItem("conversations_metadata", updatedMetadata);
+  // Update metadata, keeping the title, pinned and folder fields of the existing
+  // entry, which a rename or move may have changed since the record was saved
+  await updateMetadata((metadata) => {
+    const existing = metadata.find((m) => m.id === conversationId);
+    // Remove any existing entry with the same id:
+    const updatedMetadata = metadata.filter((m) => m.id !== conversationId);
+    updatedMetadata.push(
+      migrateMetadataEntry({ id: conversationId, title, ...existing, lastUpdated }),
+    );
+    return updatedMetadata;
+  });
+  await indexConversation(conversationId, rawMessages);
 
   console.log("Conversation saved successfully!");
 }
 
+/**
+ * Saves a rolling summary of older turns with its conversation.
+ * @param {string} conversationId - The conversation id.
+ * @param {object} summary - The summary (see contextWindow.js).
+ */
+export async function storeSummary(conversationId, summary) {
+  await updateConversation(conversationId, (data) => ({
+    ...data,
+    summaries: [...(data.summaries || []), summary],
+  }));
+}
+
+/**
+ * Saves a conversation's canvas documents, replacing the stored ones.
+ * @param {string} conversationId - The conversation id.
+ * @param {object[]} canvases - The canvases (see canvas.js).
+ */
+export async function storeCanvases(conversationId, canvases) {
+  await updateConversation(conversationId, (data) => ({
+    ...data,
+    canvases: JSON.parse(JSON.stringify(canvases)),
+  }));
+}
+
+/**
+ * Saves the persona a conversation uses, so a reopened chat keeps it even if
+ * the persona is later changed or deleted.
+ * @param {string} conversationId - The conversation id.
+ * @param {object|null} persona - The persona (see personas.js), or null for the default assistant.
+ */
+export async function storePersona(conversationId, persona) {
+  await updateConversation(conversationId, (data) => ({
+    ...data,
+    persona: persona ? JSON.parse(JSON.stringify(persona)) : null,
+  }));
+}
+
 export async function deleteConversation(conversationId) {
-  // Remove full conversation data
-  await localforage.removeItem(`conversation_${conversationId}`);
+  await withConversationLock(conversationId, async () => {
+    // Remove the files attached to its messages
+    const data = await localforage.getItem(`conversation_${conversationId}`);
+    await deleteAttachments(
+      (data?.messages || []).flatMap((msg) => (msg.attachments || []).map((attachment) => attachment.id)),
+    );
+
+    // Remove full conversation data
+    await localforage.removeItem(`conversation_${conversationId}`);
+  });
 
   // Update metadata by filtering out the deleted conversation.
-  const metadata = (await localforage.getItem("conversations_metadata")) || [];
-  const updatedMetadata = metadata.filter((m) => m.id !== conversationId);
-  await localforage.setItem("conversations_metadata", updatedMetadata);
+  await updateMetadata((metadata) => metadata.filter((m) => m.id !== conversationId));
+  await removeConversationFromIndex(conversationId);
+  // Queued messages and titles have nothing left to go to
+  await removeConversationJobs(conversationId);
 
   // Emit an event so that the sidebar updates its list.
   emitter.emit("updateConversations");
 
   console.log(`Conversation ${conversationId} deleted successfully!`);
 }
+
+/**
+ * Saves a conversation that came from an export or another app under a new id,
+ * and adds it to the metadata list so the sidebar shows it.
+ * @param {object} exported - The conversation ({ title, lastUpdated, messages, currentLeafId, ... }).
+ * @returns {Promise<string>} The new conversation id.
+ */
+export async function importConversation(exported) {
+  const conversationId = crypto.randomUUID();
+  // Exports from older versions are stored like they would have been migrated
+  const { record } = runMigrations(exported, CONVERSATION_MIGRATIONS);
+  const title = record.title || "Imported chat";
+  const lastUpdated = record.lastUpdated ? new Date(record.lastUpdated) : new Date();
+  const rawMessages = serializeMessages(record.messages || []);
+
+  await localforage.setItem(`conversation_${conversationId}`, {
+    ...record,
+    title,
+    lastUpdated,
+    messages: rawMessages,
+    currentLeafId:
+      record.currentLeafId ?? rawMessages[rawMessages.length - 1]?.id ?? null,
+  });
+
+  await updateMetadata((metadata) => [
+    ...metadata,
+    migrateMetadataEntry({ id: conversationId, title, lastUpdated }),
+  ]);
+  await indexConversation(conversationId, rawMessages);
+
+  emitter.emit("updateConversations");
+
+  return conversationId;
+}
@@ -5,6 +5,9 @@
  * @version 3.0.0
  */
 
+import { buildCanvasPrompt } from "./canvas";
+import { getPromptLanguage } from "./i18n";
+
 // --- PROMPT MODULES ---
 // These are the "Lego" blocks that will be assembled into the final prompt.
 
@@ -33,6 +36,30 @@ const BOUNDARIES_AND_LIMITATIONS = `### Your Limitations
 *   **No Personal Opinions:** You are an AI, so you don't have feelings or beliefs. Present information neutrally.
 *   **Professional Advice:** You can provide general information on topics like finance, law, or medicine, but you must include a disclaimer that you are not a qualified professional and the user should consult one.`;
 
+// The modules a persona can leave out or replace, in prompt order (see personas.js).
+export const PROMPT_MODULES = [
+  { key: "core_identity", label: "Identity", content: CORE_IDENTITY },
+  { key: "guiding_principles", label: "Guiding principles", content: GUIDING_PRINCIPLES },
+  { key: "interaction_style", label: "Style", content: INTERACTION_STYLE },
+  { key: "formatting_rules", label: "Formatting", content: FORMATTING_RULES },
+  { key: "coding_guidelines", label: "Coding", content: CODING_GUIDELINES },
+  { key: "boundaries_and_limitations", label: "Limitations", content: BOUNDARIES_AND_LIMITATIONS },
+];
+
+/**
+ * Returns a module as the persona wants it: its own text, the persona's
+ * replacement, or null when the persona leaves it out.
+ * @param {string} key - The module key.
+ * @param {object|null} persona - The persona, if any.
+ * @returns {string|null} The module text.
+ */
+function resolveModule(key, persona) {
+  const module = PROMPT_MODULES.find((entry) => entry.key === key);
+  const override = persona?.modules?.[key];
+  if (override === false) return null;
+  return typeof override === "string" ? override : module.content;
+}
+
 // --- PROMPT ASSEMBLY FUNCTION ---
 
 /**
@@ -42,11 +69,15 @@ const BOUNDARIES_AND_LIMITATIONS = `### Your Limitations
  * @param {string} [settings.user_name] - The user's name.
  * @param {string} [settings.occupation] - The user's occupation.
  * @param {string} [settings.custom_instructions] - Custom instructions from the user.
+ * @param {string} [settings.language] - The app's language, which replies are written in (see i18n.js).
+ * @param {string[]} [memory=[]] - Facts remembered about the user from past conversations.
+ * @param {object|null} [canvas=null] - The canvas document the user is working on (see canvas.js).
+ * @param {object|null} [persona=null] - The conversation's persona, which can leave out or replace modules (see personas.js).
  * @returns {string} The final, complete system prompt.
  */
-export function generateSystemPrompt(toolNames = [], settings = {}) {
+export function generateSystemPrompt(toolNames = [], settings = {}, memory = [], canvas = null, persona = null) {
   // Start with the core identity and main principles.
-  const promptSections = [CORE_IDENTITY];
+  const promptSections = [resolveModule("core_identity", persona)];
 
   const { user_name, occupation, custom_instructions } = settings;
 
@@ -65,15 +96,38 @@ export function generateSystemPrompt(toolNames = [], settings = {}) {
     promptSections.push(userContext);
   }
 
+  // **Memory Section (Conditional)**
+  // Facts remembered from earlier conversations when global memory is on.
+  if (memory.length > 0) {
+    const memorySection = `### What you know about the user
+These facts were remembered from earlier conversations. Use them when relevant, but don't bring them up unprompted.
+${memory.map((fact) => `*   ${fact}`).join("\n")}`;
+    promptSections.push(memorySection);
+  }
+
   // Add the main instructional blocks.
   promptSections.push(
-    GUIDING_PRINCIPLES,
-    INTERACTION_STYLE,
-    FORMATTING_RULES,
-    CODING_GUIDELINES,
-    BOUNDARIES_AND_LIMITATIONS
+    resolveModule("guiding_principles", persona),
+    resolveModule("interaction_style", persona),
+    resolveModule("formatting_rules", persona),
+    resolveModule("coding_guidelines", persona),
+    resolveModule("boundaries_and_limitations", persona)
   );
 
+  // **Language Section**
+  // Replies follow the app's language unless the user asks for another one.
+  const languageSection = `### Language
+Write your replies in ${getPromptLanguage(settings)}, unless the user asks you to use another language.`;
+  promptSections.push(languageSection);
+
+  // **Persona Section (Conditional)**
+  // The persona's own instructions, on top of the modules it kept.
+  if (persona?.instructions) {
+    const personaSection = `### Your Persona: ${persona.name}
+${persona.instructions}`;
+    promptSections.push(personaSection);
+  }
+
   // **Tools Section (Conditional)**
   // This "Lego" block is only added if tools are available.
   if (toolNames.length > 0) {
@@ -82,6 +136,12 @@ You have access to these tools: **${toolNames.join(", ")}**. Use them when they
     promptSections.push(toolsSection);
   }
 
+  // **Canvas Section (Conditional)**
+  // The open document and the edit format, while the user's messages target the canvas.
+  if (canvas) {
+    promptSections.push(buildCanvasPrompt(canvas));
+  }
+
   // **Custom Instructions Section (Highest Priority for the model)**
   // Placed at the end to be the last-read, most immediate instruction.
   if (custom_instructions) {
@@ -92,8 +152,8 @@ ${custom_instructions}`;
     promptSections.push(customInstructionsSection);
   }
 
-  // Join all the sections together into a single string.
-  return promptSections.join("\n\n");
+  // Join all the sections together into a single string, skipping modules the persona left out.
+  return promptSections.filter(Boolean).join("\n\n");
 }
 
 export default {
@@ -0,0 +1,181 @@
+/**
+ * @file tools.js
+ * @description Registry of tools the model can call. Each tool has a JSON-schema
+ * definition that is sent in the request's `tools` array and a `run` function
+ * that executes on the client; handleIncomingMessage (message.js) feeds the
+ * results back to the model.
+ *
+ * Tools that providers run on their own side, such as `browser_search` and
+ * `code_interpreter` in availableModels.js, are not part of this registry.
+ */
+
+import { evaluateExpression } from "./calculator";
+import { runInSandbox } from "./sandbox";
+
+// How long run_javascript may take before its sandbox is removed (see sandbox.js)
+const JAVASCRIPT_TIMEOUT_MS = 5000;
+
+// Tool results are cut off past this length so they can't flood the context
+const MAX_RESULT_LENGTH = 20_000;
+
+/**
+ * @typedef {object} Tool
+ * @property {string} name - The function name the model calls.
+ * @property {string} label - Human-readable name shown on tool call cards.
+ * @property {string} description - What the tool does, for the model.
+ * @property {object} parameters - JSON schema of the arguments.
+ * @property {function(object, {signal: AbortSignal}): Promise<*>|*} run - Runs the tool.
+ */
+
+/** @type {Map<string, Tool>} */
+const registry = new Map();
+
+/**
+ * Adds a tool to the registry, replacing any tool with the same name.
+ * @param {Tool} tool - The tool.
+ */
+export function registerTool(tool) {
+  registry.set(tool.name, tool);
+}
+
+/**
+ * Looks up a registered tool.
+ * @param {string} name - The tool name.
+ * @returns {Tool|undefined} The tool.
+ */
+export function getTool(name) {
+  return registry.get(name);
+}
+
+/**
+ * Returns every registered tool.
+ * @returns {Tool[]} The tools.
+ */
+export function getTools() {
+  return [...registry.values()];
+}
+
+/**
+ * Builds the request's `tools` array.
+ * @param {string[]} [names] - Only include these tools; defaults to all of them.
+ * @returns {object[]} OpenAI-style function tool definitions.
+ */
+export function getToolDefinitions(names) {
+  return getTools()
+    .filter((tool) => !names || names.includes(tool.name))
+    .map(({ name, description, parameters }) => ({
+      type: "function",
+      function: { name, description, parameters },
+    }));
+}
+
+/**
+ * Runs a tool call from the model.
+ * @param {{name: string, arguments: string}} call - The assembled tool call; arguments are a JSON string.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts long-running tools.
+ * @returns {Promise<{result: string, error: boolean}>} The text sent back to the model.
+ */
+export async function runToolCall(call, { signal } = {}) {
+  const tool = getTool(call.name);
+  if (!tool) {
+    return { result: `Error: there is no tool named "${call.name}".`, error: true };
+  }
+
+  let args;
+  try {
+    args = call.arguments?.trim() ? JSON.parse(call.arguments) : {};
+  } catch {
+    return { result: "Error: the arguments are not valid JSON.", error: true };
+  }
+
+  try {
+    const output = await tool.run(args, { signal });
+    let result = typeof output === "string" ? output : JSON.stringify(output, null, 2);
+    if (result.length > MAX_RESULT_LENGTH) {
+      result = `${result.slice(0, MAX_RESULT_LENGTH)}\n[... truncated]`;
+    }
+    return { result, error: false };
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    return { result: `Error: ${error.message}`, error: true };
+  }
+}
+
+// --- Built-in tools ---
+
+registerTool({
+  name: "calculator",
+  label: "Calculator",
+  description:
+    "Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, factorial (!), " +
+    "the constants pi, e and tau, and the functions sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, " +
+    "asin, acos, atan, ln, log (base 10, or log(x, base)), log2, exp, min, max, pow and factorial. " +
+    "Trigonometric functions use radians. Use this instead of doing arithmetic yourself.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: {
+        type: "string",
+        description: 'The expression, e.g. "(1.07 ^ 10) * 2500" or "sqrt(2) * pi".',
+      },
+    },
+    required: ["expression"],
+  },
+  run({ expression }) {
+    const result = evaluateExpression(expression);
+    if (Number.isNaN(result)) throw new Error("The result is not a number.");
+    return { expression, result };
+  },
+});
+
+registerTool({
+  name: "get_current_datetime",
+  label: "Date & time",
+  description:
+    "Returns the current date and time. Use it for questions about today's date, the time, the weekday, " +
+    "or how long until or since a date.",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: 'IANA time zone such as "Asia/Jakarta". Defaults to the user\'s time zone.',
+      },
+    },
+  },
+  run({ timezone } = {}) {
+    const now = new Date();
+    const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let formatted;
+    try {
+      formatted = now.toLocaleString("en-US", { timeZone, dateStyle: "full", timeStyle: "long" });
+    } catch {
+      throw new Error(`Unknown time zone "${timezone}".`);
+    }
+    return { iso: now.toISOString(), timezone: timeZone, local: formatted, unix: Math.floor(now.getTime() / 1000) };
+  },
+});
+
+registerTool({
+  name: "run_javascript",
+  label: "JavaScript",
+  description:
+    "Runs JavaScript in an isolated sandbox with no network, DOM or storage access, and returns the value of " +
+    "its `return` statement plus anything passed to console.log. The code runs as the body of an async function, " +
+    `so use \`return\` for the result and \`await\` if needed. Execution stops after ${JAVASCRIPT_TIMEOUT_MS / 1000} seconds. ` +
+    "Use it for data processing, simulations or checking code.",
+  parameters: {
+    type: "object",
+    properties: {
+      code: { type: "string", description: "The JavaScript code to run." },
+    },
+    required: ["code"],
+  },
+  async run({ code }, { signal } = {}) {
+    const data = await runInSandbox(code, { timeoutMs: JAVASCRIPT_TIMEOUT_MS, signal });
+    const output = data.logs.length ? `Console output:\n${data.logs.join("\n")}\n\n` : "";
+    if (data.error) throw new Error(`${output}${data.error}`);
+    return `${output}Result: ${data.result}`;
+  },
+});
@@ -0,0 +1,144 @@
+/**
+ * @file usageStats.js
+ * @description Per-message telemetry (token usage, latency, speed, finish reason
+ * and cost) and the roll-ups by model and by day shown in the Usage settings tab.
+ * Stats are saved on each assistant message as `stats`, so the roll-ups are
+ * computed from the stored conversations and need no separate store.
+ */
+
+import localforage from "localforage";
+
+/**
+ * Estimates the cost of a request from a model's pricing.
+ * @param {{prompt: number, completion: number}|null} pricing - USD per million tokens.
+ * @param {number|null} promptTokens - Prompt tokens used.
+ * @param {number|null} completionTokens - Completion tokens generated.
+ * @returns {number|null} The cost in USD, or null if the model has no pricing or usage is unknown.
+ */
+export function estimateCost(pricing, promptTokens, completionTokens) {
+  if (!pricing || promptTokens == null || completionTokens == null) return null;
+  return (
+    (promptTokens * (pricing.prompt || 0) +
+      completionTokens * (pricing.completion || 0)) /
+    1_000_000
+  );
+}
+
+/**
+ * Adds up the `usage` blocks of the requests behind one reply; a reply that
+ * called tools takes one request per round.
+ * @param {object|null} total - Usage so far, or null before the first request.
+ * @param {object} usage - The latest request's usage.
+ * @returns {object} The combined usage.
+ */
+export function mergeUsage(total, usage) {
+  if (!total) return { ...usage };
+  return {
+    prompt_tokens: (total.prompt_tokens ?? 0) + (usage.prompt_tokens ?? 0),
+    completion_tokens: (total.completion_tokens ?? 0) + (usage.completion_tokens ?? 0),
+    total_tokens: (total.total_tokens ?? 0) + (usage.total_tokens ?? 0),
+  };
+}
+
+/**
+ * Builds the stats saved with an assistant message.
+ * @param {object} run - What was measured while streaming.
+ * @param {object} run.model - The model that answered.
+ * @param {object} run.provider - The provider that served it.
+ * @param {number} run.startTime - When the request was sent (ms since epoch).
+ * @param {number|null} run.firstTokenTime - When the first content or reasoning arrived.
+ * @param {number} run.endTime - When the stream ended.
+ * @param {object|null} run.usage - The API's `usage` block, if it sent one.
+ * @param {string|null} run.finishReason - Why generation stopped.
+ * @returns {object} The message stats.
+ */
+export function buildMessageStats({
+  model,
+  provider,
+  startTime,
+  firstTokenTime,
+  endTime,
+  usage,
+  finishReason,
+}) {
+  const promptTokens = usage?.prompt_tokens ?? null;
+  const completionTokens = usage?.completion_tokens ?? null;
+  // Speed is measured over the generation itself, not the wait for the first token
+  const generationSeconds = firstTokenTime ? (endTime - firstTokenTime) / 1000 : 0;
+
+  return {
+    model: model.id,
+    provider: provider.id,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens ?? (promptTokens ?? 0) + (completionTokens ?? 0),
+    timeToFirstToken: firstTokenTime ? firstTokenTime - startTime : null,
+    duration: endTime - startTime,
+    tokensPerSecond:
+      completionTokens != null && generationSeconds > 0
+        ? completionTokens / generationSeconds
+        : null,
+    finishReason: finishReason || null,
+    // The built-in Hack Club provider is free
+    cost: provider.builtin ? 0 : estimateCost(model.pricing, promptTokens, completionTokens),
+  };
+}
+
+function emptyTotals() {
+  return { messages: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addToTotals(totals, stats) {
+  totals.messages++;
+  totals.promptTokens += stats.promptTokens || 0;
+  totals.completionTokens += stats.completionTokens || 0;
+  totals.cost += stats.cost || 0;
+}
+
+/**
+ * Returns a local YYYY-MM-DD key for a date.
+ * @param {Date|string} date - The date.
+ * @returns {string} The day key.
+ */
+function toDayKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Rolls up the stats of every stored assistant message.
+ * @returns {Promise<{totals: object, byModel: object[], byDay: object[]}>} Usage totals,
+ *   per model (most tokens first) and per day (newest first).
+ */
+export async function getUsageStats() {
+  const totals = emptyTotals();
+  const byModel = new Map();
+  const byDay = new Map();
+
+  const metadata = (await localforage.getItem("conversations_metadata")) || [];
+  for (const { id } of metadata) {
+    const conversation = await localforage.getItem(`conversation_${id}`);
+    for (const msg of conversation?.messages || []) {
+      if (msg.role !== "assistant" || !msg.stats) continue;
+
+      const modelKey = `${msg.stats.provider}/${msg.stats.model}`;
+      if (!byModel.has(modelKey)) {
+        byModel.set(modelKey, { model: msg.stats.model, provider: msg.stats.provider, ...emptyTotals() });
+      }
+      const day = toDayKey(msg.timestamp);
+      if (!byDay.has(day)) byDay.set(day, { day, ...emptyTotals() });
+
+      addToTotals(totals, msg.stats);
+      addToTotals(byModel.get(modelKey), msg.stats);
+      addToTotals(byDay.get(day), msg.stats);
+    }
+  }
+
+  const tokens = (entry) => entry.promptTokens + entry.completionTokens;
+  return {
+    totals,
+    byModel: [...byModel.values()].sort((a, b) => tokens(b) - tokens(a)),
+    byDay: [...byDay.values()].sort((a, b) => b.day.localeCompare(a.day)),
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * @file virtualList.js
+ * @description Works out which messages of a long chat to render.
+ *
+ * ChatPanel only renders the messages near the visible part of the chat, and
+ * stands in for the rest with spacers of the same height, so a chat with
+ * hundreds of long replies scrolls and streams as smoothly as a short one.
+ * Heights come from measuring messages once they have been rendered; messages
+ * that haven't been yet are estimated.
+ */
+
+// Chats up to this many messages are rendered in full
+export const VIRTUALIZE_AFTER = 40;
+
+// Height of a message that hasn't been measured yet, in pixels
+export const ESTIMATED_MESSAGE_HEIGHT = 240;
+
+// How far above and below the visible area messages are still rendered, in pixels
+export const OVERSCAN_PX = 1200;
+
+/**
+ * @typedef {object} RenderRange
+ * @property {number} start - Index of the first rendered message.
+ * @property {number} end - Index after the last rendered message.
+ * @property {number} before - Height of the messages before `start`, in pixels.
+ * @property {number} after - Height of the messages from `end` on, in pixels.
+ */
+
+/**
+ * Finds the messages that overlap the visible area, plus the overscan.
+ * @param {number[]} heights - Height of each message, measured or estimated.
+ * @param {number} top - Scroll position, relative to the first message.
+ * @param {number} viewportHeight - Height of the visible area.
+ * @param {number} [overscan=OVERSCAN_PX] - Extra height to render on both sides.
+ * @returns {RenderRange} The messages to render.
+ */
+export function computeRenderRange(heights, top, viewportHeight, overscan = OVERSCAN_PX) {
+  const total = heights.reduce((sum, height) => sum + height, 0);
+  // Past the end (e.g. while the chat shrinks), show the last screenful
+  const from = Math.max(0, Math.min(top, total - viewportHeight) - overscan);
+  const to = Math.max(top, 0) + viewportHeight + overscan;
+
+  let start = heights.length;
+  let before = 0;
+  let offset = 0;
+  for (let i = 0; i < heights.length; i++) {
+    if (offset + heights[i] > from) {
+      start = i;
+      before = offset;
+      break;
+    }
+    offset += heights[i];
+  }
+
+  let end = start;
+  offset = before;
+  while (end < heights.length && offset < to) {
+    offset += heights[end];
+    end++;
+  }
+
+  return { start, end, before, after: total - offset };
+}
+
+/**
+ * Where a message starts, relative to the first message.
+ * @param {number[]} heights - Height of each message, measured or estimated.
+ * @param {number} index - The message's index.
+ * @returns {number} The offset in pixels.
+ */
+export function messageOffset(heights, index) {
+  return heights.slice(0, index).reduce((sum, height) => sum + height, 0);
+}
@@ -0,0 +1,450 @@
+/**
+ * @file en.js
+ * @description English UI messages, also the fallback for messages another
+ * catalog is missing (see i18n.js).
+ */
+
+export default {
+  common: {
+    cancel: "Cancel",
+    edit: "Edit",
+    copy: "Copy",
+    copied: "Copied!",
+    undo: "Undo",
+    confirmClearMemory: "Delete everything Zewro remembers about you?",
+  },
+
+  app: {
+    loading: "Loading...",
+    toggleMenu: "Toggle menu",
+    persona: "Persona: {name}",
+    choosePersona: "Choose a persona",
+    defaultAssistant: "Default assistant",
+    managePersonas: "Manage personas…",
+    openCanvas: "Open a canvas",
+    exportChat: "Export chat",
+    exportMarkdown: "Export as Markdown",
+    exportJson: "Export as JSON",
+    offline: "You're offline. Messages you send are queued and go out when you reconnect.",
+    chatDeleted: "Chat deleted",
+    noModelSelected: "Error: No AI model selected.",
+  },
+
+  sidebar: {
+    title: "Chats",
+    newChat: "New chat",
+    pendingTitle: "New chat",
+    openSettings: "Open settings",
+    search: "Search chats",
+    noMatches: "No matches",
+    pinned: "Pinned",
+    groups: {
+      today: "Today",
+      yesterday: "Yesterday",
+      last7Days: "Last 7 days",
+      last30Days: "Last 30 days",
+      older: "Older",
+    },
+    chatOptions: "Chat options",
+    rename: "Rename",
+    pin: "Pin",
+    unpin: "Unpin",
+    moveTo: "Move to {folder}",
+    newFolder: "New folder…",
+    folderName: "Folder name",
+    removeFromFolder: "Remove from folder",
+    delete: "Delete",
+  },
+
+  chat: {
+    welcome: "What would you like to ask?",
+    send: "Send",
+    queued: "Queued, sends when you're back online",
+    interrupted: "This reply was interrupted.",
+    continueGeneration: "Continue generation",
+    summarized: "Messages above are summarized to fit the model's context window",
+    retry: {
+      rateLimited: "Rate limited, retrying in {seconds}s…",
+      serverError: "Server error (HTTP {status}), retrying in {seconds}s…",
+    },
+    reasoning: {
+      label: "Reasoning",
+      thinkingFor: "Thinking for {duration}...",
+      thoughtFor: "Thought for {duration}",
+      thoughtBriefly: "Thought for a moment",
+    },
+    compare: {
+      stop: "Stop",
+      stopModel: "Stop {model}",
+      chosen: "Continuing with this reply",
+      pick: "Continue with this",
+      timeToFirstToken: "TTFT {time}",
+      speed: "{speed} tok/s",
+    },
+    deepThink: {
+      title: { one: "Deep think · {count} branch", other: "Deep think · {count} branches" },
+      merging: "Merging…",
+      branch: "Branch {number}",
+      params: "temp {temperature} · seed {seed}",
+      cancelBranch: "Cancel branch {number}",
+      status: {
+        running: "Thinking…",
+        done: "Done",
+        cancelled: "Cancelled",
+        error: "Failed",
+      },
+    },
+    tools: {
+      running: "Running…",
+      failed: "Failed",
+      arguments: "Arguments",
+      result: "Result",
+      names: {
+        calculator: "Calculator",
+        get_current_datetime: "Date & time",
+        run_javascript: "JavaScript",
+      },
+    },
+    canvasEdit: {
+      failed: "Couldn't apply the edits to {title}",
+      applied: { one: "Applied {count} edit to {title}", other: "Applied {count} edits to {title}" },
+      unmatched: "{count} didn't match",
+    },
+    actions: {
+      previousBranch: "Previous branch",
+      nextBranch: "Next branch",
+      edit: "Edit message",
+      regenerate: "Regenerate response",
+      regenerateShort: "Regenerate",
+      readAloud: "Read aloud",
+      stopReading: "Stop reading",
+      details: "Response details",
+    },
+    stats: {
+      model: "Model",
+      promptTokens: "Prompt tokens",
+      completionTokens: "Completion tokens",
+      timeToFirstToken: "Time to first token",
+      speed: "Speed",
+      tokensPerSecond: "{speed} tokens/s",
+      finishReason: "Finish reason",
+      cost: "Cost",
+    },
+  },
+
+  code: {
+    canvasEdit: "Canvas edit",
+    openInCanvas: "Open in canvas",
+    download: "Download",
+    downloadFile: "Download file",
+    copyCode: "Copy code",
+  },
+
+  form: {
+    placeholder: "Type a message...",
+    slashMenu: "Commands and saved prompts",
+    commands: {
+      new: "Start a new chat",
+      model: "Switch to another model",
+      "clear-memory": "Forget everything remembered about you",
+      export: "Download this chat",
+    },
+    modelNotFound: 'No single model matches "{query}".',
+    modelMissing: "Type a model id after /model.",
+    noVision: "The selected model can't view images",
+    removeAttachment: "Remove {name}",
+    pastedImage: "Pasted image",
+    pastedFile: "Pasted file",
+    changeModel: "Change model, currently {model}",
+    attach: "Attach files",
+    deepThink: {
+      label: "Deep think",
+      description: "Deep think: answer in parallel branches, then merge them",
+    },
+    compare: {
+      label: "Compare",
+      active: "Compare ({count})",
+      description: "Compare: send the message to several models at once",
+      heading: "Compare 2–{max} models",
+      clear: "Clear",
+    },
+    parameters: {
+      title: "Advanced parameters",
+      reset: "Reset",
+      default: "Default",
+    },
+    dictation: {
+      label: "Dictate",
+      start: "Dictate a message",
+      stop: "Stop dictation",
+      listening: "Listening… click to stop",
+      stopped: "Dictation stopped: {error}.",
+      errors: {
+        "not-allowed": "Microphone access was denied.",
+        "audio-capture": "No microphone was found.",
+        network: "Dictation needs a connection to the speech service.",
+        "language-not-supported": "Dictation isn't available in this language.",
+      },
+    },
+    context: {
+      usage: "About {used} of {limit} tokens used ({percent}%)",
+      summarized: "{usage}. Older messages are summarized.",
+    },
+    send: "Send message",
+    stop: "Stop generation",
+  },
+
+  parameters: {
+    temperature: "Temperature",
+    top_p: "Top P",
+    max_tokens: "Max tokens",
+    seed: "Seed",
+    presence_penalty: "Presence penalty",
+    frequency_penalty: "Frequency penalty",
+    reasoning_effort: "Reasoning effort",
+  },
+
+  canvas: {
+    label: "Canvas",
+    title: "Canvas title",
+    content: "Canvas content",
+    preview: "Canvas preview",
+    targeted: "Chat messages edit this canvas",
+    untargeted: "Chat messages ignore this canvas",
+    close: "Close canvas",
+    tabs: {
+      code: "Code",
+      preview: "Preview",
+      history: "History ({count})",
+    },
+    versionSources: {
+      initial: "Opened from chat",
+      user: "Your edits",
+      assistant: "Model edit",
+      restore: "Restored",
+    },
+    current: "Current content",
+    restore: "Restore this version",
+  },
+
+  settings: {
+    title: "Settings",
+    close: "Close settings",
+    save: "Save Changes",
+    invalidSetting: "Couldn't save: \"{setting}\" {problem}.",
+    saveFailed: "Couldn't save settings: {error}",
+    problems: {
+      unknown: "isn't a setting",
+      empty: "can't be empty",
+      wrongType: "must be {type}",
+      notWhole: "must be a whole number",
+      tooSmall: "must be at least {min}",
+      tooLarge: "must be at most {max}",
+      notAllowed: "must be one of {values}",
+      invalidProviders: "must list providers with an id, a base URL and models",
+      invalidModelParameters: "must hold the parameters of each model",
+      types: {
+        string: "text",
+        number: "a number",
+        boolean: "on or off",
+        array: "a list",
+        object: "an object",
+      },
+    },
+    edit: "Edit {name}",
+    delete: "Delete {name}",
+    nav: {
+      general: "General",
+      customization: "Customization",
+      prompts: "Prompts",
+      personas: "Personas",
+      providers: "Providers",
+      usage: "Usage",
+      memory: "Memory",
+      about: "About",
+    },
+    general: {
+      title: "General Settings",
+      description: "Basic configuration options",
+      language: "Language",
+      languageDescription: "The language of the app, and of replies and chat titles",
+      browserLanguage: "Same as the browser",
+      darkMode: "Dark Mode",
+      darkModeDescription: "Toggle between light and dark themes",
+      tools: "Tools",
+      toolsDescription: "Let models use the calculator, date & time and sandboxed JavaScript tools",
+      deepThinkBranches: "Deep think branches",
+      deepThinkBranchesDescription: "How many answers deep think writes in parallel before merging them",
+      autoRead: "Read replies aloud",
+      autoReadDescription: "Speak each reply sentence by sentence while it is being written",
+      speechLanguage: "Speech language",
+      speechLanguageDescription: "The language for dictation and for reading aloud",
+      appLanguage: "Same as the app",
+      voice: "Voice",
+      voiceDescription: "The voice replies are read with",
+      defaultVoice: "Default for the language",
+      speechRate: "Speaking rate",
+      speechRateDescription: "How fast replies are read, {rate}×",
+    },
+    backup: {
+      title: "Backup",
+      description: "Download all chats, settings and memory as one JSON file",
+      export: "Export",
+      includeApiKeys: "Include provider API keys (stored in plain text)",
+      includeTrash: "Include chats in the trash",
+      import: "Import",
+      importDescription: "Restore a backup, or import a chat exported as JSON or a [{role, content}] transcript",
+      imported: "Imported {items}.",
+      importedChats: { one: "{count} chat", other: "{count} chats" },
+      importedPrompts: { one: "{count} prompt", other: "{count} prompts" },
+      importedPersonas: { one: "{count} persona", other: "{count} personas" },
+      importedSettings: "settings",
+      importedMemory: "memory",
+      importFailed: "Import failed: {error}",
+    },
+    customization: {
+      title: "Customization",
+      description: "Personalize your experience",
+      name: "What should Zewro call you?",
+      nameDescription: "Enter your name",
+      occupation: "What occupation do you have?",
+      occupationDescription: "Teacher, volunteer, student, etc.",
+      occupationPlaceholder: "Teacher, software engineer, student, etc.",
+      instructions: "What custom instructions do you want Zew to follow?",
+      instructionsDescription: "Be precise, be witty, etc.",
+    },
+    prompts: {
+      title: "Prompts",
+      description: "Save prompts you use often and insert them by typing / in the message box",
+      variables: "Variables",
+      selectionVariable: "becomes the text you last selected in the chat and",
+      languageVariable: "your browser's language.",
+      otherVariables: "Other variables are left for you to fill in.",
+      empty: "No saved prompts yet.",
+      name: "Prompt name",
+      namePlaceholder: "Name, e.g. explain-code",
+      descriptionLabel: "Prompt description",
+      descriptionPlaceholder: "Description (optional)",
+      text: "Prompt text",
+      textPlaceholder: "Explain this {{language}} code: {{selection}}",
+      save: "Save prompt",
+      new: "New prompt",
+    },
+    personas: {
+      title: "Personas",
+      description: "Give the assistant a different role per chat, with its own instructions, model and parameters",
+      files: "Import & export",
+      filesDescription: "Share personas as JSON files",
+      exportAll: "Export all",
+      export: "Export {name}",
+      imported: { one: "Imported {count} persona.", other: "Imported {count} personas." },
+      alreadySaved: "These personas are already saved.",
+      empty: "No personas yet.",
+      avatar: "Avatar",
+      name: "Persona name",
+      namePlaceholder: "Name, e.g. Code reviewer",
+      instructions: "Persona instructions",
+      instructionsPlaceholder: "Instructions, e.g. Review code like a senior engineer. Point out bugs first.",
+      model: "Default model",
+      keepModel: "Keep the selected model",
+      parameterRange: "{parameter} must be between {min} and {max}.",
+      modules: "System prompt modules",
+      moduleNames: {
+        core_identity: "Identity",
+        guiding_principles: "Guiding principles",
+        interaction_style: "Style",
+        formatting_rules: "Formatting",
+        coding_guidelines: "Coding",
+        boundaries_and_limitations: "Limitations",
+      },
+      moduleModes: {
+        include: "Include",
+        exclude: "Leave out",
+        replace: "Replace",
+      },
+      moduleText: "{module} module text",
+      save: "Save persona",
+      new: "New persona",
+    },
+    providers: {
+      title: "Providers",
+      description: "Connect any OpenAI-compatible API, such as your own gateway or a local llama.cpp/Ollama server",
+      builtin: "Built-in free provider, always available",
+      name: "Provider name",
+      remove: "Remove provider",
+      baseUrl: "Base URL, e.g. http://localhost:11434/v1",
+      apiKey: "API key (optional)",
+      models:
+        "One model per line, e.g. llama3.1:8b | Llama 3.1 8B, optionally followed by | input price | output price (USD per million tokens) | context window",
+      add: "Add provider",
+      toolCalling: "Tools",
+      vision: "Images",
+    },
+    usage: {
+      title: "Usage",
+      description: "Tokens and estimated cost of the replies saved on this device",
+      replies: "Replies",
+      estimatedCost: "Estimated cost",
+      byModel: "By model",
+      byModelDescription: "Set prices on custom provider models to estimate their cost",
+      byDay: "By day",
+      day: "Day",
+      prompt: "Prompt",
+      completion: "Completion",
+      empty: "No usage recorded yet.",
+    },
+    memory: {
+      title: "Memory",
+      description: "Manage conversation memory",
+      global: "Global Memory",
+      globalDescription: "Remember conversations across sessions",
+      facts: "Remembered facts",
+      factCount: { one: "{count} fact about you", other: "{count} facts about you" },
+      clearAll: "Clear all",
+      saveFact: "Save fact",
+      cancelEdit: "Cancel editing",
+      editFact: "Edit fact",
+      deleteFact: "Delete fact",
+      empty: "Nothing remembered yet.",
+      changesTitle: "Recent changes",
+      changesDescription: "Undo updates Zewro made to its memory",
+      changes: {
+        add: 'Added "{fact}"',
+        remove: 'Removed "{fact}"',
+        modify: 'Changed "{old}" to "{new}"',
+        clear: { one: "Cleared {count} fact", other: "Cleared {count} facts" },
+      },
+      undo: "Undo change",
+      undone: "Change undone",
+    },
+    about: {
+      title: "About",
+      description: "Information about Zewro AI Interface",
+      body: "A modern Vue.js-powered interface for AI interactions with support for Hack Club API and powered by Aegis AI, an open source model.",
+    },
+  },
+
+  errors: {
+    attachments: {
+      unsupported: "{name}: only text, code, PDF and image files can be attached.",
+      tooLarge: "{name} is larger than {size} MB.",
+      noPdfText: "{name} has no text to extract (it may be a scanned document).",
+      empty: "{name} is empty.",
+    },
+    import: {
+      invalidJson: "The file is not valid JSON.",
+      emptyTranscript: "The transcript has no user or assistant messages.",
+      unknownFormat: "Unrecognized file format.",
+    },
+    prompts: {
+      nameMissing: "Give the prompt a name.",
+      empty: "The prompt is empty.",
+      builtin: "/{name} is a built-in command.",
+      taken: "A prompt called /{name} already exists.",
+    },
+    personas: {
+      nameMissing: "Give the persona a name.",
+      noneFound: "No personas found in the file.",
+    },
+  },
+};
@@ -0,0 +1,450 @@
+/**
+ * @file id.js
+ * @description Indonesian (Bahasa Indonesia) UI messages. Indonesian has no
+ * plural forms, so messages with a count are plain strings here.
+ */
+
+export default {
+  common: {
+    cancel: "Batal",
+    edit: "Edit",
+    copy: "Salin",
+    copied: "Disalin!",
+    undo: "Urungkan",
+    confirmClearMemory: "Hapus semua yang diingat Zewro tentang kamu?",
+  },
+
+  app: {
+    loading: "Memuat...",
+    toggleMenu: "Buka/tutup menu",
+    persona: "Persona: {name}",
+    choosePersona: "Pilih persona",
+    defaultAssistant: "Asisten bawaan",
+    managePersonas: "Kelola persona…",
+    openCanvas: "Buka kanvas",
+    exportChat: "Ekspor chat",
+    exportMarkdown: "Ekspor sebagai Markdown",
+    exportJson: "Ekspor sebagai JSON",
+    offline: "Kamu sedang offline. Pesan yang kamu kirim akan diantrekan dan terkirim saat koneksi kembali.",
+    chatDeleted: "Chat dihapus",
+    noModelSelected: "Error: Belum ada model AI yang dipilih.",
+  },
+
+  sidebar: {
+    title: "Pesan",
+    newChat: "Pesan Baru",
+    pendingTitle: "Chat baru",
+    openSettings: "Buka pengaturan",
+    search: "Cari chat",
+    noMatches: "Tidak ada yang cocok",
+    pinned: "Disematkan",
+    groups: {
+      today: "Hari ini",
+      yesterday: "Kemarin",
+      last7Days: "7 hari terakhir",
+      last30Days: "30 hari terakhir",
+      older: "Lebih lama",
+    },
+    chatOptions: "Opsi chat",
+    rename: "Ganti nama",
+    pin: "Sematkan",
+    unpin: "Lepas sematan",
+    moveTo: "Pindahkan ke {folder}",
+    newFolder: "Folder baru…",
+    folderName: "Nama folder",
+    removeFromFolder: "Keluarkan dari folder",
+    delete: "Hapus",
+  },
+
+  chat: {
+    welcome: "Kamu Mau Tanya Apa?",
+    send: "Kirim",
+    queued: "Dalam antrean, terkirim saat kamu online lagi",
+    interrupted: "Balasan ini terputus.",
+    continueGeneration: "Lanjutkan balasan",
+    summarized: "Pesan di atas diringkas agar muat di jendela konteks model",
+    retry: {
+      rateLimited: "Terkena batas permintaan, mencoba lagi dalam {seconds} dtk…",
+      serverError: "Kesalahan server (HTTP {status}), mencoba lagi dalam {seconds} dtk…",
+    },
+    reasoning: {
+      label: "Penalaran",
+      thinkingFor: "Berpikir selama {duration}...",
+      thoughtFor: "Berpikir selama {duration}",
+      thoughtBriefly: "Berpikir sejenak",
+    },
+    compare: {
+      stop: "Hentikan",
+      stopModel: "Hentikan {model}",
+      chosen: "Melanjutkan dengan balasan ini",
+      pick: "Lanjutkan dengan ini",
+      timeToFirstToken: "TTFT {time}",
+      speed: "{speed} tok/dtk",
+    },
+    deepThink: {
+      title: "Deep think · {count} cabang",
+      merging: "Menggabungkan…",
+      branch: "Cabang {number}",
+      params: "suhu {temperature} · seed {seed}",
+      cancelBranch: "Batalkan cabang {number}",
+      status: {
+        running: "Berpikir…",
+        done: "Selesai",
+        cancelled: "Dibatalkan",
+        error: "Gagal",
+      },
+    },
+    tools: {
+      running: "Berjalan…",
+      failed: "Gagal",
+      arguments: "Argumen",
+      result: "Hasil",
+      names: {
+        calculator: "Kalkulator",
+        get_current_datetime: "Tanggal & waktu",
+        run_javascript: "JavaScript",
+      },
+    },
+    canvasEdit: {
+      failed: "Gagal menerapkan perubahan ke {title}",
+      applied: "Menerapkan {count} perubahan ke {title}",
+      unmatched: "{count} tidak cocok",
+    },
+    actions: {
+      previousBranch: "Cabang sebelumnya",
+      nextBranch: "Cabang berikutnya",
+      edit: "Edit pesan",
+      regenerate: "Buat ulang balasan",
+      regenerateShort: "Buat ulang",
+      readAloud: "Bacakan",
+      stopReading: "Berhenti membacakan",
+      details: "Detail balasan",
+    },
+    stats: {
+      model: "Model",
+      promptTokens: "Token prompt",
+      completionTokens: "Token balasan",
+      timeToFirstToken: "Waktu ke token pertama",
+      speed: "Kecepatan",
+      tokensPerSecond: "{speed} token/dtk",
+      finishReason: "Alasan selesai",
+      cost: "Biaya",
+    },
+  },
+
+  code: {
+    canvasEdit: "Edit kanvas",
+    openInCanvas: "Buka di kanvas",
+    download: "Unduh",
+    downloadFile: "Unduh file",
+    copyCode: "Salin kode",
+  },
+
+  form: {
+    placeholder: "ketik pesan disini...",
+    slashMenu: "Perintah dan prompt tersimpan",
+    commands: {
+      new: "Mulai chat baru",
+      model: "Ganti ke model lain",
+      "clear-memory": "Lupakan semua yang diingat tentang kamu",
+      export: "Unduh chat ini",
+    },
+    modelNotFound: 'Tidak ada satu model pun yang cocok dengan "{query}".',
+    modelMissing: "Ketik id model setelah /model.",
+    noVision: "Model yang dipilih tidak bisa melihat gambar",
+    removeAttachment: "Hapus {name}",
+    pastedImage: "Gambar tempelan",
+    pastedFile: "File tempelan",
+    changeModel: "Ganti model, saat ini {model}",
+    attach: "Lampirkan file",
+    deepThink: {
+      label: "Deep think",
+      description: "Deep think: jawab dalam beberapa cabang paralel, lalu gabungkan",
+    },
+    compare: {
+      label: "Bandingkan",
+      active: "Bandingkan ({count})",
+      description: "Bandingkan: kirim pesan ke beberapa model sekaligus",
+      heading: "Bandingkan 2–{max} model",
+      clear: "Kosongkan",
+    },
+    parameters: {
+      title: "Parameter lanjutan",
+      reset: "Atur ulang",
+      default: "Bawaan",
+    },
+    dictation: {
+      label: "Dikte",
+      start: "Diktekan pesan",
+      stop: "Hentikan dikte",
+      listening: "Mendengarkan… klik untuk berhenti",
+      stopped: "Dikte berhenti: {error}.",
+      errors: {
+        "not-allowed": "Akses mikrofon ditolak.",
+        "audio-capture": "Mikrofon tidak ditemukan.",
+        network: "Dikte membutuhkan koneksi ke layanan suara.",
+        "language-not-supported": "Dikte tidak tersedia dalam bahasa ini.",
+      },
+    },
+    context: {
+      usage: "Sekitar {used} dari {limit} token terpakai ({percent}%)",
+      summarized: "{usage}. Pesan yang lebih lama diringkas.",
+    },
+    send: "Kirim pesan",
+    stop: "Hentikan balasan",
+  },
+
+  parameters: {
+    temperature: "Suhu",
+    top_p: "Top P",
+    max_tokens: "Token maksimum",
+    seed: "Seed",
+    presence_penalty: "Penalti kehadiran",
+    frequency_penalty: "Penalti frekuensi",
+    reasoning_effort: "Upaya penalaran",
+  },
+
+  canvas: {
+    label: "Kanvas",
+    title: "Judul kanvas",
+    content: "Isi kanvas",
+    preview: "Pratinjau kanvas",
+    targeted: "Pesan chat mengubah kanvas ini",
+    untargeted: "Pesan chat tidak mengubah kanvas ini",
+    close: "Tutup kanvas",
+    tabs: {
+      code: "Kode",
+      preview: "Pratinjau",
+      history: "Riwayat ({count})",
+    },
+    versionSources: {
+      initial: "Dibuka dari chat",
+      user: "Perubahanmu",
+      assistant: "Perubahan model",
+      restore: "Dipulihkan",
+    },
+    current: "Isi saat ini",
+    restore: "Pulihkan versi ini",
+  },
+
+  settings: {
+    title: "Pengaturan",
+    close: "Tutup pengaturan",
+    save: "Simpan Perubahan",
+    invalidSetting: "Tidak dapat menyimpan: \"{setting}\" {problem}.",
+    saveFailed: "Tidak dapat menyimpan pengaturan: {error}",
+    problems: {
+      unknown: "bukan pengaturan",
+      empty: "tidak boleh kosong",
+      wrongType: "harus berupa {type}",
+      notWhole: "harus bilangan bulat",
+      tooSmall: "minimal {min}",
+      tooLarge: "maksimal {max}",
+      notAllowed: "harus salah satu dari {values}",
+      invalidProviders: "harus berisi penyedia dengan id, URL dasar, dan model",
+      invalidModelParameters: "harus berisi parameter untuk setiap model",
+      types: {
+        string: "teks",
+        number: "angka",
+        boolean: "aktif atau nonaktif",
+        array: "daftar",
+        object: "objek",
+      },
+    },
+    edit: "Edit {name}",
+    delete: "Hapus {name}",
+    nav: {
+      general: "Umum",
+      customization: "Personalisasi",
+      prompts: "Prompt",
+      personas: "Persona",
+      providers: "Penyedia",
+      usage: "Penggunaan",
+      memory: "Memori",
+      about: "Tentang",
+    },
+    general: {
+      title: "Pengaturan Umum",
+      description: "Opsi konfigurasi dasar",
+      language: "Bahasa",
+      languageDescription: "Bahasa aplikasi, serta bahasa balasan dan judul chat",
+      browserLanguage: "Sama seperti browser",
+      darkMode: "Mode Gelap",
+      darkModeDescription: "Beralih antara tema terang dan gelap",
+      tools: "Alat",
+      toolsDescription: "Izinkan model memakai kalkulator, tanggal & waktu, dan JavaScript dalam sandbox",
+      deepThinkBranches: "Cabang deep think",
+      deepThinkBranchesDescription: "Berapa banyak jawaban yang ditulis deep think secara paralel sebelum digabungkan",
+      autoRead: "Bacakan balasan",
+      autoReadDescription: "Bacakan setiap balasan kalimat demi kalimat selagi ditulis",
+      speechLanguage: "Bahasa suara",
+      speechLanguageDescription: "Bahasa untuk dikte dan membacakan balasan",
+      appLanguage: "Sama seperti aplikasi",
+      voice: "Suara",
+      voiceDescription: "Suara yang dipakai untuk membacakan balasan",
+      defaultVoice: "Bawaan untuk bahasa ini",
+      speechRate: "Kecepatan bicara",
+      speechRateDescription: "Seberapa cepat balasan dibacakan, {rate}×",
+    },
+    backup: {
+      title: "Cadangan",
+      description: "Unduh semua chat, pengaturan, dan memori sebagai satu file JSON",
+      export: "Ekspor",
+      includeApiKeys: "Sertakan kunci API penyedia (disimpan sebagai teks biasa)",
+      includeTrash: "Sertakan chat di tempat sampah",
+      import: "Impor",
+      importDescription: "Pulihkan cadangan, atau impor chat yang diekspor sebagai JSON atau transkrip [{role, content}]",
+      imported: "Mengimpor {items}.",
+      importedChats: "{count} chat",
+      importedPrompts: "{count} prompt",
+      importedPersonas: "{count} persona",
+      importedSettings: "pengaturan",
+      importedMemory: "memori",
+      importFailed: "Impor gagal: {error}",
+    },
+    customization: {
+      title: "Personalisasi",
+      description: "Sesuaikan pengalamanmu",
+      name: "Zewro harus memanggilmu apa?",
+      nameDescription: "Masukkan namamu",
+      occupation: "Apa pekerjaanmu?",
+      occupationDescription: "Guru, relawan, pelajar, dll.",
+      occupationPlaceholder: "Guru, software engineer, pelajar, dll.",
+      instructions: "Instruksi khusus apa yang harus diikuti Zew?",
+      instructionsDescription: "Jawab dengan tepat, jawab dengan jenaka, dll.",
+    },
+    prompts: {
+      title: "Prompt",
+      description: "Simpan prompt yang sering kamu pakai dan sisipkan dengan mengetik / di kotak pesan",
+      variables: "Variabel",
+      selectionVariable: "menjadi teks terakhir yang kamu pilih di chat dan",
+      languageVariable: "bahasa browsermu.",
+      otherVariables: "Variabel lain dibiarkan untuk kamu isi sendiri.",
+      empty: "Belum ada prompt tersimpan.",
+      name: "Nama prompt",
+      namePlaceholder: "Nama, mis. jelaskan-kode",
+      descriptionLabel: "Deskripsi prompt",
+      descriptionPlaceholder: "Deskripsi (opsional)",
+      text: "Teks prompt",
+      textPlaceholder: "Jelaskan kode {{language}} ini: {{selection}}",
+      save: "Simpan prompt",
+      new: "Prompt baru",
+    },
+    personas: {
+      title: "Persona",
+      description: "Beri asisten peran berbeda di setiap chat, dengan instruksi, model, dan parameternya sendiri",
+      files: "Impor & ekspor",
+      filesDescription: "Bagikan persona sebagai file JSON",
+      exportAll: "Ekspor semua",
+      export: "Ekspor {name}",
+      imported: "Mengimpor {count} persona.",
+      alreadySaved: "Persona ini sudah tersimpan.",
+      empty: "Belum ada persona.",
+      avatar: "Avatar",
+      name: "Nama persona",
+      namePlaceholder: "Nama, mis. Peninjau kode",
+      instructions: "Instruksi persona",
+      instructionsPlaceholder: "Instruksi, mis. Tinjau kode seperti engineer senior. Sebutkan bug lebih dulu.",
+      model: "Model bawaan",
+      keepModel: "Pakai model yang sedang dipilih",
+      parameterRange: "{parameter} harus di antara {min} dan {max}.",
+      modules: "Modul system prompt",
+      moduleNames: {
+        core_identity: "Identitas",
+        guiding_principles: "Prinsip panduan",
+        interaction_style: "Gaya",
+        formatting_rules: "Format",
+        coding_guidelines: "Pemrograman",
+        boundaries_and_limitations: "Batasan",
+      },
+      moduleModes: {
+        include: "Sertakan",
+        exclude: "Hilangkan",
+        replace: "Ganti",
+      },
+      moduleText: "Teks modul {module}",
+      save: "Simpan persona",
+      new: "Persona baru",
+    },
+    providers: {
+      title: "Penyedia",
+      description: "Hubungkan API apa pun yang kompatibel dengan OpenAI, seperti gateway-mu sendiri atau server llama.cpp/Ollama lokal",
+      builtin: "Penyedia gratis bawaan, selalu tersedia",
+      name: "Nama penyedia",
+      remove: "Hapus penyedia",
+      baseUrl: "Base URL, mis. http://localhost:11434/v1",
+      apiKey: "API key (opsional)",
+      models:
+        "Satu model per baris, mis. llama3.1:8b | Llama 3.1 8B, boleh diikuti | harga input | harga output (USD per sejuta token) | jendela konteks",
+      add: "Tambah penyedia",
+      toolCalling: "Alat",
+      vision: "Gambar",
+    },
+    usage: {
+      title: "Penggunaan",
+      description: "Token dan perkiraan biaya balasan yang tersimpan di perangkat ini",
+      replies: "Balasan",
+      estimatedCost: "Perkiraan biaya",
+      byModel: "Per model",
+      byModelDescription: "Atur harga pada model penyedia kustom untuk memperkirakan biayanya",
+      byDay: "Per hari",
+      day: "Hari",
+      prompt: "Prompt",
+      completion: "Balasan",
+      empty: "Belum ada penggunaan yang tercatat.",
+    },
+    memory: {
+      title: "Memori",
+      description: "Kelola memori percakapan",
+      global: "Memori Global",
+      globalDescription: "Ingat percakapan di semua sesi",
+      facts: "Fakta yang diingat",
+      factCount: "{count} fakta tentang kamu",
+      clearAll: "Hapus semua",
+      saveFact: "Simpan fakta",
+      cancelEdit: "Batal mengedit",
+      editFact: "Edit fakta",
+      deleteFact: "Hapus fakta",
+      empty: "Belum ada yang diingat.",
+      changesTitle: "Perubahan terbaru",
+      changesDescription: "Urungkan pembaruan yang dibuat Zewro pada memorinya",
+      changes: {
+        add: 'Menambahkan "{fact}"',
+        remove: 'Menghapus "{fact}"',
+        modify: 'Mengubah "{old}" menjadi "{new}"',
+        clear: "Menghapus {count} fakta",
+      },
+      undo: "Urungkan perubahan",
+      undone: "Perubahan diurungkan",
+    },
+    about: {
+      title: "Tentang",
+      description: "Informasi tentang Zewro AI Interface",
+      body: "Antarmuka modern berbasis Vue.js untuk berinteraksi dengan AI, mendukung Hack Club API dan ditenagai Aegis AI, model open source.",
+    },
+  },
+
+  errors: {
+    attachments: {
+      unsupported: "{name}: hanya file teks, kode, PDF, dan gambar yang bisa dilampirkan.",
+      tooLarge: "{name} lebih besar dari {size} MB.",
+      noPdfText: "{name} tidak punya teks untuk diambil (mungkin dokumen hasil pindai).",
+      empty: "{name} kosong.",
+    },
+    import: {
+      invalidJson: "File ini bukan JSON yang valid.",
+      emptyTranscript: "Transkrip ini tidak punya pesan pengguna atau asisten.",
+      unknownFormat: "Format file tidak dikenali.",
+    },
+    prompts: {
+      nameMissing: "Beri nama prompt ini.",
+      empty: "Prompt ini kosong.",
+      builtin: "/{name} adalah perintah bawaan.",
+      taken: "Prompt bernama /{name} sudah ada.",
+    },
+    personas: {
+      nameMissing: "Beri nama persona ini.",
+      noneFound: "Tidak ada persona di file ini.",
+    },
+  },
+};
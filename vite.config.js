@@ -5,12 +5,77 @@ import vue from "@vitejs/plugin-vue";
 import { VitePWA } from "vite-plugin-pwa";
 import vueDevTools from "vite-plugin-vue-devtools";
 
+// Content Security Policy for `vite build --mode csp`. Scripts only load from
+// the app's own origin, so injected markup can't run any. Styles allow inline
+// attributes for KaTeX, and requests can go anywhere since providers are
+// user-configured. Images can't, so markup in a reply can't send data out by
+// loading one (see markdown.js). Canvas previews and the run_javascript tool
+// can't run scripts under it, because their frames inherit the policy.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+  "font-src 'self' data: https://fonts.gstatic.com",
+  "img-src 'self' data: blob:",
+  "connect-src *",
+  "worker-src 'self' blob:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'none'",
+].join("; ");
+
+/**
+ * Adds the Content Security Policy to index.html in CSP builds.
+ * @returns {import("vite").Plugin} The plugin.
+ */
+function contentSecurityPolicy() {
+  return {
+    name: "content-security-policy",
+    apply: (config, { command, mode }) => command === "build" && mode === "csp",
+    transformIndexHtml: () => [
+      {
+        tag: "meta",
+        attrs: { "http-equiv": "Content-Security-Policy", content: CONTENT_SECURITY_POLICY },
+        injectTo: "head-prepend",
+      },
+    ],
+  };
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   optimizeDeps: {
     include: ["markdown-it-task-lists"],
   },
-  plugins: [vue(), VitePWA({ registerType: "autoUpdate" }), vueDevTools()],
+  plugins: [
+    vue(),
+    VitePWA({
+      registerType: "autoUpdate",
+      workbox: {
+        // Precache the whole app shell, including the PDF worker, so it opens offline
+        globPatterns: ["**/*.{js,mjs,css,html,ico,png,svg,woff,woff2}"],
+        navigateFallback: "index.html",
+        runtimeCaching: [
+          {
+            urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,
+            handler: "StaleWhileRevalidate",
+            options: { cacheName: "google-fonts-stylesheets" },
+          },
+          {
+            urlPattern: /^https:\/\/fonts\.gstatic\.com\/.*/i,
+            handler: "CacheFirst",
+            options: {
+              cacheName: "google-fonts-webfonts",
+              cacheableResponse: { statuses: [0, 200] },
+              expiration: { maxEntries: 30, maxAgeSeconds: 60 * 60 * 24 * 365 },
+            },
+          },
+        ],
+      },
+    }),
+    vueDevTools(),
+    contentSecurityPolicy(),
+  ],
   resolve: {
     alias: {
       "@": fileURLToPath(new URL("./src", import.meta.url)),
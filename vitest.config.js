@@ -0,0 +1,15 @@
+import { fileURLToPath } from "node:url";
+import { mergeConfig, defineConfig } from "vitest/config";
+import viteConfig from "./vite.config";
+
+export default mergeConfig(
+  viteConfig,
+  defineConfig({
+    test: {
+      environment: "node",
+      include: ["src/**/__tests__/*.test.js"],
+      setupFiles: ["src/composables/__tests__/setup.js"],
+      root: fileURLToPath(new URL("./", import.meta.url)),
+    },
+  }),
+);